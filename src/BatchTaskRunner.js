@@ -3,11 +3,15 @@
  * @module BatchTaskRunner
  */
 
+import { isRequestRateLimiter } from "./request";
+
 /**
  * 批量任务运行 options 选项
  * @typedef {Object} BatchTaskRunnerOptions
  * @property {Function} beforeBatchCb 批次执行前回调，在执行每个批次任务前调用
  * @property {Function} afterBatchCb 批次执行后回调，在执行完每个批次任务后调用
+ * @property {module:RateLimiter~RateLimiter} [rateLimiter] 限速器，每个任务开始前先获取令牌，用于控制任务的执行频率。
+ * 如果限速器同时用于数据源请求限速（{@link module:Request.enableRateLimit}），任务开始前不再获取令牌，由任务中的请求消耗令牌
  */
 /**
  * 任务
@@ -118,7 +122,12 @@ class BatchTaskRunner {
    */
   async _doBatchTask(tasks) {
     this._options.beforeBatchCb();
-    const result = await Promise.allSettled(tasks.map((task) => task()));
+    let rateLimiter = this._options.rateLimiter;
+    // 任务中的请求已经会获取同一个限速器的令牌，再按任务获取会让每个请求消耗两个令牌
+    if (isRequestRateLimiter(rateLimiter)) rateLimiter = null;
+    const result = await Promise.allSettled(
+      tasks.map((task) => (rateLimiter ? rateLimiter.schedule(task) : task()))
+    );
     this._options.afterBatchCb(result);
   }
 
@@ -0,0 +1,529 @@
+/**
+ * 表单数据查询构造器
+ * @module FormQuery
+ */
+
+import { getFieldTypeById } from "./field";
+import { dateTimeFormat } from "./utils";
+import { ValidationError } from "./errors";
+import {
+  searchFormDatas,
+  searchFormDatasAll,
+  searchFormDataIds,
+  searchFormDataIdsAll,
+  iterateFormDatas,
+} from "./data-source";
+
+// 严格匹配文本条件时，fetch 按此分页大小从第一页开始扫描
+const STRICT_SCAN_PAGE_SIZE = 100;
+
+/**
+ * 将日期转换为时间戳，非日期值原样返回
+ * @param {any} value
+ * @returns {any}
+ */
+function toTimestamp(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * 将人员、部门字段的查询值统一转换为ID数组，支持传入ID、组件值对象或者它们的数组
+ * @param {any} value
+ * @returns {Array<string>}
+ */
+function toIds(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .filter((item) => item !== undefined && item !== null && item !== "")
+    .map((item) => (typeof item === "object" ? item.value : item))
+    .map(String);
+}
+
+/**
+ * 将时间转换为宜搭 createFrom/modifiedFrom 等查询参数使用的日期字符串
+ * @param {Date | number | string} value
+ * @returns {string}
+ */
+function toDateString(value) {
+  if (value === undefined || value === null || typeof value === "string") {
+    return value;
+  }
+  return dateTimeFormat(new Date(value), "YYYY-MM-DD");
+}
+
+/**
+ * 表单数据查询构造器，以链式调用的方式构造查询条件，
+ * 并根据字段类型（{@link module:Field.getFieldTypeById}）生成正确的 searchFieldJson <br/>
+ * 通常使用 {@link module:FormQuery.query} 创建实例
+ *
+ * @example
+ * const formDatas = await query(this, "FORM-xxxxxx")
+ *   .where("textField_a", "张三")
+ *   .between("dateField_b", new Date("2024-01-01"), new Date("2024-02-01"))
+ *   .orderBy("numberField_c", "desc")
+ *   .fetchAll();
+ */
+class FormQuery {
+  /**
+   * 创建一个查询构造器
+   * @param {Object} context this上下文
+   * @param {string} formUuid 表单ID
+   * @param {"form" | "process"} [type] 表单类型，可选 form、process，分别代表普通表单和流程，默认为form
+   */
+  constructor(context, formUuid, type) {
+    if (!formUuid) throw new ValidationError("formUuid is required");
+
+    this.context = context;
+    this.formUuid = formUuid;
+    this.type = type || "form";
+
+    this._searchFieldObject = {};
+    this._options = {};
+    this._dynamicOrder = {};
+    // where 条件中需要严格匹配的文本字段
+    this._strictFields = new Set();
+    this._currentPage = 1;
+    this._pageSize = 10;
+  }
+
+  /**
+   * 精确匹配字段值 <br/>
+   * 单行/多行文本会通过 strictQuery 选项对查询结果进一步筛选，保证文本严格相等；
+   * 数字、评分、日期会转换为上下限相同的范围查询；人员、部门可以传入ID或者组件值对象
+   * @param {string} fieldId 字段唯一标识
+   * @param {any} value 字段值，值为undefined、null或者空字符串时忽略此条件
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   *
+   * @example
+   * query(this, "FORM-xxxxxx")
+   *   .where("textField_a", "张三")
+   *   .where("employeeField_b", "1343242225778381")
+   *   .where("selectField_c", "选项一");
+   */
+  where(fieldId, value) {
+    if (value === undefined || value === null || value === "") return this;
+
+    switch (getFieldTypeById(fieldId)) {
+      case "text":
+      case "textarea":
+        this._searchFieldObject[fieldId] = String(value);
+        this._strictFields.add(fieldId);
+        break;
+      case "number":
+      case "rate":
+      case "date":
+        value = toTimestamp(value);
+        this._searchFieldObject[fieldId] = [value, value];
+        break;
+      case "employee":
+      case "departmentSelect":
+        this._searchFieldObject[fieldId] = toIds(value);
+        break;
+      case "checkbox":
+      case "multiSelect":
+        this._searchFieldObject[fieldId] = Array.isArray(value)
+          ? value
+          : [value];
+        break;
+      default:
+        this._searchFieldObject[fieldId] = value;
+        break;
+    }
+
+    return this;
+  }
+
+  /**
+   * 模糊匹配文本字段，比如查询"张三"会把“张三丰”也查询出来
+   * @param {string} fieldId 单行/多行文本字段唯一标识
+   * @param {string} value 查询文本
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  like(fieldId, value) {
+    const fieldType = getFieldTypeById(fieldId);
+    if (fieldType !== "text" && fieldType !== "textarea") {
+      throw new ValidationError(`like 仅支持文本字段：${fieldId}`);
+    }
+    if (value === undefined || value === null || value === "") return this;
+
+    this._searchFieldObject[fieldId] = String(value);
+    this._strictFields.delete(fieldId);
+    return this;
+  }
+
+  /**
+   * 匹配任意一个值，支持单选、下拉单选、复选、下拉多选、人员、部门字段
+   * @param {string} fieldId 字段唯一标识
+   * @param {Array<any>} values 值数组，为空数组时忽略此条件
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   *
+   * @example
+   * query(this, "FORM-xxxxxx").whereIn("selectField_a", ["选项一", "选项二"]);
+   */
+  whereIn(fieldId, values) {
+    const fieldType = getFieldTypeById(fieldId);
+    if (
+      ["text", "textarea", "number", "rate", "date"].indexOf(fieldType) !== -1
+    ) {
+      throw new ValidationError(
+        `whereIn 不支持${fieldType}类型字段：${fieldId}`
+      );
+    }
+    if (!Array.isArray(values) || values.length === 0) return this;
+
+    if (fieldType === "employee" || fieldType === "departmentSelect") {
+      this._searchFieldObject[fieldId] = toIds(values);
+    } else {
+      this._searchFieldObject[fieldId] = values.slice();
+    }
+    return this;
+  }
+
+  /**
+   * 范围查询，支持数字、评分、日期字段，包含上下限
+   * @param {string} fieldId 字段唯一标识
+   * @param {number | Date} [min] 下限，为空表示不限
+   * @param {number | Date} [max] 上限，为空表示不限
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  between(fieldId, min, max) {
+    const fieldType = getFieldTypeById(fieldId);
+    if (["number", "rate", "date"].indexOf(fieldType) === -1) {
+      throw new ValidationError(
+        `between 仅支持数字、评分、日期字段：${fieldId}`
+      );
+    }
+
+    const isEmptyBound = (value) =>
+      value === undefined || value === null || value === "";
+    if (isEmptyBound(min) && isEmptyBound(max)) return this;
+
+    this._searchFieldObject[fieldId] = [
+      isEmptyBound(min) ? "" : toTimestamp(min),
+      isEmptyBound(max) ? "" : toTimestamp(max),
+    ];
+    return this;
+  }
+
+  /**
+   * 大于等于，等效于 between(fieldId, min)
+   * @param {string} fieldId 字段唯一标识
+   * @param {number | Date} min 下限
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  gte(fieldId, min) {
+    return this.between(fieldId, min, undefined);
+  }
+
+  /**
+   * 小于等于，等效于 between(fieldId, undefined, max)
+   * @param {string} fieldId 字段唯一标识
+   * @param {number | Date} max 上限
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  lte(fieldId, max) {
+    return this.between(fieldId, undefined, max);
+  }
+
+  /**
+   * 排序，多次调用时按调用顺序依次排序
+   * @param {string} fieldId 字段唯一标识
+   * @param {"asc" | "desc"} [direction] 排序方向，默认为asc升序
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  orderBy(fieldId, direction) {
+    direction = direction || "asc";
+    if (direction !== "asc" && direction !== "desc") {
+      throw new ValidationError(`Unknown order direction: ${direction}`);
+    }
+
+    this._dynamicOrder[fieldId] = direction === "asc" ? "+" : "-";
+    return this;
+  }
+
+  /**
+   * 分页，仅对 fetch 和 fetchIds 有效
+   * @param {number} currentPage 当前页，从1开始
+   * @param {number} [pageSize] 每页记录数，默认为10
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  page(currentPage, pageSize) {
+    this._currentPage = currentPage || 1;
+    if (pageSize) this._pageSize = pageSize;
+    return this;
+  }
+
+  /**
+   * 查询在该时间段创建的数据
+   * @param {Date | number | string} [from] 开始时间
+   * @param {Date | number | string} [to] 结束时间
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  createdBetween(from, to) {
+    return this.option("createFrom", toDateString(from)).option(
+      "createTo",
+      toDateString(to)
+    );
+  }
+
+  /**
+   * 查询在该时间段有修改的数据
+   * @param {Date | number | string} [from] 开始时间
+   * @param {Date | number | string} [to] 结束时间
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  modifiedBetween(from, to) {
+    return this.option("modifiedFrom", toDateString(from)).option(
+      "modifiedTo",
+      toDateString(to)
+    );
+  }
+
+  /**
+   * 查询指定人员提交/发起的数据
+   * @param {string} userId 数据提交人/流程发起人工号
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  originator(userId) {
+    return this.option("originatorId", userId);
+  }
+
+  /**
+   * 按流程状态查询，仅流程有效
+   * @param {module:DataSource~ProcessStatus} instanceStatus 流程状态
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  status(instanceStatus) {
+    this._requireProcess("status");
+    return this.option("instanceStatus", instanceStatus);
+  }
+
+  /**
+   * 按流程审批结果查询，仅流程有效
+   * @param {module:DataSource~ApprovedResult} approvedResult 审批结果
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  approvedResult(approvedResult) {
+    this._requireProcess("approvedResult");
+    return this.option("approvedResult", approvedResult);
+  }
+
+  /**
+   * 设置其他查询选项，参见 {@link module:DataSource~SearchFormDatasOption}
+   * @param {string} key 选项名
+   * @param {any} value 选项值，为undefined时移除该选项
+   * @returns {module:FormQuery~FormQuery} 当前实例
+   */
+  option(key, value) {
+    if (value === undefined) delete this._options[key];
+    else this._options[key] = value;
+    return this;
+  }
+
+  /**
+   * 检查当前查询是否为流程查询
+   * @private
+   * @param {string} method 方法名
+   */
+  _requireProcess(method) {
+    if (this.type !== "process") {
+      throw new ValidationError(`${method} 仅对流程查询有效`);
+    }
+  }
+
+  /**
+   * 生成查询参数，可直接传给 {@link module:DataSource.searchFormDatas} 等方法
+   * @returns {{ type: string, formUuid: string, searchFieldObject: Object, currentPage: number, pageSize: number, options: Object }}
+   *
+   * @example
+   * const { searchFieldObject, options } = query(this, "FORM-xxxxxx")
+   *   .where("numberField_a", 10)
+   *   .orderBy("numberField_a", "desc")
+   *   .build();
+   * // searchFieldObject: { numberField_a: [10, 10] }
+   * // options: { dynamicOrder: { numberField_a: "-" } }
+   *
+   * // where 中的文本字段会生成 strictQuery 选项
+   * query(this, "FORM-xxxxxx").where("textField_a", "张三").build().options;
+   * // { strictQuery: ["textField_a"] }
+   */
+  build() {
+    const options = { ...this._options };
+    if (Object.keys(this._dynamicOrder).length) {
+      options.dynamicOrder = { ...this._dynamicOrder };
+    }
+    if (this._strictFields.size && options.strictQuery === undefined) {
+      options.strictQuery = [...this._strictFields];
+    }
+
+    return {
+      type: this.type,
+      formUuid: this.formUuid,
+      searchFieldObject: { ...this._searchFieldObject },
+      currentPage: this._currentPage,
+      pageSize: this._pageSize,
+      options,
+    };
+  }
+
+  /**
+   * 分页查询表单实例数据 <br/>
+   * where 中有文本条件时，严格匹配在查询结果上进行，服务端分页不准确，
+   * 所以会从第一页开始按每页100条扫描，凑够当前页后停止，在本地分页，此时 actualPageSize 为本页返回的记录数。<br/>
+   * ⚠️此时 totalCount 是近似值：扫描完所有数据时为严格匹配的总数，提前停止时为服务端模糊匹配的总数（不小于实际总数）。
+   * 页码越大需要扫描的数据越多
+   * @returns {Promise<module:DataSource~FormDatasResponse>}
+   */
+  async fetch() {
+    const { searchFieldObject, currentPage, pageSize, options } = this.build();
+    if (!options.strictQuery) {
+      return searchFormDatas(
+        this.context,
+        this.type,
+        this.formUuid,
+        searchFieldObject,
+        currentPage,
+        pageSize,
+        options
+      );
+    }
+
+    const offset = (currentPage - 1) * pageSize;
+    const matched = [];
+    let totalCount;
+    for (let page = 1; ; page++) {
+      const response = await searchFormDatas(
+        this.context,
+        this.type,
+        this.formUuid,
+        searchFieldObject,
+        page,
+        STRICT_SCAN_PAGE_SIZE,
+        options
+      );
+      matched.push(...response.formDatas);
+      if (response.actualPageSize !== STRICT_SCAN_PAGE_SIZE) {
+        totalCount = matched.length;
+        break;
+      }
+      if (matched.length >= offset + pageSize) {
+        totalCount = response.totalCount;
+        break;
+      }
+    }
+
+    const formDatas = matched.slice(offset, offset + pageSize);
+    return {
+      currentPage,
+      actualPageSize: formDatas.length,
+      totalCount,
+      formDatas,
+    };
+  }
+
+  /**
+   * 查询符合条件的所有表单实例数据
+   * @returns {Promise<Array<module:DataSource~FormData>>}
+   */
+  fetchAll() {
+    const { searchFieldObject, options } = this.build();
+    return searchFormDatasAll(
+      this.context,
+      this.type,
+      this.formUuid,
+      searchFieldObject,
+      options
+    );
+  }
+
+  /**
+   * 查询符合条件的第一条表单实例数据，按页查询，找到后不再查询后续分页
+   * @returns {Promise<module:DataSource~FormData | undefined>}
+   */
+  async first() {
+    const { searchFieldObject, options } = this.build();
+    const formDatas = iterateFormDatas(
+      this.context,
+      this.type,
+      this.formUuid,
+      searchFieldObject,
+      options,
+      { pageSize: this._pageSize }
+    );
+    for await (const formData of formDatas) {
+      return formData;
+    }
+    return undefined;
+  }
+
+  /**
+   * 分页查询表单实例ID <br/>
+   * ⚠️查询ID时无法对文本字段做严格匹配，where 中的文本条件为模糊匹配
+   * @returns {Promise<module:DataSource.FormDataIdsResponse>}
+   */
+  fetchIds() {
+    const { searchFieldObject, currentPage, pageSize, options } = this.build();
+    return searchFormDataIds(
+      this.context,
+      this.type,
+      this.formUuid,
+      searchFieldObject,
+      currentPage,
+      pageSize,
+      options
+    );
+  }
+
+  /**
+   * 查询符合条件的所有表单实例ID <br/>
+   * ⚠️查询ID时无法对文本字段做严格匹配，where 中的文本条件为模糊匹配
+   * @returns {Promise<Array<string>>}
+   */
+  fetchAllIds() {
+    const { searchFieldObject, options } = this.build();
+    return searchFormDataIdsAll(
+      this.context,
+      this.type,
+      this.formUuid,
+      searchFieldObject,
+      options
+    );
+  }
+}
+
+/**
+ * 创建表单数据查询构造器
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} formUuid 表单ID
+ * @param {"form" | "process"} [type] 表单类型，可选 form、process，分别代表普通表单和流程，默认为form
+ * @returns {module:FormQuery~FormQuery} 查询构造器
+ *
+ * @example
+ * // 使用前请按照 searchFormDatas 的说明添加数据源
+ *
+ * // 查询普通表单第2页数据，每页50条
+ * query(this, "FORM-xxxxxx")
+ *   .where("textField_a", "foo")
+ *   .between("dateField_b", new Date("2024-01-01"), new Date("2024-02-01"))
+ *   .orderBy("numberField_c", "desc")
+ *   .page(2, 50)
+ *   .fetch()
+ *   .then(({ totalCount, formDatas }) => {
+ *     console.log(`共${totalCount}条数据`, formDatas);
+ *   });
+ *
+ * // 查询所有已完成的流程
+ * query(this, "FORM-xxxxxx", "process")
+ *   .whereIn("selectField_d", ["A", "B"])
+ *   .status("COMPLETED")
+ *   .fetchAll()
+ *   .then((formDatas) => {
+ *     console.log(formDatas);
+ *   });
+ */
+function query(context, formUuid, type) {
+  return new FormQuery(context, formUuid, type);
+}
+
+export { FormQuery, query };
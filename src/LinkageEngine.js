@@ -0,0 +1,442 @@
+/**
+ * 声明式数据联动规则引擎 <br/>
+ * 在 didMount 中一次性注册联动规则，条件字段变更时通知引擎，引擎防抖后查询目标表单并填充字段，
+ * 被填充的字段如果又是其他规则的条件字段，会继续触发链式联动
+ * @module LinkageEngine
+ */
+
+import { dataLinkageMulti, dataLinkageSubformMulti } from "./data-linkage";
+import { ValidationError } from "./errors";
+
+/**
+ * 联动规则
+ * @typedef {Object} LinkageRule
+ * @property {string} [name] 规则名称，用于日志和循环依赖提示，默认为 rule1、rule2...
+ * @property {"form" | "process"} [targetFormType] 目标表单类型，默认为form
+ * @property {string} targetFormUuid 目标表单UUID
+ * @property {Array<module:DataLinkage~ConditionMapItem>} conditionMap 条件规则映射
+ * @property {Array<module:DataLinkage~FieldMappingItem>} fieldMappings 字段映射
+ * @property {string} [tableFieldId] 子表唯一标识，指定时联动到子表的每一行，fieldMappings 的 to 为子表内的字段
+ * @property {boolean} [stirctCondition] 严格的条件规则，默认为true
+ * @property {module:DataLinkage~LinkagePick} [pick] 多条数据符合条件时选择哪一条，默认为first
+ */
+
+/**
+ * 字段变更订阅函数
+ * @callback Subscribe
+ * @param {Object} context this上下文
+ * @param {string} fieldId 组件唯一标识
+ * @param {Function} listener 组件值变更时调用
+ * @returns {Function} 取消订阅函数
+ */
+
+/**
+ * 联动规则引擎选项
+ * @typedef {Object} LinkageEngineOptions
+ * @property {number} [wait] 防抖等待时间，单位毫秒，默认为300
+ * @property {module:LinkageEngine~Subscribe | null} [subscribe] 额外的字段变更订阅函数，默认包装组件的 setValue。
+ * 宜搭中用户输入不会调用 setValue，所以它只能感知代码中调用 setValue 的变更，用户输入需要通过
+ * {@link module:LinkageEngine~LinkageEngine#notify} 通知引擎。为null时不订阅
+ * @property {Function} [onError] 联动失败时的回调，参数为错误对象和联动规则，默认输出到控制台
+ */
+
+/**
+ * 默认的字段变更订阅函数，包装组件实例的 setValue 方法，只能感知代码中调用 setValue 的变更
+ * @param {Object} context this上下文
+ * @param {string} fieldId 组件唯一标识
+ * @param {Function} listener 组件值变更时调用
+ * @returns {Function} 取消订阅函数
+ */
+function subscribeFieldChange(context, fieldId, listener) {
+  const field = context.$(fieldId);
+  if (!field) throw new ValidationError(`Field not found: ${fieldId}`);
+
+  const setValue = field.setValue;
+  const wrapped = function (...args) {
+    const result = setValue.apply(this, args);
+    listener();
+    return result;
+  };
+  field.setValue = wrapped;
+
+  return () => {
+    if (field.setValue === wrapped) field.setValue = setValue;
+  };
+}
+
+/**
+ * 获取规则的条件字段，子表内字段以 子表唯一标识.字段唯一标识 表示
+ * @param {module:LinkageEngine~LinkageRule} rule 联动规则
+ * @returns {Array<string>} 条件字段
+ */
+function getSourceKeys(rule) {
+  return rule.conditionMap
+    .filter((item) => item.from)
+    .map((item) =>
+      item.isSubform ? `${rule.tableFieldId}.${item.from}` : item.from
+    );
+}
+
+/**
+ * 获取规则的填充字段，子表内字段以 子表唯一标识.字段唯一标识 表示
+ * @param {module:LinkageEngine~LinkageRule} rule 联动规则
+ * @returns {Array<string>} 填充字段
+ */
+function getTargetKeys(rule) {
+  return rule.fieldMappings.map((item) =>
+    rule.tableFieldId ? `${rule.tableFieldId}.${item.to}` : item.to
+  );
+}
+
+/**
+ * 查找规则图中的循环依赖，规则A的填充字段是规则B的条件字段时，A指向B
+ * @param {Array<module:LinkageEngine~LinkageRule>} rules 联动规则
+ * @returns {Array<string> | undefined} 构成循环的规则名称，没有循环时为undefined
+ */
+function findCycle(rules) {
+  const edges = rules.map((rule) => {
+    const targets = getTargetKeys(rule);
+    return rules.filter((next) =>
+      getSourceKeys(next).some((key) => targets.includes(key))
+    );
+  });
+
+  const visiting = [];
+  const visited = new Set();
+  const visit = (rule) => {
+    const index = visiting.indexOf(rule);
+    if (index !== -1) {
+      return visiting.slice(index).concat(rule);
+    }
+    if (visited.has(rule)) return undefined;
+
+    visiting.push(rule);
+    for (const next of edges[rules.indexOf(rule)]) {
+      const cycle = visit(next);
+      if (cycle) return cycle;
+    }
+    visiting.pop();
+    visited.add(rule);
+    return undefined;
+  };
+
+  for (const rule of rules) {
+    const cycle = visit(rule);
+    if (cycle) return cycle.map((item) => item.name);
+  }
+  return undefined;
+}
+
+/**
+ * 数据联动规则引擎类
+ *
+ * @example
+ * // 根据申请人带出部门，再根据部门带出部门负责人
+ * // 引擎填充的字段会自动触发链式联动，用户输入的字段需要在值变更动作中调用 notify
+ * export function didMount() {
+ *   this.linkageEngine = new LinkageEngine(this)
+ *     .addRule({
+ *       name: "申请人部门",
+ *       targetFormUuid: "FORM-emp",
+ *       conditionMap: [{ from: "textField_proposer", to: "textField_name" }],
+ *       fieldMappings: [{ from: "textField_dept", to: "textField_dept" }],
+ *     })
+ *     .addRule({
+ *       name: "部门负责人",
+ *       targetFormUuid: "FORM-dept",
+ *       conditionMap: [{ from: "textField_dept", to: "textField_name" }],
+ *       fieldMappings: [{ from: "textField_leader", to: "textField_leader" }],
+ *     })
+ *     .addRule({
+ *       name: "明细单价",
+ *       targetFormUuid: "FORM-goods",
+ *       tableFieldId: "tableField_items",
+ *       conditionMap: [{ from: "textField_goods", to: "textField_name", isSubform: true }],
+ *       fieldMappings: [{ from: "numberField_price", to: "numberField_price" }],
+ *     })
+ *     .start();
+ * }
+ *
+ * // 申请人的值变更动作回调
+ * export function onProposerChange() {
+ *   this.linkageEngine.notify("textField_proposer");
+ * }
+ *
+ * // 子表的值变更动作回调
+ * export function onItemsChange() {
+ *   this.linkageEngine.notify("tableField_items");
+ * }
+ *
+ * // 提交前等待联动完成
+ * export async function beforeSubmit() {
+ *   await this.linkageEngine.flush();
+ * }
+ */
+class LinkageEngine {
+  /**
+   * 构造器
+   * @param {Object} context this上下文
+   * @param {module:LinkageEngine~LinkageEngineOptions} [options] 选项
+   */
+  constructor(context, options) {
+    if (!context) throw new ValidationError("context is required");
+
+    this.context = context;
+    this.options = Object.assign(
+      {
+        wait: 300,
+        subscribe: subscribeFieldChange,
+        onError: (error, rule) =>
+          console.error(`[数据联动]规则 ${rule.name} 执行失败`, error),
+      },
+      options
+    );
+    this.rules = [];
+    this.started = false;
+    this._unsubscribes = [];
+    this._timers = new Map();
+    this._pending = new Set();
+    // 规则 -> (子表行标识 -> 最近一次联动的取消控制器)，只保留每行最新一次联动的结果
+    this._controllers = new Map();
+    // 规则 -> (子表行标识 -> 上次联动时的条件值)
+    this._snapshots = new Map();
+  }
+
+  /**
+   * 注册联动规则，规则之间构成循环依赖时抛出 ValidationError
+   * @param {module:LinkageEngine~LinkageRule} rule 联动规则
+   * @returns {module:LinkageEngine~LinkageEngine} 当前实例
+   */
+  addRule(rule) {
+    if (this.started) {
+      throw new ValidationError("Cannot add rules after the engine started");
+    }
+    if (!rule || !rule.targetFormUuid) {
+      throw new ValidationError("targetFormUuid is required");
+    }
+    if (!Array.isArray(rule.conditionMap) || !rule.conditionMap.length) {
+      throw new ValidationError("conditionMap must be a non-empty array");
+    }
+    if (!Array.isArray(rule.fieldMappings) || !rule.fieldMappings.length) {
+      throw new ValidationError("fieldMappings must be a non-empty array");
+    }
+    if (
+      !rule.tableFieldId &&
+      rule.conditionMap.some((item) => item.isSubform)
+    ) {
+      throw new ValidationError(
+        "tableFieldId is required when conditionMap contains subform fields"
+      );
+    }
+
+    const rules = this.rules.concat(
+      Object.assign(
+        {
+          name: `rule${this.rules.length + 1}`,
+          targetFormType: "form",
+          stirctCondition: true,
+        },
+        rule
+      )
+    );
+    const cycle = findCycle(rules);
+    if (cycle) {
+      throw new ValidationError(
+        `Linkage rules contain a cycle: ${cycle.join(" -> ")}`
+      );
+    }
+
+    this.rules = rules;
+    return this;
+  }
+
+  /**
+   * 开始监听条件字段的变更，已有的字段值不会触发联动
+   * @returns {module:LinkageEngine~LinkageEngine} 当前实例
+   */
+  start() {
+    if (this.started) return this;
+
+    const fieldIds = new Set();
+    for (const rule of this.rules) {
+      this._snapshots.set(rule, this._readConditions(rule));
+      for (const item of rule.conditionMap.filter((item) => item.from)) {
+        fieldIds.add(item.isSubform ? rule.tableFieldId : item.from);
+      }
+    }
+    for (const fieldId of fieldIds) {
+      if (!this.options.subscribe) break;
+      this._unsubscribes.push(
+        this.options.subscribe(this.context, fieldId, () =>
+          this._onFieldChange(fieldId)
+        )
+      );
+    }
+
+    this.started = true;
+    return this;
+  }
+
+  /**
+   * 停止监听，并取消还未执行和还未完成的联动
+   */
+  stop() {
+    this._unsubscribes.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribes = [];
+    this._timers.forEach((timer) => clearTimeout(timer));
+    this._timers.clear();
+    for (const controllers of this._controllers.values()) {
+      controllers.forEach((controller) => controller.abort());
+    }
+    this._controllers.clear();
+    this.started = false;
+  }
+
+  /**
+   * 通知引擎组件值发生了变更，应当在条件字段的值变更动作（onChange）中调用。
+   * 子表内的字段变更时传入子表唯一标识。引擎未启动时忽略
+   * @param {string} fieldId 组件唯一标识
+   */
+  notify(fieldId) {
+    if (this.started) this._onFieldChange(fieldId);
+  }
+
+  /**
+   * 立即执行所有等待防抖的联动，并等待包括链式联动在内的所有联动完成
+   * @returns {Promise}
+   */
+  async flush() {
+    while (this._timers.size || this._pending.size) {
+      for (const [rule, timer] of this._timers) {
+        clearTimeout(timer);
+        this._run(rule);
+      }
+      await Promise.all(Array.from(this._pending));
+    }
+  }
+
+  /**
+   * 组件值变更时，对依赖此组件的规则进行防抖
+   * @param {string} fieldId 组件唯一标识
+   */
+  _onFieldChange(fieldId) {
+    for (const rule of this.rules) {
+      const depends = rule.conditionMap.some(
+        (item) => (item.isSubform ? rule.tableFieldId : item.from) === fieldId
+      );
+      if (!depends) continue;
+
+      clearTimeout(this._timers.get(rule));
+      this._timers.set(
+        rule,
+        setTimeout(() => this._run(rule), this.options.wait)
+      );
+    }
+  }
+
+  /**
+   * 读取规则当前的条件值
+   * @param {module:LinkageEngine~LinkageRule} rule 联动规则
+   * @returns {Map<string, string>} 子表行标识 -> 条件值，主表规则的行标识为空字符串
+   */
+  _readConditions(rule) {
+    const readRow = (row) =>
+      JSON.stringify(
+        rule.conditionMap.map((item) =>
+          !item.from
+            ? item.value
+            : item.isSubform
+              ? (row || {})[item.from]
+              : this.context.$(item.from).getValue()
+        )
+      );
+
+    if (!rule.tableFieldId) {
+      return new Map([["", readRow()]]);
+    }
+    const subform = this.context.$(rule.tableFieldId);
+    const rows = subform.getValue() || [];
+    return new Map(
+      (subform.getItems() || []).map((formGroupId, index) => [
+        formGroupId,
+        readRow(rows[index]),
+      ])
+    );
+  }
+
+  /**
+   * 对条件值发生变化的主表或者子表行执行联动
+   * @param {module:LinkageEngine~LinkageRule} rule 联动规则
+   */
+  _run(rule) {
+    this._timers.delete(rule);
+
+    const previous = this._snapshots.get(rule) || new Map();
+    const current = this._readConditions(rule);
+    this._snapshots.set(rule, current);
+
+    if (!this._controllers.has(rule)) this._controllers.set(rule, new Map());
+    const controllers = this._controllers.get(rule);
+
+    for (const [formGroupId, conditions] of current) {
+      if (previous.get(formGroupId) === conditions) continue;
+
+      // 同一行有进行中的联动时取消它，避免较慢的旧结果覆盖新结果
+      if (controllers.has(formGroupId)) controllers.get(formGroupId).abort();
+      const controller = new AbortController();
+      controllers.set(formGroupId, controller);
+      const options = { pick: rule.pick, signal: controller.signal };
+
+      const promise = (
+        rule.tableFieldId
+          ? dataLinkageSubformMulti(
+              this.context,
+              rule.tableFieldId,
+              formGroupId,
+              rule.targetFormType,
+              rule.targetFormUuid,
+              rule.fieldMappings,
+              rule.conditionMap,
+              rule.stirctCondition,
+              options
+            )
+          : dataLinkageMulti(
+              this.context,
+              rule.targetFormType,
+              rule.targetFormUuid,
+              rule.fieldMappings,
+              rule.conditionMap,
+              rule.stirctCondition,
+              options
+            )
+      )
+        .then(
+          () => {
+            // 宜搭中填充字段不会触发值变更动作，由引擎触发链式联动
+            const fieldIds = rule.tableFieldId
+              ? [rule.tableFieldId]
+              : rule.fieldMappings.map((item) => item.to);
+            fieldIds.forEach((fieldId) => this.notify(fieldId));
+          },
+          (error) => {
+            if (controller.signal.aborted) return;
+            // 失败的行不保留条件快照，条件值不变时再次通知也会重新联动
+            const snapshot = this._snapshots.get(rule);
+            if (snapshot && snapshot.get(formGroupId) === conditions) {
+              snapshot.delete(formGroupId);
+            }
+            this.options.onError(error, rule);
+          }
+        )
+        .then(() => {
+          if (controllers.get(formGroupId) === controller) {
+            controllers.delete(formGroupId);
+          }
+          this._pending.delete(promise);
+        });
+      this._pending.add(promise);
+    }
+  }
+}
+
+export { LinkageEngine };
@@ -0,0 +1,147 @@
+/**
+ * 请求限速
+ * @module RateLimiter
+ */
+
+import { ValidationError } from "./errors";
+
+/**
+ * RateLimiter 选项
+ * @typedef {Object} RateLimiterOptions
+ * @property {number} [rate] 每个时间窗口内最多允许多少次请求，默认为5
+ * @property {number} [interval] 时间窗口，单位毫秒，默认为1000，即默认每秒最多5次请求
+ * @property {number} [burst] 令牌桶容量，即空闲一段时间后最多允许连续发出多少次请求，默认等于rate
+ */
+
+/**
+ * 令牌桶限速器，令牌以 rate / interval 的速度匀速补充，每次请求消耗一个令牌，
+ * 没有令牌时请求按照先后顺序排队等待 <br/>
+ * 通常通过 {@link module:Request.enableRateLimit} 为数据源启用限速，
+ * 也可以传给 {@link module:BatchTaskRunner~BatchTaskRunner} 或者直接用来包装任意异步函数
+ *
+ * @example
+ * // 每秒最多2次请求
+ * const limiter = new RateLimiter({ rate: 2 });
+ * for (const formData of formDatas) {
+ *   await limiter.acquire();
+ *   await doUpdate(formData);
+ * }
+ *
+ * // 等效写法
+ * await Promise.all(formDatas.map((formData) => limiter.schedule(() => doUpdate(formData))));
+ */
+class RateLimiter {
+  /**
+   * 创建一个限速器
+   * @param {module:RateLimiter~RateLimiterOptions} [options] 选项
+   */
+  constructor(options) {
+    options = Object.assign({ rate: 5, interval: 1000 }, options);
+    if (!(options.rate > 0)) throw new ValidationError("rate must be positive");
+    if (!(options.interval > 0)) {
+      throw new ValidationError("interval must be positive");
+    }
+
+    this.rate = options.rate;
+    this.interval = options.interval;
+    this.burst = Math.max(options.burst || options.rate, 1);
+
+    this._tokens = this.burst;
+    this._lastRefill = Date.now();
+    // 排队中的请求，每一项为 { resolve, reject, signal, onAbort }
+    this._queue = [];
+    this._timer = null;
+  }
+
+  /**
+   * 排队等待中的请求数
+   * @type {number}
+   */
+  get pending() {
+    return this._queue.length;
+  }
+
+  /**
+   * @access private
+   * 按照流逝的时间补充令牌
+   */
+  _refill() {
+    const now = Date.now();
+    const tokens = ((now - this._lastRefill) * this.rate) / this.interval;
+    this._tokens = Math.min(this.burst, this._tokens + tokens);
+    this._lastRefill = now;
+  }
+
+  /**
+   * @access private
+   * 依次放行排队的请求，令牌不足时等待下一个令牌
+   */
+  _drain() {
+    this._timer = null;
+    this._refill();
+
+    while (this._queue.length && this._tokens >= 1) {
+      const waiter = this._queue.shift();
+      this._tokens -= 1;
+      if (waiter.signal) {
+        waiter.signal.removeEventListener("abort", waiter.onAbort);
+      }
+      waiter.resolve();
+    }
+
+    if (this._queue.length) {
+      const wait = ((1 - this._tokens) * this.interval) / this.rate;
+      this._timer = setTimeout(() => this._drain(), Math.ceil(wait));
+    }
+  }
+
+  /**
+   * 尝试立即获取一个令牌，不会排队
+   * @returns {boolean} 是否获取成功
+   */
+  tryAcquire() {
+    this._refill();
+    if (this._queue.length || this._tokens < 1) return false;
+
+    this._tokens -= 1;
+    return true;
+  }
+
+  /**
+   * 获取一个令牌，没有令牌时排队等待
+   * @param {AbortSignal} [signal] 取消排队的信号，取消后返回的Promise被reject
+   * @returns {Promise<void>} 获取到令牌后resolve
+   */
+  acquire(signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason || Error("aborted"));
+    }
+    if (this.tryAcquire()) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal };
+      if (signal) {
+        waiter.onAbort = () => {
+          this._queue.splice(this._queue.indexOf(waiter), 1);
+          reject(signal.reason || Error("aborted"));
+        };
+        signal.addEventListener("abort", waiter.onAbort);
+      }
+      this._queue.push(waiter);
+      if (!this._timer) this._drain();
+    });
+  }
+
+  /**
+   * 获取令牌后执行函数
+   * @param {Function} callable 要执行的函数
+   * @param {...*} args 传递给callable的参数
+   * @returns {Promise<any>} callable的返回值
+   */
+  async schedule(callable, ...args) {
+    await this.acquire();
+    return callable(...args);
+  }
+}
+
+export { RateLimiter };
@@ -0,0 +1,239 @@
+/**
+ * 数据源请求缓存
+ * @module RequestCache
+ */
+
+/**
+ * 生成与属性顺序无关的JSON字符串，用于生成缓存键
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * RequestCache 选项
+ * @typedef {Object} RequestCacheOptions
+ * @property {number} [ttl] 缓存有效期，单位毫秒，默认为60000（1分钟）
+ * @property {number} [maxSize] 最多缓存多少条，超出后淘汰最久未使用的缓存，默认为100
+ */
+
+/**
+ * 缓存关联的表单信息，用于写操作后自动失效缓存
+ * @typedef {Object} CacheTags
+ * @property {Array<string>} [formUuids] 缓存数据涉及的表单ID
+ * @property {Array<string>} [instanceIds] 缓存数据涉及的实例ID
+ */
+
+/**
+ * 带有效期的LRU缓存，缓存键由数据源名称和请求参数生成 <br/>
+ * 一般不需要直接使用，通过 {@link module:Request.enableRequestCache} 启用数据源请求缓存即可
+ *
+ * @example
+ * const cache = new RequestCache({ ttl: 30000, maxSize: 50 });
+ * const key = RequestCache.key("getFormData", { formInstId: "FINST-xxx" });
+ * cache.set(key, response, { formUuids: ["FORM-xxx"], instanceIds: ["FINST-xxx"] });
+ * cache.get(key); // response
+ * cache.invalidateForm("FORM-xxx");
+ * cache.get(key); // undefined
+ */
+class RequestCache {
+  /**
+   * 创建一个请求缓存
+   * @param {module:RequestCache~RequestCacheOptions} [options] 选项
+   */
+  constructor(options) {
+    options = Object.assign({ ttl: 60000, maxSize: 100 }, options);
+
+    this.ttl = options.ttl;
+    this.maxSize = options.maxSize;
+    // Map 会保持插入顺序，最近使用的缓存会被移动到末尾
+    this._entries = new Map();
+    // 实例ID -> 表单ID，从缓存数据中收集，用于只知道实例ID的写操作
+    this._instanceForms = new Map();
+    // 每次失效递增的代数，用于丢弃失效前发出、失效后才返回的请求结果
+    this._generation = 0;
+    this._clearedAt = 0;
+    // 表单ID -> 最近一次失效时的代数
+    this._formInvalidatedAt = new Map();
+    // 实例ID -> 最近一次失效时的代数
+    this._instanceInvalidatedAt = new Map();
+  }
+
+  /**
+   * 生成缓存键
+   * @static
+   * @param {string} name 数据源名称
+   * @param {Object} params 请求参数
+   * @returns {string} 缓存键
+   */
+  static key(name, params) {
+    return `${name}:${stableStringify(params || {})}`;
+  }
+
+  /**
+   * 当前代数，每次失效缓存都会递增。请求前记录代数，响应后通过 {@link module:RequestCache~RequestCache#isStale} 判断结果是否还能缓存
+   * @type {number}
+   */
+  get generation() {
+    return this._generation;
+  }
+
+  /**
+   * 判断在某个代数之后，缓存关联的表单或者实例是否被失效过
+   * @param {module:RequestCache~CacheTags} tags 缓存关联的表单信息
+   * @param {number} generation 请求前记录的代数
+   * @returns {boolean} 为true时说明请求结果可能是失效前的旧数据，不应该缓存
+   */
+  isStale(tags, generation) {
+    if (this._clearedAt > generation) return true;
+
+    const formUuids = (tags && tags.formUuids) || [];
+    const instanceIds = (tags && tags.instanceIds) || [];
+    return (
+      formUuids.some(
+        (formUuid) => (this._formInvalidatedAt.get(formUuid) || 0) > generation
+      ) ||
+      instanceIds.some(
+        (instanceId) =>
+          (this._instanceInvalidatedAt.get(instanceId) || 0) > generation ||
+          (this._formInvalidatedAt.get(this._instanceForms.get(instanceId)) ||
+            0) > generation
+      )
+    );
+  }
+
+  /**
+   * 当前缓存条数，包含已过期但还未被清理的缓存
+   * @type {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * 读取缓存，缓存不存在或者已过期时返回undefined
+   * @param {string} key 缓存键
+   * @returns {any} 缓存值
+   */
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expireAt <= Date.now()) {
+      this._entries.delete(key);
+      return undefined;
+    }
+
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * 判断缓存是否存在且未过期
+   * @param {string} key 缓存键
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} key 缓存键
+   * @param {any} value 缓存值，undefined不会被缓存
+   * @param {module:RequestCache~CacheTags} [tags] 缓存关联的表单信息
+   * @param {number} [ttl] 本条缓存的有效期，默认使用实例的ttl
+   */
+  set(key, value, tags, ttl) {
+    if (value === undefined) return;
+
+    const formUuids = new Set((tags && tags.formUuids) || []);
+    const instanceIds = new Set((tags && tags.instanceIds) || []);
+    if (formUuids.size === 1) {
+      const [formUuid] = formUuids;
+      for (const instanceId of instanceIds) {
+        this._instanceForms.set(instanceId, formUuid);
+      }
+    }
+
+    this._entries.delete(key);
+    this._entries.set(key, {
+      value,
+      formUuids,
+      instanceIds,
+      expireAt: Date.now() + (ttl === undefined ? this.ttl : ttl),
+    });
+
+    while (this._entries.size > this.maxSize) {
+      const [oldestKey] = this._entries.keys();
+      this._entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * 删除指定缓存
+   * @param {string} key 缓存键
+   */
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * 失效某个表单的所有缓存
+   * @param {string} formUuid 表单ID
+   */
+  invalidateForm(formUuid) {
+    this._formInvalidatedAt.set(formUuid, ++this._generation);
+    for (const [key, entry] of this._entries) {
+      if (entry.formUuids.has(formUuid)) this._entries.delete(key);
+    }
+  }
+
+  /**
+   * 失效某个实例所属表单的缓存 <br/>
+   * 实例的修改可能影响任意一个查询结果（比如修改后的数据开始符合某个查询条件），
+   * 所以无法确定实例所属表单时会清空所有缓存
+   * @param {string} instanceId 实例ID
+   * @param {string} [formUuid] 实例所属表单ID，不传时从缓存数据中查找
+   */
+  invalidateInstance(instanceId, formUuid) {
+    formUuid = formUuid || this._instanceForms.get(instanceId);
+    if (!formUuid) {
+      this.clear();
+      return;
+    }
+
+    this._instanceInvalidatedAt.set(instanceId, ++this._generation);
+    this.invalidateForm(formUuid);
+    for (const [key, entry] of this._entries) {
+      if (entry.instanceIds.has(instanceId)) this._entries.delete(key);
+    }
+  }
+
+  /**
+   * 清空所有缓存
+   */
+  clear() {
+    this._clearedAt = ++this._generation;
+    this._entries.clear();
+    this._instanceForms.clear();
+    this._formInvalidatedAt.clear();
+    this._instanceInvalidatedAt.clear();
+  }
+}
+
+export { RequestCache };
@@ -0,0 +1,414 @@
+/**
+ * 连接器客户端：注册连接器的参数、响应格式，统一处理超时、响应解析、错误转换，并支持在测试中模拟连接器 <br/>
+ * 底层通过 {@link module:DataSource.invokeConnector} 调用连接器
+ * @module Connector
+ */
+
+import { invokeConnector } from "./data-source";
+import {
+  AwhError,
+  ValidationError,
+  RemoteError,
+  TimeoutError,
+  toRemoteError,
+} from "./errors";
+
+// 连接器名称 -> 连接器配置
+const connectors = new Map();
+// 连接器名称 -> 模拟处理函数
+const connectorMocks = new Map();
+
+/**
+ * 数据格式，JSON Schema 的子集，支持 type、properties、required、items、enum，也可以传入一个校验函数
+ * @typedef {Object | function(any): (boolean | string)} Schema
+ * @property {string | Array<string>} [type] 类型：string、number、integer、boolean、object、array、null
+ * @property {Object.<string, module:Connector~Schema>} [properties] 对象属性的格式
+ * @property {Array<string>} [required] 必填属性
+ * @property {module:Connector~Schema} [items] 数组元素的格式
+ * @property {Array<any>} [enum] 可选值
+ */
+
+/**
+ * 连接器配置
+ * @typedef {Object} ConnectorConfig
+ * @property {string} [dataSourceName] 数据源名称，默认为连接器名称
+ * @property {module:Connector~Schema} [input] 参数格式，调用前校验，不符合时抛出 {@link module:Errors~ValidationError}
+ * @property {module:Connector~Schema} [output] 响应格式，解析响应后校验，不符合时抛出 {@link module:Errors~RemoteError}，code 为 INVALID_RESPONSE
+ * @property {number} [timeout] 超时时间，单位毫秒，超时后抛出 {@link module:Errors~TimeoutError}，默认不限制
+ * @property {boolean | function(any): any} [unwrap] 是否解析响应，默认为true，参见 {@link module:Connector.unwrapConnectorResponse}；
+ * 也可以传入自定义解析函数
+ * @property {function(any): any} [transform] 校验通过后转换响应，返回值即为 callConnector 的返回值
+ * @property {module:Utils~RetryPolicy | false} [retry] 重试策略，同 {@link module:Request.loadDataSource}
+ */
+
+/**
+ * 连接器模拟处理函数
+ * @callback ConnectorMockHandler
+ * @param {Object} params 调用参数
+ * @param {Object} context this上下文
+ * @returns {any} 连接器原始响应，可以返回Promise，抛出异常表示调用失败
+ */
+
+/**
+ * 获取值的类型，区分 integer、array、null
+ * @param {any} value
+ * @returns {Array<string>} 值符合的所有类型
+ */
+function typesOf(value) {
+  if (value === null) return ["null"];
+  if (Array.isArray(value)) return ["array"];
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? ["number", "integer"] : ["number"];
+  }
+  return [typeof value];
+}
+
+/**
+ * 按数据格式校验值
+ * @param {any} value 要校验的值
+ * @param {module:Connector~Schema} schema 数据格式
+ * @param {string} path 值的路径，用于错误信息
+ * @returns {Array<string>} 错误信息，校验通过时为空数组
+ */
+function validateSchema(value, schema, path) {
+  if (!schema) return [];
+  if (typeof schema === "function") {
+    const result = schema(value);
+    if (result === true || result === undefined) return [];
+    return [typeof result === "string" ? result : `${path} is invalid`];
+  }
+
+  if (schema.type) {
+    const expected = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typesOf(value);
+    if (!expected.some((type) => actual.indexOf(type) !== -1)) {
+      return [`${path} should be ${expected.join(" | ")}, got ${actual[0]}`];
+    }
+  }
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    return [`${path} should be one of ${schema.enum.join(", ")}`];
+  }
+
+  const errors = [];
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const key in schema.properties || {}) {
+      if (value[key] === undefined) continue;
+      errors.push(
+        ...validateSchema(value[key], schema.properties[key], `${path}.${key}`)
+      );
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * 字符串尝试解析为JSON，解析失败时返回原字符串
+ * @param {any} value
+ * @returns {any}
+ */
+function parseJSON(value) {
+  if (typeof value !== "string") return value;
+  const text = value.trim();
+  if (!/^[[{"]/.test(text)) return value;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * 解析连接器的常见响应格式：
+ * <ul>
+ * <li>{ serviceReturnValue: ... } 取 serviceReturnValue</li>
+ * <li>HTTP连接器的 { status / statusCode, body, headers }：状态码大于等于400时抛出错误，否则返回 body</li>
+ * <li>字符串形式的JSON会被解析为对象</li>
+ * <li>钉钉等接口的 { errcode, errmsg }：errcode 不为0时抛出错误</li>
+ * <li>{ success: false, errorCode, errorMsg }：抛出错误</li>
+ * </ul>
+ * @static
+ * @param {any} response 连接器原始响应
+ * @param {string} [connectorName] 连接器名称，用于错误信息
+ * @returns {any} 解析后的数据
+ * @throws {module:Errors~RemoteError} 响应表示调用失败，被限流（比如HTTP状态码为429）时为 {@link module:Errors~RateLimitError}
+ *
+ * @example
+ * unwrapConnectorResponse({ status: 200, body: '{"errcode":0,"result":[1,2]}' });
+ * // { errcode: 0, result: [1, 2] }
+ */
+function unwrapConnectorResponse(response, connectorName) {
+  let data = parseJSON(response);
+  if (data && typeof data === "object" && "serviceReturnValue" in data) {
+    data = parseJSON(data.serviceReturnValue);
+  }
+
+  if (data && typeof data === "object" && "body" in data) {
+    const status = data.status !== undefined ? data.status : data.statusCode;
+    if (typeof status === "number" || /^\d+$/.test(status)) {
+      const body = parseJSON(data.body);
+      if (Number(status) >= 400) {
+        const bodyMessage =
+          body && typeof body === "object"
+            ? body.message || body.errmsg || body.errorMsg
+            : body;
+        throw toRemoteError(connectorName, {
+          code: String(status),
+          message: `HTTP ${status}${bodyMessage ? `：${bodyMessage}` : ""}`,
+          body,
+        });
+      }
+      data = body;
+    }
+  }
+
+  if (data && typeof data === "object" && !Array.isArray(data)) {
+    if (data.errcode !== undefined && Number(data.errcode) !== 0) {
+      throw toRemoteError(connectorName, {
+        code: data.errcode,
+        message: data.errmsg,
+        body: data,
+      });
+    }
+    if (data.success === false) {
+      throw toRemoteError(connectorName, data);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * 注册连接器，之后可以通过 {@link module:Connector.callConnector} 按名称调用 <br/>
+ * 重复注册会覆盖之前的配置
+ * @static
+ * @param {string} name 连接器名称，未指定 dataSourceName 时也是数据源名称
+ * @param {module:Connector~ConnectorConfig} [config] 连接器配置
+ *
+ * @example
+ * registerConnector("subDepts", {
+ *   input: { type: "object", required: ["Body"] },
+ *   output: {
+ *     type: "object",
+ *     required: ["result"],
+ *     properties: { result: { type: "array", items: { type: "object", required: ["dept_id", "name"] } } },
+ *   },
+ *   timeout: 10000,
+ *   transform: (data) => data.result,
+ * });
+ */
+function registerConnector(name, config) {
+  if (!name) throw new ValidationError("connector name is required");
+  connectors.set(
+    name,
+    Object.assign({ dataSourceName: name, unwrap: true }, config)
+  );
+}
+
+/**
+ * 取消注册连接器，不传名称时取消注册所有连接器
+ * @static
+ * @param {string} [name] 连接器名称
+ */
+function unregisterConnector(name) {
+  if (name === undefined) connectors.clear();
+  else connectors.delete(name);
+}
+
+/**
+ * 获取已注册的连接器配置
+ * @static
+ * @returns {Object.<string, module:Connector~ConnectorConfig>} 连接器名称 -> 连接器配置
+ */
+function getRegisteredConnectors() {
+  const result = {};
+  connectors.forEach((config, name) => (result[name] = config));
+  return result;
+}
+
+/**
+ * 模拟连接器，模拟后调用该连接器时不再请求数据源，而是调用处理函数，处理函数的返回值同样会经过解析和校验
+ * @static
+ * @param {string} name 连接器名称
+ * @param {module:Connector~ConnectorMockHandler | any} handler 处理函数，传入其他值时直接作为响应
+ *
+ * @example
+ * // 测试中
+ * mockConnector("subDepts", (params) => ({
+ *   status: 200,
+ *   body: JSON.stringify({ errcode: 0, result: [{ dept_id: 2, name: "研发部" }] }),
+ * }));
+ * const depts = await callConnector(context, "subDepts", { Body: { dept_id: 1 } });
+ * clearConnectorMocks();
+ */
+function mockConnector(name, handler) {
+  if (!name) throw new ValidationError("connector name is required");
+  connectorMocks.set(
+    name,
+    typeof handler === "function" ? handler : () => handler
+  );
+}
+
+/**
+ * 清除连接器模拟，不传名称时清除所有模拟
+ * @static
+ * @param {string} [name] 连接器名称
+ */
+function clearConnectorMocks(name) {
+  if (name === undefined) connectorMocks.clear();
+  else connectorMocks.delete(name);
+}
+
+/**
+ * 等待请求完成，超时或者取消时提前结束
+ * @param {Promise<any>} promise 请求
+ * @param {string} name 连接器名称
+ * @param {number} [timeout] 超时时间
+ * @param {AbortSignal} [signal] 取消信号
+ * @returns {Promise<any>}
+ */
+function withTimeout(promise, name, timeout, signal) {
+  if (!timeout && !signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const onAbort = () => {
+      cleanup();
+      reject(signal.reason || new AwhError(`连接器${name}调用已取消`));
+    };
+    const cleanup = () => {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        cleanup();
+        reject(
+          new TimeoutError(`连接器${name}调用超时（${timeout}ms）`, {
+            dataSourceName: name,
+            timeout,
+          })
+        );
+      }, timeout);
+    }
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort);
+    }
+
+    promise.then(
+      (value) => {
+        cleanup();
+        resolve(value);
+      },
+      (e) => {
+        cleanup();
+        reject(e);
+      }
+    );
+  });
+}
+
+/**
+ * 调用连接器：校验参数，调用连接器（或者模拟处理函数），解析响应，校验响应格式，最后转换响应 <br/>
+ * 未注册的连接器也可以调用，此时只解析响应
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} name 连接器名称
+ * @param {Object} [params] 连接器执行动作参数，同 {@link module:DataSource.invokeConnector}
+ * @param {Object} [options] 本次调用的选项，会覆盖注册时的配置
+ * @param {number} [options.timeout] 超时时间，单位毫秒
+ * @param {AbortSignal} [options.signal] 取消信号
+ * @param {module:Utils~RetryPolicy | false} [options.retry] 重试策略
+ * @returns {Promise<any>} 解析、转换后的响应
+ * @throws {module:Errors~ValidationError} 参数不符合格式
+ * @throws {module:Errors~TimeoutError} 调用超时
+ * @throws {module:Errors~RemoteError} 调用失败或者响应不符合格式
+ *
+ * @example
+ * try {
+ *   const depts = await callConnector(this, "subDepts", { Body: { dept_id: 1 } });
+ * } catch (e) {
+ *   if (e instanceof TimeoutError) console.log("请求超时，请稍后再试");
+ *   else if (e instanceof RemoteError) console.log(`请求失败：${e.code} ${e.message}`);
+ * }
+ */
+async function callConnector(context, name, params, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!name) throw new ValidationError("connector name is required");
+  const config = Object.assign(
+    { dataSourceName: name, unwrap: true },
+    connectors.get(name),
+    options
+  );
+  params = params || {};
+
+  const inputErrors = validateSchema(params, config.input, "params");
+  if (inputErrors.length) {
+    throw new ValidationError(
+      `连接器${name}参数错误：${inputErrors.join("; ")}`
+    );
+  }
+
+  let request;
+  if (connectorMocks.has(name)) {
+    request = Promise.resolve()
+      .then(() => connectorMocks.get(name)(params, context))
+      .catch((e) => {
+        throw toRemoteError(config.dataSourceName, e);
+      });
+  } else {
+    request = invokeConnector(
+      context,
+      config.dataSourceName,
+      params,
+      config.retry === undefined ? undefined : { retry: config.retry }
+    );
+  }
+  const response = await withTimeout(
+    request,
+    name,
+    config.timeout,
+    config.signal
+  );
+
+  let data = response;
+  if (typeof config.unwrap === "function") data = config.unwrap(response);
+  else if (config.unwrap) {
+    data = unwrapConnectorResponse(response, config.dataSourceName);
+  }
+
+  const outputErrors = validateSchema(data, config.output, "response");
+  if (outputErrors.length) {
+    throw new RemoteError(
+      `连接器${name}响应格式错误：${outputErrors.join("; ")}`,
+      {
+        dataSourceName: config.dataSourceName,
+        code: "INVALID_RESPONSE",
+        response,
+      }
+    );
+  }
+
+  return config.transform ? config.transform(data) : data;
+}
+
+export {
+  registerConnector,
+  unregisterConnector,
+  getRegisteredConnectors,
+  mockConnector,
+  clearConnectorMocks,
+  unwrapConnectorResponse,
+  callConnector,
+};
@@ -0,0 +1,327 @@
+/**
+ * 表单数据统计，在前端对表单数据分组汇总，结果可以直接作为表格组件的数据源
+ * @module DataAggregate
+ */
+
+import { getFieldTypeById, getFieldDataTypeById } from "./field";
+import { dateTimeFormat, round } from "./utils";
+import { ValidationError } from "./errors";
+
+/**
+ * 支持的统计方式
+ * @type {Array<string>}
+ */
+const METRIC_OPS = ["count", "sum", "avg", "min", "max", "distinct"];
+
+/**
+ * 分组字段
+ * @typedef {Object} GroupBySpec
+ * @property {string} field 字段唯一标识
+ * @property {string} [as] 结果中的属性名，默认为字段唯一标识
+ * @property {string} [format] 日期字段的分组格式，参见 {@link module:Utils.dateTimeFormat}，比如 "YYYY-MM" 表示按月分组，默认按天分组
+ * @property {boolean} [explode] 多值字段（复选、下拉多选、多选人员、部门等）是否按每个值分别分组，默认为true；
+ * 为false时以所有值的组合作为一个分组
+ */
+
+/**
+ * 统计项
+ * @typedef {Object} MetricSpec
+ * @property {"count" | "sum" | "avg" | "min" | "max" | "distinct"} op 统计方式：
+ * count - 条数，指定 field 时只统计该字段不为空的条数；sum、avg - 求和、平均值，仅支持数字、评分字段；
+ * min、max - 最小、最大值，支持数字、评分、日期字段；distinct - 不重复的值的个数，人员、部门字段按ID去重
+ * @property {string} [field] 字段唯一标识，count 可以不指定
+ * @property {string} [as] 结果中的属性名，默认为 op_field，比如 sum_numberField_xxx，count 不指定字段时为 count
+ * @property {number} [digits] 保留的小数位数，默认不处理
+ */
+
+/**
+ * aggregate 选项
+ * @typedef {Object} AggregateOptions
+ * @property {string | module:DataAggregate~GroupBySpec | Array<string | module:DataAggregate~GroupBySpec>} [groupBy]
+ * 分组字段，支持多个字段，不传则对所有数据汇总为一行
+ * @property {Array<module:DataAggregate~MetricSpec>} [metrics] 统计项，默认为 [{ op: "count" }]
+ */
+
+/**
+ * 获取人员、部门字段的 ID 和显示名称。
+ * 数据源返回的表单数据中名称和ID分别存放在 fieldId 和 fieldId_id 属性中，组件值则是 { name/text, value } 对象
+ * @param {Object} formData 表单数据
+ * @param {string} fieldId 字段唯一标识
+ * @returns {Array<{key: string, label: any}>}
+ */
+function getOptionValues(formData, fieldId) {
+  let labels = formData[fieldId];
+  let ids = formData[`${fieldId}_id`];
+  if (labels === undefined || labels === null) labels = [];
+  if (!Array.isArray(labels)) labels = [labels];
+  if (ids !== undefined && ids !== null && !Array.isArray(ids)) ids = [ids];
+
+  const length = ids ? Math.max(ids.length, labels.length) : labels.length;
+  const values = [];
+  for (let i = 0; i < length; i++) {
+    const item = labels[i];
+    if (item !== null && typeof item === "object") {
+      const text = item.name || item.text;
+      values.push({
+        key: String(item.value),
+        label: text && typeof text === "object" ? text.zh_CN : text,
+      });
+    } else {
+      const key = ids ? ids[i] : item;
+      values.push({ key: String(key), label: item === undefined ? key : item });
+    }
+  }
+  return values;
+}
+
+/**
+ * 获取字段的分组值，多值字段返回多个值
+ * @param {Object} formData 表单数据
+ * @param {module:DataAggregate~GroupBySpec} spec 分组字段
+ * @returns {Array<{key: string, label: any, id: any}>}
+ */
+function getGroupValues(formData, spec) {
+  const fieldType = getFieldTypeById(spec.field);
+  const value = formData[spec.field];
+  let values;
+
+  if (fieldType === "employee" || fieldType === "departmentSelect") {
+    values = getOptionValues(formData, spec.field).map((item) => ({
+      key: item.key,
+      label: item.label,
+      id: item.key,
+    }));
+  } else if (fieldType === "date") {
+    const empty = value === undefined || value === null || value === "";
+    const label = empty
+      ? null
+      : dateTimeFormat(new Date(Number(value)), spec.format || "YYYY-MM-DD");
+    values = [{ key: String(label), label }];
+  } else if (Array.isArray(value)) {
+    values = value.map((item) => ({ key: String(item), label: item }));
+  } else {
+    const empty = value === undefined || value === null || value === "";
+    values = [
+      { key: String(empty ? null : value), label: empty ? null : value },
+    ];
+  }
+
+  if (!values.length) return [{ key: "null", label: null, id: null }];
+  if (values.length > 1 && !spec.explode) {
+    return [
+      {
+        key: values.map((item) => item.key).join(","),
+        label: values.map((item) => item.label),
+        id: values.map((item) => item.id),
+      },
+    ];
+  }
+  return values;
+}
+
+/**
+ * 获取统计字段的值，用于 min、max、sum、avg、distinct
+ * @param {Object} formData 表单数据
+ * @param {string} fieldId 字段唯一标识
+ * @returns {Array<any>} 不为空的值
+ */
+function getMetricValues(formData, fieldId) {
+  const fieldType = getFieldTypeById(fieldId);
+  if (fieldType === "employee" || fieldType === "departmentSelect") {
+    return getOptionValues(formData, fieldId).map((item) => item.key);
+  }
+
+  const value = formData[fieldId];
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(
+    (item) => item !== undefined && item !== null && item !== ""
+  );
+}
+
+/**
+ * 统一分组字段和统计项的格式，并检查统计方式是否适用于字段类型
+ * @param {module:DataAggregate~AggregateOptions} options 选项
+ * @returns {{groupBy: Array<module:DataAggregate~GroupBySpec>, metrics: Array<module:DataAggregate~MetricSpec>}}
+ */
+function normalizeOptions(options) {
+  options = Object.assign({ metrics: [{ op: "count" }] }, options);
+
+  let groupBy = options.groupBy || [];
+  if (!Array.isArray(groupBy)) groupBy = [groupBy];
+  groupBy = groupBy.map((spec) => {
+    spec = typeof spec === "string" ? { field: spec } : Object.assign({}, spec);
+    if (!spec.field) throw new ValidationError("groupBy field is required");
+    return Object.assign({ as: spec.field, explode: true }, spec);
+  });
+
+  const metrics = options.metrics.map((metric) => {
+    const { op, field } = metric;
+    if (METRIC_OPS.indexOf(op) === -1) {
+      throw new ValidationError(`Unknown aggregate op: ${op}`);
+    }
+    if (op !== "count" && !field) {
+      throw new ValidationError(`${op} requires a field`);
+    }
+
+    const dataType = getFieldDataTypeById(field);
+    if (
+      (op === "sum" || op === "avg") &&
+      (dataType !== "number" || getFieldTypeById(field) === "date")
+    ) {
+      throw new ValidationError(`${op} 仅支持数字、评分字段：${field}`);
+    }
+    if ((op === "min" || op === "max") && dataType !== "number") {
+      throw new ValidationError(`${op} 仅支持数字、评分、日期字段：${field}`);
+    }
+
+    const as = metric.as || (field ? `${op}_${field}` : op);
+    return Object.assign({}, metric, { as });
+  });
+
+  return { groupBy, metrics };
+}
+
+/**
+ * 对表单数据分组统计 <br/>
+ * 人员、部门字段按ID分组，结果中为显示名称，ID存放在 fieldId_id 属性中；日期字段可以指定按天、月、年分组；
+ * 多值字段默认按每个值分别分组，此时一条数据会被计入多个分组
+ * @static
+ * @param {Array<Object>} formDatas 表单数据数组，比如 {@link module:DataSource.searchFormDatasAll} 的返回值
+ * @param {module:DataAggregate~AggregateOptions} [options] 选项
+ * @returns {Array<Object>} 每个分组一行，包含分组字段和统计项，按分组第一次出现的顺序排列
+ *
+ * @example
+ * const formDatas = await searchFormDatasAll(this, "form", "FORM-xxxxxx", {});
+ * const rows = aggregate(formDatas, {
+ *   groupBy: ["employeeField_sales", { field: "dateField_signDate", as: "month", format: "YYYY-MM" }],
+ *   metrics: [
+ *     { op: "count", as: "orders" },
+ *     { op: "sum", field: "numberField_amount", as: "amount" },
+ *     { op: "avg", field: "numberField_amount", as: "avgAmount", digits: 2 },
+ *     { op: "distinct", field: "selectField_customer", as: "customers" },
+ *   ],
+ * });
+ * // [
+ * //   { employeeField_sales: "张三", employeeField_sales_id: "1343242225778381", month: "2024-01", orders: 3, amount: 3000, avgAmount: 1000, customers: 2 },
+ * //   ...
+ * // ]
+ */
+function aggregate(formDatas, options) {
+  if (!Array.isArray(formDatas)) {
+    throw new ValidationError("formDatas must be an array");
+  }
+  const { groupBy, metrics } = normalizeOptions(options);
+
+  // 分组键 -> { row, states }
+  const groups = new Map();
+  const addToGroup = (formData, keys, row) => {
+    const key = JSON.stringify(keys);
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        row,
+        states: metrics.map(() => ({ count: 0, sum: 0, values: new Set() })),
+      };
+      groups.set(key, group);
+    }
+
+    metrics.forEach((metric, index) => {
+      const state = group.states[index];
+      if (metric.op === "count" && !metric.field) {
+        state.count += 1;
+        return;
+      }
+
+      const values = getMetricValues(formData, metric.field);
+      if (metric.op === "count") {
+        if (values.length) state.count += 1;
+      } else if (metric.op === "distinct") {
+        values.forEach((value) => state.values.add(String(value)));
+      } else {
+        for (const value of values.map(Number).filter((num) => !isNaN(num))) {
+          state.count += 1;
+          state.sum += value;
+          if (state.min === undefined || value < state.min) state.min = value;
+          if (state.max === undefined || value > state.max) state.max = value;
+        }
+      }
+    });
+  };
+
+  for (const formData of formDatas) {
+    // 多个分组字段时取各字段分组值的笛卡尔积
+    let combos = [{ keys: [], row: {} }];
+    for (const spec of groupBy) {
+      const next = [];
+      const fieldType = getFieldTypeById(spec.field);
+      for (const combo of combos) {
+        for (const value of getGroupValues(formData, spec)) {
+          const row = Object.assign({}, combo.row, { [spec.as]: value.label });
+          if (fieldType === "employee" || fieldType === "departmentSelect") {
+            row[`${spec.as}_id`] = value.id;
+          }
+          next.push({ keys: combo.keys.concat(value.key), row });
+        }
+      }
+      combos = next;
+    }
+    combos.forEach((combo) => addToGroup(formData, combo.keys, combo.row));
+  }
+
+  return Array.from(groups.values()).map(({ row, states }) => {
+    const result = Object.assign({}, row);
+    metrics.forEach((metric, index) => {
+      const state = states[index];
+      let value;
+      switch (metric.op) {
+        case "count":
+          value = state.count;
+          break;
+        case "sum":
+          value = state.sum;
+          break;
+        case "avg":
+          value = state.count ? state.sum / state.count : null;
+          break;
+        case "min":
+        case "max":
+          value = state[metric.op] === undefined ? null : state[metric.op];
+          break;
+        case "distinct":
+          value = state.values.size;
+          break;
+      }
+      if (typeof value === "number" && metric.digits !== undefined) {
+        value = round(value, metric.digits);
+      }
+      result[metric.as] = value;
+    });
+    return result;
+  });
+}
+
+/**
+ * 查询表单数据并分组统计，等效于 aggregate(await formQuery.fetchAll(), options)
+ * @static
+ * @param {module:FormQuery~FormQuery} formQuery 查询构造器
+ * @param {module:DataAggregate~AggregateOptions} [options] 选项
+ * @returns {Promise<Array<Object>>} 统计结果，参见 {@link module:DataAggregate.aggregate}
+ *
+ * @example
+ * const rows = await aggregateQuery(
+ *   query(this, "FORM-xxxxxx").createdBetween("2024-01-01", "2024-12-31"),
+ *   { groupBy: "selectField_region", metrics: [{ op: "sum", field: "numberField_amount", as: "amount" }] }
+ * );
+ * this.setState({ tableData: rows });
+ */
+async function aggregateQuery(formQuery, options) {
+  if (!formQuery || typeof formQuery.fetchAll !== "function") {
+    throw new ValidationError("formQuery must be a FormQuery");
+  }
+  // 先检查选项，避免查询完才发现选项有误
+  normalizeOptions(options);
+
+  return aggregate(await formQuery.fetchAll(), options);
+}
+
+export { aggregate, aggregateQuery };
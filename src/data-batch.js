@@ -0,0 +1,250 @@
+/**
+ * 批量新增、更新、删除表单数据，基于 {@link module:BatchTaskRunner~BatchTaskRunner} 实现，
+ * 支持控制并发数和请求频率，单条数据失败不影响其他数据，执行完成后返回每条数据的处理结果
+ * @module DataBatch
+ */
+
+import { BatchTaskRunner } from "./BatchTaskRunner";
+import { RateLimiter } from "./RateLimiter";
+import { sleep } from "./utils";
+import { ValidationError } from "./errors";
+import {
+  saveFormData,
+  startInstance,
+  updateFormData,
+  deleteFormData,
+} from "./data-source";
+
+/**
+ * 批量操作选项
+ * @typedef {Object} BatchWriteOptions
+ * @property {number} [concurrency] 每批同时处理多少条数据，默认为5
+ * @property {module:RateLimiter~RateLimiter | number} [rateLimit] 限速器，或者每秒最多请求次数，默认不限速
+ * @property {number} [retryFailed] 全部处理完后，对失败的数据再重试多少轮，默认为0（不重试）
+ * @property {number} [retryDelay] 每轮重试前等待的时间，单位毫秒，默认为1000
+ * @property {AbortSignal} [signal] 取消信号，取消后不再处理剩余数据，剩余数据记为失败
+ * @property {function(module:DataBatch~BatchWriteProgress): void} [onProgress] 每批处理完后调用
+ */
+
+/**
+ * 批量操作进度
+ * @typedef {Object} BatchWriteProgress
+ * @property {number} total 数据总条数
+ * @property {number} succeeded 已成功条数
+ * @property {number} failed 当前失败条数，重试成功后会减少
+ * @property {number} round 当前轮次，0表示首轮，之后每次重试加1
+ */
+
+/**
+ * 批量操作结果
+ * @typedef {Object} BatchWriteReport
+ * @property {number} total 数据总条数
+ * @property {Array<{index: number, instanceId: string}>} succeeded 成功的数据，index为数据在入参数组中的下标，按index排序
+ * @property {Array<{index: number, item: any, error: Error}>} failed 失败的数据及最后一次失败的原因，按index排序
+ */
+
+/**
+ * 批量处理任意数据，是本模块其他批量方法的基础，可以用于批量调用其他数据源。
+ * 失败的数据按照 retryFailed 选项重试
+ * @static
+ * @param {Array<any>} items 数据数组
+ * @param {function(any): Promise<string>} worker 处理单条数据，返回实例ID
+ * @param {module:DataBatch~BatchWriteOptions} [options] 选项
+ * @returns {Promise<module:DataBatch~BatchWriteReport>}
+ *
+ * @example
+ * const report = await runBatch(
+ *   instanceIds,
+ *   async (instanceId) => {
+ *     await executeTask(this, instanceId, taskIds[instanceId], "AGREE", "同意");
+ *     return instanceId;
+ *   },
+ *   { concurrency: 3, rateLimit: 5 }
+ * );
+ */
+async function runBatch(items, worker, options) {
+  options = Object.assign(
+    { concurrency: 5, retryFailed: 0, retryDelay: 1000 },
+    options
+  );
+  const { signal, onProgress } = options;
+  const rateLimiter =
+    typeof options.rateLimit === "number"
+      ? new RateLimiter({ rate: options.rateLimit })
+      : options.rateLimit;
+
+  const succeeded = new Map();
+  const failed = new Map();
+  let pending = items.map((item, index) => index);
+
+  for (let round = 0; round <= options.retryFailed; round++) {
+    if (round > 0) {
+      if (!pending.length || (signal && signal.aborted)) break;
+      await sleep(options.retryDelay);
+    }
+
+    const taskProvider = (function* () {
+      for (const index of pending) {
+        if (signal && signal.aborted) return;
+        yield async () => {
+          try {
+            succeeded.set(index, await worker(items[index]));
+            failed.delete(index);
+          } catch (e) {
+            failed.set(index, e);
+          }
+        };
+      }
+    })();
+
+    await new BatchTaskRunner(taskProvider, options.concurrency, {
+      rateLimiter,
+      afterBatchCb: () => {
+        if (!onProgress) return;
+        onProgress({
+          total: items.length,
+          succeeded: succeeded.size,
+          failed: failed.size,
+          round,
+        });
+      },
+    }).start();
+
+    pending = pending.filter((index) => !succeeded.has(index));
+  }
+
+  // 取消后没有处理的数据
+  for (const index of pending) {
+    if (!failed.has(index)) {
+      failed.set(index, signal.reason || Error("aborted"));
+    }
+  }
+
+  const byIndex = (a, b) => a[0] - b[0];
+  return {
+    total: items.length,
+    succeeded: Array.from(succeeded)
+      .sort(byIndex)
+      .map(([index, instanceId]) => ({ index, instanceId })),
+    failed: Array.from(failed)
+      .sort(byIndex)
+      .map(([index, error]) => ({ index, item: items[index], error })),
+  };
+}
+
+/**
+ * 批量新增表单数据，传入 processCode 选项时批量发起流程
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} formUuid 表单ID
+ * @param {Array<Object>} formDatas 表单数据对象数组
+ * @param {module:DataBatch~BatchWriteOptions} [options] 选项，另外支持：
+ * @param {string} [options.processCode] 流程code，传入时调用 {@link module:DataSource.startInstance} 发起流程
+ * @param {string} [options.dptId] 发起部门ID，仅发起流程时有效
+ * @returns {Promise<module:DataBatch~BatchWriteReport>} 处理结果，succeeded 中的 instanceId 为新建的实例ID
+ *
+ * @example
+ * const report = await batchSaveFormData(this, "FORM-xxxxxx", formDatas, {
+ *   concurrency: 5,
+ *   rateLimit: 5,
+ *   retryFailed: 2,
+ *   onProgress: ({ total, succeeded, failed }) => {
+ *     this.setState({ progress: `${succeeded + failed}/${total}` });
+ *   },
+ * });
+ * console.log(`成功${report.succeeded.length}条，失败${report.failed.length}条`);
+ * report.failed.forEach(({ index, error }) => console.log(`第${index + 1}行：${error.message}`));
+ */
+async function batchSaveFormData(context, formUuid, formDatas, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!formUuid) throw new ValidationError("formUuid is required");
+  if (!Array.isArray(formDatas)) {
+    throw new ValidationError("formDatas must be an array");
+  }
+  options = Object.assign({}, options);
+
+  const worker = options.processCode
+    ? (formData) =>
+        startInstance(
+          context,
+          options.processCode,
+          formUuid,
+          formData,
+          options.dptId
+        )
+    : (formData) => saveFormData(context, formUuid, formData);
+  return runBatch(formDatas, worker, options);
+}
+
+/**
+ * 批量更新表单/流程实例数据
+ * @static
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} type 表单类型，可选 form、process，分别代表普通表单和流程
+ * @param {Array<{instanceId: string, formData: Object}>} items 要更新的实例ID和表单数据
+ * @param {module:DataBatch~BatchWriteOptions} [options] 选项，另外支持：
+ * @param {boolean} [options.useLatestVersion] 是否使用最新的表单版本进行更新，默认为false，仅对普通表单有效
+ * @returns {Promise<module:DataBatch~BatchWriteReport>} 处理结果
+ *
+ * @example
+ * const report = await batchUpdateFormData(
+ *   this,
+ *   "form",
+ *   instanceIds.map((instanceId) => ({ instanceId, formData: { selectField_status: "已归档" } })),
+ *   { rateLimit: 5, retryFailed: 1 }
+ * );
+ */
+async function batchUpdateFormData(context, type, items, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!Array.isArray(items)) {
+    throw new ValidationError("items must be an array");
+  }
+  options = Object.assign({}, options);
+
+  const worker = async (item) => {
+    if (!item || !item.instanceId) {
+      throw new ValidationError("instanceId is required");
+    }
+    await updateFormData(
+      context,
+      type,
+      item.instanceId,
+      item.formData,
+      options.useLatestVersion
+    );
+    return item.instanceId;
+  };
+  return runBatch(items, worker, options);
+}
+
+/**
+ * 批量删除表单数据
+ * @static
+ * @param {Object} context this上下文
+ * @param {Array<string>} instanceIds 实例ID数组
+ * @param {module:DataBatch~BatchWriteOptions} [options] 选项
+ * @returns {Promise<module:DataBatch~BatchWriteReport>} 处理结果
+ *
+ * @example
+ * const ids = await searchFormDataIdsAll(this, "form", "FORM-xxxxxx", { selectField_status: "已作废" });
+ * const { failed } = await batchDeleteFormData(this, ids, { rateLimit: 5 });
+ */
+async function batchDeleteFormData(context, instanceIds, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!Array.isArray(instanceIds)) {
+    throw new ValidationError("instanceIds must be an array");
+  }
+
+  const worker = async (instanceId) => {
+    await deleteFormData(context, instanceId);
+    return instanceId;
+  };
+  return runBatch(instanceIds, worker, options);
+}
+
+export {
+  runBatch,
+  batchSaveFormData,
+  batchUpdateFormData,
+  batchDeleteFormData,
+};
@@ -0,0 +1,259 @@
+/**
+ * 导出表单数据为 CSV 或者 Excel 文件
+ * @module DataExport
+ */
+
+import { getFieldTypeById, fieldToString } from "./field";
+import { dateTimeFormat } from "./utils";
+import { ValidationError } from "./errors";
+
+/**
+ * 导出列
+ * @typedef {Object} ExportColumn
+ * @property {string} field 字段唯一标识，也可以是 instanceId、gmtCreate 等表单数据中的其他属性
+ * @property {string} [header] 表头，默认为字段唯一标识
+ * @property {function(any, Object): any} [formatter] 自定义单元格内容，参数为字段值和整条表单数据，
+ * 默认使用 {@link module:Field.fieldToString} 按字段类型转换
+ */
+
+/**
+ * 统一导出列的格式
+ * @param {Array<string | module:DataExport~ExportColumn>} columns 导出列
+ * @returns {Array<module:DataExport~ExportColumn>}
+ */
+function normalizeColumns(columns) {
+  if (!Array.isArray(columns) || !columns.length) {
+    throw new ValidationError("columns is required");
+  }
+
+  return columns.map((column) => {
+    column = typeof column === "string" ? { field: column } : column;
+    if (!column || !column.field) {
+      throw new ValidationError("column field is required");
+    }
+    return Object.assign({ header: column.field }, column);
+  });
+}
+
+/**
+ * 获取单元格的值，数字、评分字段保留数字类型，其他字段转换为字符串
+ * @param {Object} formData 表单数据
+ * @param {module:DataExport~ExportColumn} column 导出列
+ * @returns {string | number}
+ */
+function getCellValue(formData, column) {
+  const value = formData[column.field];
+  if (column.formatter) {
+    const formatted = column.formatter(value, formData);
+    return formatted === undefined || formatted === null ? "" : formatted;
+  }
+  if (value === undefined || value === null) return "";
+
+  const fieldType = getFieldTypeById(column.field);
+  if ((fieldType === "number" || fieldType === "rate") && value !== "") {
+    const num = Number(value);
+    return isNaN(num) ? String(value) : num;
+  }
+  if (fieldType === "date" && Array.isArray(value)) {
+    return value
+      .map((item) => dateTimeFormat(new Date(item), "YYYY-MM-DD"))
+      .join("至");
+  }
+
+  const str = fieldToString(value, fieldType);
+  // 非表单字段（比如实例ID、创建时间）fieldToString 无法识别类型
+  if (str === "" && typeof value !== "object") return String(value);
+  if (str === "" && typeof value === "object") return JSON.stringify(value);
+  return str;
+}
+
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * 转义CSV单元格 <br/>
+ * 以 = + - @ 等开头的文本会被 Excel 当作公式执行，在前面加上单引号使其作为文本显示，防止 CSV 注入
+ * @param {string | number} value 单元格内容
+ * @param {string} delimiter 分隔符
+ * @returns {string}
+ */
+function escapeCsvCell(value, delimiter) {
+  let str = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX_PATTERN.test(str)) {
+    str = `'${str}`;
+  }
+  if (
+    str.indexOf(delimiter) !== -1 ||
+    str.indexOf('"') !== -1 ||
+    /[\r\n]/.test(str)
+  ) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * 转义XML文本
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\r?\n/g, "&#10;");
+}
+
+/**
+ * 表单数据转换为CSV文本 <br/>
+ * 默认在开头添加 BOM，保证 Excel 打开中文不乱码
+ * @static
+ * @param {Array<Object>} formDatas 表单数据数组，比如 {@link module:DataSource.searchFormDatasAll} 的返回值
+ * @param {Array<string | module:DataExport~ExportColumn>} columns 导出列，传入字符串时表示字段唯一标识
+ * @param {Object} [options] 选项
+ * @param {boolean} [options.bom] 是否添加BOM，默认为true
+ * @param {string} [options.delimiter] 分隔符，默认为逗号
+ * @returns {string} CSV文本
+ *
+ * @example
+ * const csv = toCSV(formDatas, [
+ *   { field: "textField_name", header: "姓名" },
+ *   { field: "employeeField_owner", header: "负责人" },
+ *   { field: "numberField_amount", header: "金额", formatter: (value) => (value == null ? "" : value.toFixed(2)) },
+ * ]);
+ */
+function toCSV(formDatas, columns, options) {
+  options = Object.assign({ bom: true, delimiter: "," }, options);
+  columns = normalizeColumns(columns);
+  const { delimiter } = options;
+
+  const lines = [
+    columns
+      .map((column) => escapeCsvCell(column.header, delimiter))
+      .join(delimiter),
+  ];
+  for (const formData of formDatas || []) {
+    lines.push(
+      columns
+        .map((column) =>
+          escapeCsvCell(getCellValue(formData, column), delimiter)
+        )
+        .join(delimiter)
+    );
+  }
+
+  return `${options.bom ? "\uFEFF" : ""}${lines.join("\r\n")}`;
+}
+
+/**
+ * 表单数据转换为 SpreadsheetML（Excel 2003 XML）文本，保存为 .xls 文件后可以直接用 Excel、WPS 打开，
+ * 数字、评分字段保存为数字单元格
+ * @static
+ * @param {Array<Object>} formDatas 表单数据数组
+ * @param {Array<string | module:DataExport~ExportColumn>} columns 导出列
+ * @param {Object} [options] 选项
+ * @param {string} [options.sheetName] 工作表名称，默认为 Sheet1
+ * @returns {string} XML文本
+ */
+function toSpreadsheetML(formDatas, columns, options) {
+  options = Object.assign({ sheetName: "Sheet1" }, options);
+  columns = normalizeColumns(columns);
+
+  const toRow = (cells) =>
+    `<Row>${cells
+      .map((cell) =>
+        typeof cell === "number"
+          ? `<Cell><Data ss:Type="Number">${cell}</Data></Cell>`
+          : `<Cell><Data ss:Type="String">${escapeXml(cell)}</Data></Cell>`
+      )
+      .join("")}</Row>`;
+
+  const rows = [toRow(columns.map((column) => String(column.header)))];
+  for (const formData of formDatas || []) {
+    rows.push(toRow(columns.map((column) => getCellValue(formData, column))));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    `<Worksheet ss:Name="${escapeXml(options.sheetName)}">`,
+    `<Table>${rows.join("")}</Table>`,
+    "</Worksheet>",
+    "</Workbook>",
+  ].join("\n");
+}
+
+/**
+ * 在浏览器中下载文件
+ * @static
+ * @param {string | Blob} content 文件内容
+ * @param {string} filename 文件名
+ * @param {string} [mimeType] 文件类型，content 为字符串时有效，默认为 text/plain;charset=utf-8
+ *
+ * @example
+ * downloadFile(JSON.stringify(formDatas), "数据.json", "application/json");
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob =
+    content instanceof Blob
+      ? content
+      : new Blob([content], { type: mimeType || "text/plain;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // 等浏览器开始下载后再释放
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 导出表单数据并下载，根据文件扩展名选择格式：.csv 为CSV，.xls 为 SpreadsheetML
+ * @static
+ * @param {Array<Object>} formDatas 表单数据数组
+ * @param {Array<string | module:DataExport~ExportColumn>} columns 导出列
+ * @param {string} filename 文件名，扩展名为 .csv 或 .xls
+ * @param {Object} [options] 选项，同 {@link module:DataExport.toCSV} 和 {@link module:DataExport.toSpreadsheetML}
+ *
+ * @example
+ * export async function onExportClick() {
+ *   const formDatas = await searchFormDatasAll(this, "form", "FORM-xxxxxx", {});
+ *   exportFormDatas(
+ *     formDatas,
+ *     [
+ *       { field: "textField_name", header: "姓名" },
+ *       { field: "departmentSelectField_dept", header: "部门" },
+ *       { field: "cascadeDateField_period", header: "周期" },
+ *       { field: "addressField_addr", header: "地址" },
+ *     ],
+ *     `客户列表${dateTimeFormat(new Date(), "YYYYMMDD")}.xls`
+ *   );
+ * }
+ */
+function exportFormDatas(formDatas, columns, filename, options) {
+  if (!filename) throw new ValidationError("filename is required");
+
+  if (/\.xls$/i.test(filename)) {
+    downloadFile(
+      toSpreadsheetML(formDatas, columns, options),
+      filename,
+      "application/vnd.ms-excel;charset=utf-8"
+    );
+  } else if (/\.csv$/i.test(filename)) {
+    downloadFile(
+      toCSV(formDatas, columns, options),
+      filename,
+      "text/csv;charset=utf-8"
+    );
+  } else {
+    throw new ValidationError(`Unsupported export file type: ${filename}`);
+  }
+}
+
+export { toCSV, toSpreadsheetML, downloadFile, exportFormDatas };
@@ -0,0 +1,593 @@
+/**
+ * 从 CSV、XLSX 文件导入表单数据：解析文件、映射列到字段、转换为宜搭字段值格式、逐行校验，
+ * 然后通过 {@link module:DataBatch.batchSaveFormData} 批量保存，并返回每一行的导入结果
+ * @module DataImport
+ */
+
+import {
+  getFieldTypeById,
+  generateEmployeeFieldData,
+  generateDptFieldData,
+} from "./field";
+import { batchSaveFormData } from "./data-batch";
+import { ValidationError } from "./errors";
+
+/**
+ * 记录行在原文件中的行号，导入时用于报告出错的行。属性不可枚举，不影响行数组的比较和序列化
+ * @param {Array<any>} row 行
+ * @param {number} rowNumber 行号，从1开始
+ * @returns {Array<any>} 传入的行
+ */
+function setRowNumber(row, rowNumber) {
+  return Object.defineProperty(row, "rowNumber", { value: rowNumber });
+}
+
+/**
+ * 解析CSV文本，支持引号包裹的单元格（包括单元格内的换行和分隔符）和BOM
+ * @static
+ * @param {string} text CSV文本
+ * @param {Object} [options] 选项
+ * @param {string} [options.delimiter] 分隔符，默认为逗号
+ * @returns {Array<Array<string>>} 行数组，每行为单元格字符串数组，会忽略空行。
+ * 每行的 rowNumber 属性为该行在文件中的行号（从1开始，包括空行，引号内的换行不算新行）
+ *
+ * @example
+ * parseCSV('姓名,备注\r\n张三,"包含,逗号"'); // [["姓名", "备注"], ["张三", "包含,逗号"]]
+ */
+function parseCSV(text, options) {
+  const { delimiter } = Object.assign({ delimiter: "," }, options);
+  text = String(text || "").replace(/^\uFEFF/, "");
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(setRowNumber(row, rows.length + 1));
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(setRowNumber(row, rows.length + 1));
+
+  return rows.filter((item) => item.some((value) => value !== ""));
+}
+
+/**
+ * 通过 FileReader 读取 Blob
+ * @param {Blob} blob
+ * @param {"text" | "arrayBuffer"} as 读取为文本还是 ArrayBuffer
+ * @returns {Promise<string | ArrayBuffer>}
+ */
+function readBlob(blob, as) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    if (as === "text") reader.readAsText(blob, "utf-8");
+    else reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * 解压 deflate 数据，依赖浏览器的 DecompressionStream
+ * @param {Uint8Array} bytes 压缩数据
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new ValidationError(
+      "当前浏览器不支持解析XLSX文件，请另存为CSV后导入"
+    );
+  }
+
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  const reader = stream.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * 读取zip文件中的所有文件，只支持不压缩（stored）和 deflate 压缩
+ * @param {ArrayBuffer} buffer zip文件内容
+ * @returns {Promise<Map<string, Uint8Array>>} 文件路径 -> 文件内容
+ */
+async function unzip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // 从末尾查找中央目录结束标记
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new ValidationError("不是有效的XLSX文件");
+
+  const count = view.getUint16(eocd + 10, true);
+  let pointer = view.getUint32(eocd + 16, true);
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) {
+      throw new ValidationError("不是有效的XLSX文件");
+    }
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = await readBlob(
+      new Blob([bytes.subarray(pointer + 46, pointer + 46 + nameLength)]),
+      "text"
+    );
+
+    const dataOffset =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataOffset, dataOffset + compressedSize);
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, await inflateRaw(data));
+
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+/**
+ * 列名（A、B、...、AA）转换为从0开始的列下标
+ * @param {string} ref 单元格引用，比如 AB12
+ * @returns {number}
+ */
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, "");
+  let index = 0;
+  for (const letter of letters) index = index * 26 + letter.charCodeAt(0) - 64;
+  return index - 1;
+}
+
+/**
+ * 解析XLSX文件第一个工作表的数据，仅支持简单的单元格内容（文本、数字、布尔、公式结果），不处理合并单元格、样式等
+ * @static
+ * @param {ArrayBuffer} buffer XLSX文件内容
+ * @returns {Promise<Array<Array<string | number | boolean>>>} 行数组，会忽略空行。日期单元格为Excel日期序列号（数字）。
+ * 每行的 rowNumber 属性为该行在工作表中的行号
+ */
+async function parseXLSX(buffer) {
+  const files = await unzip(buffer);
+  const parseXml = async (bytes) =>
+    new DOMParser().parseFromString(
+      await readBlob(new Blob([bytes]), "text"),
+      "application/xml"
+    );
+
+  const sharedStrings = [];
+  if (files.has("xl/sharedStrings.xml")) {
+    const doc = await parseXml(files.get("xl/sharedStrings.xml"));
+    for (const si of Array.from(doc.getElementsByTagName("si"))) {
+      sharedStrings.push(
+        Array.from(si.getElementsByTagName("t"))
+          .map((t) => t.textContent)
+          .join("")
+      );
+    }
+  }
+
+  const sheetName = Array.from(files.keys())
+    .filter((name) => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.slice(19)) - parseInt(b.slice(19)))[0];
+  if (!sheetName) throw new ValidationError("XLSX文件中没有工作表");
+
+  const doc = await parseXml(files.get(sheetName));
+  const rows = [];
+  let rowNumber = 0;
+  for (const rowElement of Array.from(doc.getElementsByTagName("row"))) {
+    // r 属性可以省略，省略时为上一行的下一行
+    rowNumber = Number(rowElement.getAttribute("r")) || rowNumber + 1;
+    const row = setRowNumber([], rowNumber);
+    for (const c of Array.from(rowElement.getElementsByTagName("c"))) {
+      const type = c.getAttribute("t");
+      const v = c.getElementsByTagName("v")[0];
+      const raw = v ? v.textContent : "";
+      let value;
+      if (type === "s") value = sharedStrings[Number(raw)];
+      else if (type === "inlineStr") {
+        value = Array.from(c.getElementsByTagName("t"))
+          .map((t) => t.textContent)
+          .join("");
+      } else if (type === "b") value = raw === "1";
+      else if (type === "str" || type === "e" || raw === "") value = raw;
+      else value = Number(raw);
+
+      const ref = c.getAttribute("r");
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+
+    for (let i = 0; i < row.length; i++) if (row[i] === undefined) row[i] = "";
+    if (row.some((value) => value !== "")) rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * 读取CSV或XLSX文件，根据文件名判断格式
+ * @static
+ * @param {File | Blob | {url: string, name: string}} file 文件对象（比如 input[type=file] 选择的文件），
+ * 或者附件字段的值（包含 url 和 name 属性，会通过 fetch 下载）
+ * @param {Object} [options] 选项，同 {@link module:DataImport.parseCSV}
+ * @returns {Promise<Array<Array<any>>>} 行数组
+ *
+ * @example
+ * // 读取附件字段中的第一个文件
+ * const [attachment] = this.$("attachmentField_xxxxxx").getValue();
+ * const rows = await readSheetFile(attachment);
+ */
+async function readSheetFile(file, options) {
+  if (!file) throw new ValidationError("file is required");
+
+  let blob = file;
+  if (!(file instanceof Blob)) {
+    const url = file.downloadUrl || file.url;
+    if (!url) throw new ValidationError("file url is required");
+    const response = await fetch(url);
+    if (!response.ok) throw new ValidationError(`文件下载失败：${file.name}`);
+    blob = await response.blob();
+  }
+
+  const name = file.name || "";
+  if (/\.xlsx$/i.test(name)) {
+    return parseXLSX(await readBlob(blob, "arrayBuffer"));
+  } else if (/\.csv$/i.test(name) || !name) {
+    return parseCSV(await readBlob(blob, "text"), options);
+  }
+  throw new ValidationError(`Unsupported import file type: ${name}`);
+}
+
+/**
+ * 导入列
+ * @typedef {Object} ImportColumn
+ * @property {string} field 字段唯一标识
+ * @property {string} [header] 表头文字，通过表头匹配列，和 index 二选一
+ * @property {number} [index] 列下标，从0开始
+ * @property {boolean} [required] 是否必填
+ * @property {function(any, Array<any>): any} [converter] 自定义值转换，参数为单元格原始值和整行数据，
+ * 抛出异常表示值无效；默认按照字段类型转换，参见 {@link module:DataImport.importFormDatas}
+ * @property {function(any, Object): (boolean | string)} [validate] 自定义校验，参数为转换后的值和整行表单数据，
+ * 返回 true 表示通过，返回字符串或者抛出异常表示错误信息
+ */
+
+/**
+ * 把单元格值按分隔符拆分为多个值
+ * @param {any} value
+ * @returns {Array<string>}
+ */
+function splitValues(value) {
+  return String(value)
+    .split(/[,，;；、\n]/)
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+}
+
+/**
+ * 拆分 "名称(ID)" 格式的人员、部门值，没有括号时名称和ID相同
+ * @param {any} value
+ * @returns {{ids: Array<string>, names: Array<string>}}
+ */
+function splitNamedIds(value) {
+  const ids = [];
+  const names = [];
+  for (const item of splitValues(value)) {
+    const match = item.match(/^(.+?)\s*[(（](.+)[)）]$/);
+    names.push(match ? match[1] : item);
+    ids.push(match ? match[2] : item);
+  }
+  return { ids, names };
+}
+
+/**
+ * 日期单元格转换为时间戳，支持日期字符串和Excel日期序列号
+ * @param {any} value
+ * @returns {number}
+ */
+function toDateTimestamp(value) {
+  if (typeof value === "number") {
+    // Excel日期序列号，1900-01-00为0
+    const date = new Date(Math.round((value - 25569) * 86400000));
+    return new Date(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate(),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+      date.getUTCSeconds()
+    ).getTime();
+  }
+
+  const match = String(value)
+    .trim()
+    .match(
+      /^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?(?:[ T](\d{1,2}):(\d{1,2})(?::(\d{1,2}))?)?$/
+    );
+  if (!match) throw Error(`无法识别的日期：${value}`);
+
+  const [year, month, day, hours, minutes, seconds] = match
+    .slice(1)
+    .map((item) => Number(item || 0));
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw Error(`无效的日期：${value}`);
+  }
+  return date.getTime();
+}
+
+/**
+ * 按照字段类型转换单元格值
+ * @param {string} fieldId 字段唯一标识
+ * @param {any} value 单元格值，不为空
+ * @returns {any} 宜搭字段值
+ */
+function convertCell(fieldId, value) {
+  switch (getFieldTypeById(fieldId)) {
+    case "number":
+    case "rate": {
+      const num = Number(String(value).replace(/,/g, ""));
+      if (isNaN(num)) throw Error(`不是有效的数字：${value}`);
+      return num;
+    }
+    case "date":
+      return toDateTimestamp(value);
+    case "cascadeDate": {
+      const [start, end] = String(value).split(/\s*(?:至|~)\s*/);
+      return {
+        start: toDateTimestamp(start),
+        end: end ? toDateTimestamp(end) : undefined,
+      };
+    }
+    case "checkbox":
+    case "multiSelect":
+      return splitValues(value);
+    case "employee": {
+      const { ids, names } = splitNamedIds(value);
+      return generateEmployeeFieldData(ids, names);
+    }
+    case "departmentSelect": {
+      const { ids, names } = splitNamedIds(value);
+      return generateDptFieldData(ids, names);
+    }
+    default:
+      return String(value).trim();
+  }
+}
+
+// {@link module:DataExport.toCSV} 会在 = + - @ 等开头的文本前加上单引号，防止被 Excel 当作公式执行
+const GUARDED_FORMULA_PATTERN = /^'[=+\-@\t\r]/;
+
+/**
+ * 去掉导出时添加的公式防护单引号，保证导出的文件可以原样导入
+ * @param {any} value 单元格值
+ * @returns {any}
+ */
+function unguardCell(value) {
+  return typeof value === "string" && GUARDED_FORMULA_PATTERN.test(value)
+    ? value.slice(1)
+    : value;
+}
+
+/**
+ * 导入选项，除了以下属性，还支持 {@link module:DataBatch~BatchWriteOptions} 的所有选项
+ * @typedef {Object} ImportOptions
+ * @property {Array<module:DataImport~ImportColumn>} columns 导入列
+ * @property {number} [headerRows] 表头行数，默认为1。通过 header 匹配列时使用最后一行表头
+ * @property {string} [processCode] 流程code，传入时发起流程
+ * @property {boolean} [dryRun] 只解析和校验，不保存数据，默认为false
+ */
+
+/**
+ * 导入行结果
+ * @typedef {Object} ImportRowError
+ * @property {number} row 行号，从1开始，包括表头。解析文件时为该行在文件中的行号（包括空行）
+ * @property {Array<{field: string, message: string}>} errors 校验错误，保存失败时为空数组
+ * @property {Error} [error] 保存失败的错误
+ * @property {Object} [formData] 转换后的表单数据
+ */
+
+/**
+ * 导入结果
+ * @typedef {Object} ImportReport
+ * @property {number} total 数据总行数，不包括表头
+ * @property {Array<{row: number, instanceId: string, formData: Object}>} succeeded 导入成功的行，
+ * dryRun 时为校验通过的行，没有 instanceId
+ * @property {Array<module:DataImport~ImportRowError>} failed 校验失败或者保存失败的行
+ */
+
+/**
+ * 导入CSV、XLSX文件到表单 <br/>
+ * 默认按照字段类型转换单元格值：数字、评分转换为数字；日期支持 2024-01-05、2024/1/5、2024年1月5日、带时间的格式以及Excel日期；
+ * 日期区间使用“至”或者“~”分隔；复选、下拉多选使用逗号、分号、顿号分隔；
+ * 人员、部门字段的值为ID或者“名称(ID)”，多个值使用逗号分隔，会通过 {@link module:Field.generateEmployeeFieldData}、
+ * {@link module:Field.generateDptFieldData} 转换；其他字段转换为去掉首尾空格的文本
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} formUuid 表单ID
+ * @param {File | Blob | {url: string, name: string} | string | Array<Array<any>>} source 导入数据，
+ * 可以是文件、附件字段值、CSV文本，或者已经解析好的行数组
+ * @param {module:DataImport~ImportOptions} options 导入选项
+ * @returns {Promise<module:DataImport~ImportReport>} 导入结果
+ *
+ * @example
+ * export async function onImportClick() {
+ *   const [file] = this.$("attachmentField_xxxxxx").getValue();
+ *   const report = await importFormDatas(this, "FORM-xxxxxx", file, {
+ *     columns: [
+ *       { header: "合同编号", field: "textField_no", required: true },
+ *       { header: "金额", field: "numberField_amount", validate: (value) => value > 0 || "金额必须大于0" },
+ *       { header: "签订日期", field: "dateField_sign" },
+ *       { header: "负责人", field: "employeeField_owner" }, // 张三(1343242225778381)
+ *     ],
+ *     rateLimit: 5,
+ *   });
+ *   report.failed.forEach(({ row, errors, error }) => {
+ *     console.log(`第${row}行：${error ? error.message : errors.map((item) => item.message).join("；")}`);
+ *   });
+ * }
+ */
+async function importFormDatas(context, formUuid, source, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!formUuid) throw new ValidationError("formUuid is required");
+  options = Object.assign({ headerRows: 1, dryRun: false }, options);
+  const { columns, headerRows } = options;
+  if (!Array.isArray(columns) || !columns.length) {
+    throw new ValidationError("columns is required");
+  }
+
+  let rows;
+  if (Array.isArray(source)) rows = source;
+  else if (typeof source === "string") rows = parseCSV(source);
+  else rows = await readSheetFile(source);
+
+  const header = (rows[headerRows - 1] || []).map((item) =>
+    String(item).trim()
+  );
+  const columnIndexes = columns.map((column) => {
+    if (column.index !== undefined) return column.index;
+    const index = header.indexOf(column.header);
+    if (index === -1) {
+      throw new ValidationError(`找不到列：${column.header}`);
+    }
+    return index;
+  });
+
+  const failed = [];
+  const valid = [];
+  rows.slice(headerRows).forEach((cells, rowIndex) => {
+    const row =
+      cells.rowNumber !== undefined
+        ? cells.rowNumber
+        : rowIndex + headerRows + 1;
+    const formData = {};
+    const errors = [];
+
+    columns.forEach((column, index) => {
+      const raw = unguardCell(cells[columnIndexes[index]]);
+      const empty =
+        raw === undefined || raw === null || String(raw).trim() === "";
+      if (empty && !column.converter) {
+        if (column.required) {
+          errors.push({
+            field: column.field,
+            message: `${column.header || column.field}不能为空`,
+          });
+        }
+        return;
+      }
+
+      try {
+        const value = column.converter
+          ? column.converter(raw, cells)
+          : convertCell(column.field, raw);
+        if (
+          column.required &&
+          (value === undefined || value === null || value === "")
+        ) {
+          throw Error(`${column.header || column.field}不能为空`);
+        }
+        if (value !== undefined) formData[column.field] = value;
+      } catch (e) {
+        errors.push({ field: column.field, message: e.message });
+      }
+    });
+
+    columns.forEach((column) => {
+      if (!column.validate || !(column.field in formData)) return;
+      try {
+        const result = column.validate(formData[column.field], formData);
+        if (result !== true && result !== undefined) {
+          errors.push({
+            field: column.field,
+            message:
+              typeof result === "string" ? result : `${column.field}校验失败`,
+          });
+        }
+      } catch (e) {
+        errors.push({ field: column.field, message: e.message });
+      }
+    });
+
+    if (errors.length) failed.push({ row, errors, formData });
+    else valid.push({ row, formData });
+  });
+
+  let succeeded = valid.map(({ row, formData }) => ({ row, formData }));
+  if (!options.dryRun && valid.length) {
+    const report = await batchSaveFormData(
+      context,
+      formUuid,
+      valid.map((item) => item.formData),
+      options
+    );
+    succeeded = report.succeeded.map(({ index, instanceId }) => ({
+      row: valid[index].row,
+      instanceId,
+      formData: valid[index].formData,
+    }));
+    report.failed.forEach(({ index, error }) => {
+      failed.push({
+        row: valid[index].row,
+        errors: [],
+        error,
+        formData: valid[index].formData,
+      });
+    });
+  }
+
+  return {
+    total: Math.max(0, rows.length - headerRows),
+    succeeded,
+    failed: failed.sort((a, b) => a.row - b.row),
+  };
+}
+
+export { parseCSV, parseXLSX, readSheetFile, importFormDatas };
@@ -0,0 +1,204 @@
+/**
+ * 跨表单关联查询 <br/>
+ * 宜搭不支持表关联查询，通过 {@link module:DataJoin.joinForms} 可以在前端按照关联字段把两个表单的数据拼接起来
+ * @module DataJoin
+ */
+
+import { getFieldTypeById } from "./field";
+import { searchFormDatasAll } from "./data-source";
+import { FormQuery } from "./FormQuery";
+import { ValidationError } from "./errors";
+
+/**
+ * 可以通过传入数组实现 IN 查询的字段类型，其他类型的关联字段需要查询右表的全部数据
+ * @type {Array<string>}
+ */
+const IN_QUERY_FIELD_TYPES = [
+  "radio",
+  "select",
+  "checkbox",
+  "multiSelect",
+  "employee",
+  "departmentSelect",
+];
+
+/**
+ * 表单查询描述
+ * @typedef {Object} JoinFormSpec
+ * @property {string} formUuid 表单ID
+ * @property {"form" | "process"} [type] 表单类型，默认为form
+ * @property {Object} [searchFieldObject] 查询条件，同 {@link module:DataSource.searchFormDatasAll}
+ * @property {module:DataSource~SearchFormDatasOption} [options] 查询选项
+ */
+
+/**
+ * joinForms 选项
+ * @typedef {Object} JoinFormsOptions
+ * @property {Object.<string, string> | Array<string>} on 关联条件，{ 左表字段: 右表字段 } 或者 [左表字段, 右表字段]
+ * @property {"inner" | "left"} [join] 关联方式，inner 只保留能关联上的左表数据，left 保留所有左表数据，默认为left
+ * @property {boolean} [many] 一对多，为true时右表数据以数组形式嵌套，否则只取第一条匹配的数据，默认为false
+ * @property {string} [as] 右表数据存放的属性名，默认为 "joined"
+ * @property {boolean} [merge] 一对一时把右表字段直接合并到左表数据中（同名属性以左表为准），而不是嵌套在 as 属性中，默认为false
+ * @property {number} [batchSize] 每次 IN 查询包含多少个关联值，默认为50
+ */
+
+/**
+ * 将查询描述统一转换为表单数据数组
+ * @param {Object} context this上下文
+ * @param {module:DataJoin~JoinFormSpec | module:FormQuery~FormQuery | Array<Object>} spec 查询描述、查询构造器或者已查询的数据
+ * @param {Object} [extraSearchFieldObject] 额外的查询条件
+ * @returns {Promise<Array<Object>>}
+ */
+function fetchSide(context, spec, extraSearchFieldObject) {
+  if (Array.isArray(spec)) return Promise.resolve(spec);
+  if (spec instanceof FormQuery && !extraSearchFieldObject) {
+    return spec.fetchAll();
+  }
+
+  const { type, formUuid, searchFieldObject, options } =
+    spec instanceof FormQuery ? spec.build() : spec;
+  // 查询构造器生成的 strictQuery 选项会保留文本字段的严格匹配
+  return searchFormDatasAll(
+    context,
+    type || "form",
+    formUuid,
+    Object.assign({}, searchFieldObject, extraSearchFieldObject),
+    Object.assign({}, options)
+  );
+}
+
+/**
+ * 获取表单数据中关联字段的关联值，多选类字段返回多个值 <br/>
+ * 人员、部门字段使用ID关联，数据源返回的ID存放在 fieldId_id 属性中
+ * @param {Object} formData 表单数据
+ * @param {string} fieldId 关联字段
+ * @returns {Array<string>}
+ */
+function getJoinKeys(formData, fieldId) {
+  const fieldType = getFieldTypeById(fieldId);
+  let value = formData[fieldId];
+  if (
+    (fieldType === "employee" || fieldType === "departmentSelect") &&
+    formData[`${fieldId}_id`] !== undefined
+  ) {
+    value = formData[`${fieldId}_id`];
+  }
+  if (value === undefined || value === null || value === "") return [];
+
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((item) => item !== undefined && item !== null && item !== "")
+    .map((item) =>
+      typeof item === "object" ? String(item.value) : String(item)
+    );
+}
+
+/**
+ * 两个表单按照关联字段拼接数据，类似于SQL的 LEFT JOIN / INNER JOIN <br/>
+ * 先查询左表数据，收集关联值后查询右表：右表关联字段为单选、下拉单选、复选、下拉多选、人员、部门时，
+ * 按照 batchSize 分批使用 IN 查询，只查询能关联上的数据；其他类型的字段（比如文本）会查询右表的全部数据后在前端关联，
+ * 此时请尽量通过右表的查询条件缩小数据范围。<br/>
+ * 文本关联为严格相等，多选类字段只要有一个值相等即可关联，人员、部门字段按ID关联
+ * @static
+ * @param {Object} context this上下文
+ * @param {module:DataJoin~JoinFormSpec | module:FormQuery~FormQuery | Array<Object>} left 左表，可以是查询描述、查询构造器或者已查询的表单数据
+ * @param {module:DataJoin~JoinFormSpec | module:FormQuery~FormQuery | Array<Object>} right 右表，同 left
+ * @param {module:DataJoin~JoinFormsOptions} options 选项
+ * @returns {Promise<Array<Object>>} 左表数据的副本，右表数据存放在 as 属性中（或者合并到左表数据中）
+ *
+ * @example
+ * // 订单关联客户，一对一，客户信息合并到订单中
+ * const orders = await joinForms(
+ *   this,
+ *   query(this, "FORM-order").createdBetween("2024-01-01", "2024-01-31"),
+ *   { formUuid: "FORM-customer" },
+ *   { on: { selectField_customer: "selectField_name" }, merge: true }
+ * );
+ *
+ * // 订单关联订单明细，一对多，只保留有明细的订单
+ * const ordersWithItems = await joinForms(
+ *   this,
+ *   { formUuid: "FORM-order" },
+ *   { formUuid: "FORM-order-item", searchFieldObject: { selectField_status: "有效" } },
+ *   { on: ["textField_orderNo", "textField_orderNo"], join: "inner", many: true, as: "items" }
+ * );
+ * // [{ textField_orderNo: "001", ..., items: [{ ... }, { ... }] }]
+ */
+async function joinForms(context, left, right, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!left || !right) throw new ValidationError("left and right are required");
+  options = Object.assign(
+    { join: "left", many: false, as: "joined", merge: false, batchSize: 50 },
+    options
+  );
+
+  let on = options.on;
+  if (on && !Array.isArray(on)) on = Object.entries(on)[0];
+  if (!on || !on[0] || !on[1]) throw new ValidationError("on is required");
+  if (options.join !== "left" && options.join !== "inner") {
+    throw new ValidationError(`Unknown join type: ${options.join}`);
+  }
+  const [leftFieldId, rightFieldId] = on;
+
+  const leftDatas = await fetchSide(context, left);
+  const leftKeys = new Set();
+  for (const formData of leftDatas) {
+    getJoinKeys(formData, leftFieldId).forEach((key) => leftKeys.add(key));
+  }
+
+  let rightDatas = [];
+  if (leftKeys.size) {
+    if (
+      !Array.isArray(right) &&
+      IN_QUERY_FIELD_TYPES.indexOf(getFieldTypeById(rightFieldId)) !== -1
+    ) {
+      const keys = Array.from(leftKeys);
+      for (let i = 0; i < keys.length; i += options.batchSize) {
+        const batch = keys.slice(i, i + options.batchSize);
+        const formDatas = await fetchSide(context, right, {
+          [rightFieldId]: batch,
+        });
+        rightDatas = rightDatas.concat(formDatas);
+      }
+    } else {
+      rightDatas = await fetchSide(context, right);
+    }
+  }
+
+  // 关联值 -> 右表数据，多选字段不同批次可能查询到同一条数据，按实例ID去重
+  const index = new Map();
+  const seen = new Set();
+  for (const formData of rightDatas) {
+    if (formData.instanceId) {
+      if (seen.has(formData.instanceId)) continue;
+      seen.add(formData.instanceId);
+    }
+    for (const key of getJoinKeys(formData, rightFieldId)) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(formData);
+    }
+  }
+
+  const results = [];
+  for (const formData of leftDatas) {
+    const matches = [];
+    for (const key of getJoinKeys(formData, leftFieldId)) {
+      for (const match of index.get(key) || []) {
+        if (matches.indexOf(match) === -1) matches.push(match);
+      }
+    }
+    if (!matches.length && options.join === "inner") continue;
+
+    if (options.many) {
+      results.push({ ...formData, [options.as]: matches });
+    } else if (options.merge) {
+      results.push({ ...matches[0], ...formData });
+    } else {
+      results.push({ ...formData, [options.as]: matches[0] || null });
+    }
+  }
+
+  return results;
+}
+
+export { joinForms };
@@ -4,14 +4,47 @@
  * @module DataLinkage
  */
 
-import { searchFormDatasAll } from "./data-source";
+import { query } from "./FormQuery";
+import { toModifiedTime } from "./data-source";
+import { getFieldTypeById } from "./field";
+import { AwhError, ValidationError } from "./errors";
 
 /**
  * 条件规则映射项 ConditionMapItem
  * @typedef {Object} ConditionMapItem
- * @property {string} from 本表单字段的唯一标识，查询条件的值来源于此字段
+ * @property {string} [from] 本表单字段的唯一标识，查询条件的值来源于此字段
  * @property {string} to 目标表单字段唯一标识，使用此字段作为筛选字段
- * @property {boolean} isSubform from字段是否子表字段
+ * @property {boolean} [isSubform] from字段是否子表字段
+ * @property {"eq" | "contains" | "in" | "range" | "gt" | "gte" | "lt" | "lte"} [op] 比较运算符，默认为eq <br/>
+ * eq: 等于，人员、部门字段取第一个值<br/>
+ * contains: 文本字段模糊匹配，复选、下拉多选字段包含该值<br/>
+ * in: 匹配任意一个值，人员、部门字段取所有值。宜搭不支持文本、数字、评分、日期字段的多值查询，这些字段在本地筛选：
+ * 数字、评分、日期字段先按最小值和最大值查询，文本字段有多个值时会查询其他条件匹配的所有数据<br/>
+ * range: 范围查询，条件值为[min, max]数组，任一端为空表示不限<br/>
+ * gt、gte、lt、lte: 大于、大于等于、小于、小于等于，支持数字、评分、日期字段
+ * @property {any} [value] 常量条件值，未指定from时使用此值作为查询条件
+ */
+
+// 不能通过 whereIn 查询，需要在本地筛选 in 条件的字段类型
+const LOCAL_IN_FIELD_TYPES = ["text", "textarea", "number", "rate", "date"];
+
+const CONDITION_OPERATORS = [
+  "eq",
+  "contains",
+  "in",
+  "range",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+];
+
+/**
+ * 解析后的查询条件
+ * @typedef {Object} LinkageCondition
+ * @property {string} fieldId 目标表单字段唯一标识
+ * @property {string} op 比较运算符
+ * @property {any} value 条件值
  */
 
 /**
@@ -21,7 +54,7 @@ import { searchFormDatasAll } from "./data-source";
  * @param {string} tableFieldId 子表唯一标识
  * @param {number} changeItemIndex 子表字段所在行下标
  *
- * @returns {Object} 用于查询目标表单的条件参数
+ * @returns {Array<module:DataLinkage~LinkageCondition>} 用于查询目标表单的条件
  */
 function resolveConditionMap(
   context,
@@ -29,10 +62,10 @@ function resolveConditionMap(
   tableFieldId,
   changeItemIndex
 ) {
-  const searchParams = {};
+  const conditions = [];
 
   if (!Array.isArray(conditionMap)) {
-    return searchParams;
+    return conditions;
   }
   if (tableFieldId && changeItemIndex === undefined) {
     console.warn(
@@ -46,29 +79,200 @@ function resolveConditionMap(
     subformData = context.$(tableFieldId).getValue()[changeItemIndex];
   }
   for (const condition of conditionMap) {
+    const op = condition.op || "eq";
+    if (CONDITION_OPERATORS.indexOf(op) === -1) {
+      throw new ValidationError(`Unknown condition operator: ${op}`);
+    }
+
     let value;
-    if (condition.isSubform) {
+    if (!condition.from) {
+      value = condition.value;
+    } else if (condition.isSubform) {
       value = subformData[condition.from];
     } else {
       value = context.$(condition.from).getValue();
     }
 
-    if (condition.from.startsWith("departmentSelectField")) {
-      const dpt = (value || [])[0];
-      value = (dpt || {}).value;
+    const from = condition.from || "";
+    if (
+      from.startsWith("departmentSelectField") ||
+      from.startsWith("employeeField")
+    ) {
+      const ids = (Array.isArray(value) ? value : [value])
+        .map((item) => (item || {}).value)
+        .filter((id) => id !== undefined && id !== null && id !== "");
+      value = op === "in" ? ids : ids[0];
     }
-    if (condition.from.startsWith("employeeField")) {
-      if (!Array.isArray(value)) {
-        value = [value];
+
+    conditions.push({ fieldId: condition.to, op, value });
+  }
+
+  return conditions;
+}
+
+/**
+ * 判断条件值是否为空，数组的所有元素都为空时也视为空
+ * @param {any} value 条件值
+ * @returns {boolean}
+ */
+function isEmptyCondition(value) {
+  if (Array.isArray(value)) return value.every(isEmptyCondition);
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * 转换为可比较的数字，日期转换为时间戳
+ * @param {any} value
+ * @returns {number}
+ */
+function toNumber(value) {
+  return value instanceof Date ? value.getTime() : Number(value);
+}
+
+/**
+ * 多条数据符合条件时选择哪一条
+ * @typedef {"first" | "latest" | Function} LinkagePick
+ * first: 查询结果的第一条<br/>
+ * latest: 最后修改时间（gmtModified）最新的一条<br/>
+ * 函数: 排序比较函数，同 Array.prototype.sort，取排序后的第一条
+ */
+
+/**
+ * 数据联动选项
+ * @typedef {Object} LinkageOptions
+ * @property {module:DataLinkage~LinkagePick} [pick] 多条数据符合条件时选择哪一条，默认为first
+ * @property {AbortSignal} [signal] 取消信号，查询返回前被取消时不再填充字段，返回的Promise以取消原因拒绝
+ */
+
+/**
+ * 联动已被取消时抛出取消原因
+ * @param {module:DataLinkage~LinkageOptions} [options] 选项
+ */
+function throwIfAborted(options) {
+  const signal = options && options.signal;
+  if (signal && signal.aborted) {
+    throw signal.reason || new AwhError("数据联动已取消");
+  }
+}
+
+/**
+ * 按照条件查询目标表单，返回符合条件的一条数据
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} targetFormType 目标表单类型
+ * @param {string} targetFormUuid 目标表单UUID
+ * @param {Array<module:DataLinkage~LinkageCondition>} conditions 查询条件
+ * @param {boolean} stirctCondition 严格的条件规则，有条件为空时不查询
+ * @param {module:DataLinkage~LinkageOptions} [options] 选项
+ * @returns {Promise<Object | undefined>} 查询到的表单数据，没有查询时为undefined
+ */
+async function searchLinkageRecord(
+  context,
+  targetFormType,
+  targetFormUuid,
+  conditions,
+  stirctCondition,
+  options
+) {
+  throwIfAborted(options);
+  const pick = (options || {}).pick || "first";
+  if (pick !== "first" && pick !== "latest" && !(pick instanceof Function)) {
+    throw new ValidationError(`Unknown pick: ${pick}`);
+  }
+
+  const containEmptyParam = conditions.some(({ value }) =>
+    isEmptyCondition(value)
+  );
+  if (stirctCondition && containEmptyParam) return undefined;
+
+  const formQuery = query(context, targetFormUuid, targetFormType);
+  // 同一字段的范围类条件合并为一个范围，取最严格的上下限
+  const bounds = new Map();
+  const narrow = (fieldId, min, max) => {
+    let [lower, upper] = bounds.get(fieldId) || [];
+    if (!isEmptyCondition(min)) {
+      if (isEmptyCondition(lower) || toNumber(min) > toNumber(lower)) {
+        lower = min;
+      }
+    }
+    if (!isEmptyCondition(max)) {
+      if (isEmptyCondition(upper) || toNumber(max) < toNumber(upper)) {
+        upper = max;
       }
-      const employee = value[0];
-      value = (employee || {}).value;
     }
+    bounds.set(fieldId, [lower, upper]);
+  };
+  const localIns = [];
+  for (const { fieldId, op, value } of conditions) {
+    const fieldType = getFieldTypeById(fieldId);
+    if (op === "eq") {
+      formQuery.where(fieldId, value);
+    } else if (op === "contains") {
+      if (fieldType === "text" || fieldType === "textarea") {
+        formQuery.like(fieldId, value);
+      } else {
+        formQuery.where(fieldId, value);
+      }
+    } else if (op === "in") {
+      const values = Array.isArray(value) ? value : [value];
+      if (LOCAL_IN_FIELD_TYPES.indexOf(fieldType) === -1) {
+        formQuery.whereIn(fieldId, values);
+        continue;
+      }
 
-    searchParams[condition.to] = value;
+      const nonEmpty = values.filter((item) => !isEmptyCondition(item));
+      if (!nonEmpty.length) continue;
+      const isText = fieldType === "text" || fieldType === "textarea";
+      if (isText && nonEmpty.length === 1) {
+        formQuery.where(fieldId, nonEmpty[0]);
+      } else if (!isText) {
+        const numbers = nonEmpty.map(toNumber);
+        narrow(fieldId, Math.min(...numbers), Math.max(...numbers));
+      }
+      localIns.push({ fieldId, isText, values: nonEmpty });
+    } else if (op === "range") {
+      const [min, max] = Array.isArray(value) ? value : [];
+      narrow(fieldId, min, max);
+    } else if (op === "gt" || op === "gte") {
+      narrow(fieldId, value, undefined);
+    } else {
+      narrow(fieldId, undefined, value);
+    }
+  }
+  for (const [fieldId, [min, max]] of bounds) {
+    formQuery.between(fieldId, min, max);
   }
 
-  return searchParams;
+  // 宜搭只支持包含上下限的范围查询，大于、小于需要排除等于条件值的数据
+  const exclusives = conditions.filter(
+    ({ op, value }) => (op === "gt" || op === "lt") && !isEmptyCondition(value)
+  );
+  const results = await formQuery.fetchAll();
+  throwIfAborted(options);
+  const formDatas = results.filter(
+    (formData) =>
+      exclusives.every(
+        ({ fieldId, value }) => toNumber(formData[fieldId]) !== toNumber(value)
+      ) &&
+      localIns.every(({ fieldId, isText, values }) =>
+        values.some((value) =>
+          isText
+            ? String(value) === String(formData[fieldId])
+            : toNumber(value) === toNumber(formData[fieldId])
+        )
+      )
+  );
+
+  if (!formDatas.length) return undefined;
+  if (pick instanceof Function) return formDatas.slice().sort(pick)[0];
+  if (pick === "latest") {
+    // 修改时间可能是时间戳或者时间字符串
+    const modifiedTime = (item) =>
+      Number(toModifiedTime(item.gmtModified)) || 0;
+    return formDatas.reduce((latest, item) =>
+      modifiedTime(item) > modifiedTime(latest) ? item : latest
+    );
+  }
+  return formDatas[0];
 }
 
 /**
@@ -76,6 +280,7 @@ function resolveConditionMap(
  * @callback PostProcessor
  * @param {Object} context this上下文
  * @param {any} value 从目标表单获取到的原始值
+ * @param {Object} [formData] 查询到的目标表单数据，没有查询到时为undefined
  * @return {*} 处理后的值
  */
 
@@ -91,6 +296,7 @@ function resolveConditionMap(
  * @param {Array<module:DataLinkage~ConditionMapItem>} conditionMap 条件规则映射
  * @param {module:DataLinkage~PostProcessor} postProcessor 后置处理函数
  * @param {boolean} stirctCondition 严格的条件规则，即只要有一个条件为undefined、null或者空字符串，则填充值为空
+ * @param {module:DataLinkage~LinkageOptions} [options] 选项
  *
  * @example
  * // 假设我们有一个员工信息表A（FORM-aaa）和审批表B（FORM-bbb）
@@ -121,47 +327,40 @@ async function dataLinkage(
   fillingFieldId,
   conditionMap,
   postProcessor,
-  stirctCondition = true
+  stirctCondition = true,
+  options
 ) {
   if (!targetFormUuid || !targetFieldId || !fillingFieldId) {
     return;
   }
 
   // 1.组装查询参数
-  let searchParams = {};
+  let conditions = [];
   if (Array.isArray(conditionMap)) {
-    searchParams = resolveConditionMap(context, conditionMap);
+    conditions = resolveConditionMap(context, conditionMap);
   }
 
   // 2.查询目标表单获取关联字段值
-  let fillValue = undefined;
-  const containEmptyParam = Object.values(searchParams).some(
-    (value) => value === undefined || value === null || value === ""
+  const formData = await searchLinkageRecord(
+    context,
+    targetFormType,
+    targetFormUuid,
+    conditions,
+    stirctCondition,
+    options
   );
-  if (!(stirctCondition && containEmptyParam)) {
-    let formDatas = await searchFormDatasAll(
-      context,
-      targetFormType,
-      targetFormUuid,
-      searchParams,
-      { strictQuery: true }
-    );
-    if (formDatas.length) {
-      const formData = formDatas[0];
-      fillValue = formData[targetFieldId];
-    }
-  }
+  let fillValue = formData ? formData[targetFieldId] : undefined;
 
   if (postProcessor instanceof Function) {
-    fillValue = postProcessor(context, fillValue);
+    fillValue = postProcessor(context, fillValue, formData);
   }
 
   // 3.将关联字段值填充到本表单字段
   context.$(fillingFieldId).getProps().onChange({ value: fillValue });
 
   console.log(
-    `[子表数据联动]填充字段: ${fillingFieldId} 填充值: ${fillValue} 严格查询: ${stirctCondition} 查询参数: `,
-    searchParams
+    `[子表数据联动]填充字段: ${fillingFieldId} 填充值: ${fillValue} 严格查询: ${stirctCondition} 查询条件: `,
+    conditions
   );
 }
 
@@ -178,6 +377,7 @@ async function dataLinkage(
  * @param {Array<module:DataLinkage~ConditionMapItem>} conditionMap 条件规则映射
  * @param {module:DataLinkage~PostProcessor} postProcessor 后置处理函数
  * @param {boolean} stirctCondition 严格的条件规则，即只要有一个条件为undefined、null或者空字符串，则填充值为空
+ * @param {module:DataLinkage~LinkageOptions} [options] 选项
  *
  * @example
  * // 假设我们有一个员工信息表A（FORM-aaa）和审批表B（FORM-bbb）
@@ -218,7 +418,8 @@ async function dataLinkageSubform(
   fillingFieldId,
   conditionMap,
   postProcessor,
-  stirctCondition = true
+  stirctCondition = true,
+  options
 ) {
   if (!tableFieldId || !targetFormUuid || !targetFieldId || !fillingFieldId) {
     return;
@@ -228,9 +429,9 @@ async function dataLinkageSubform(
   const changeItemIndex = (context.$(tableFieldId).getItems() || []).indexOf(
     formGroupId
   );
-  let searchParams = {};
+  let conditions = [];
   if (Array.isArray(conditionMap)) {
-    searchParams = resolveConditionMap(
+    conditions = resolveConditionMap(
       context,
       conditionMap,
       tableFieldId,
@@ -239,26 +440,18 @@ async function dataLinkageSubform(
   }
 
   // 2.查询目标表单获取关联字段值
-  let fillValue = undefined;
-  const containEmptyParam = Object.values(searchParams).some(
-    (value) => value === undefined || value === null || value === ""
+  const formData = await searchLinkageRecord(
+    context,
+    targetFormType,
+    targetFormUuid,
+    conditions,
+    stirctCondition,
+    options
   );
-  if (!(stirctCondition && containEmptyParam)) {
-    let formDatas = await searchFormDatasAll(
-      context,
-      targetFormType,
-      targetFormUuid,
-      searchParams,
-      { strictQuery: true }
-    );
-    if (formDatas.length) {
-      const formData = formDatas[0];
-      fillValue = formData[targetFieldId];
-    }
-  }
+  let fillValue = formData ? formData[targetFieldId] : undefined;
 
   if (postProcessor instanceof Function) {
-    fillValue = postProcessor(context, fillValue);
+    fillValue = postProcessor(context, fillValue, formData);
   }
 
   // 3.将关联字段值填充到本表单字段
@@ -266,9 +459,202 @@ async function dataLinkageSubform(
   subformInst.updateItemValue(formGroupId, { [fillingFieldId]: fillValue });
 
   console.log(
-    `[子表数据联动]子表ID: ${tableFieldId}, 填充字段: ${fillingFieldId} 填充值: ${fillValue} 严格查询: ${stirctCondition} 查询参数: `,
-    searchParams
+    `[子表数据联动]子表ID: ${tableFieldId}, 填充字段: ${fillingFieldId} 填充值: ${fillValue} 严格查询: ${stirctCondition} 查询条件: `,
+    conditions
+  );
+}
+
+/**
+ * 字段映射项
+ * @typedef {Object} FieldMappingItem
+ * @property {string} from 目标表单要带过来的字段唯一标识
+ * @property {string} to 要填充的本表单字段唯一标识，子表联动时为子表内的字段唯一标识
+ * @property {module:DataLinkage~PostProcessor} [postProcessor] 后置处理函数
+ */
+
+/**
+ * 按照字段映射从目标表单数据中取出填充值
+ * @param {Object} context this上下文
+ * @param {Object | undefined} formData 目标表单数据
+ * @param {Array<module:DataLinkage~FieldMappingItem>} fieldMappings 字段映射
+ * @returns {Object} 本表单字段唯一标识 -> 填充值
+ */
+function resolveFieldMappings(context, formData, fieldMappings) {
+  const values = {};
+  for (const { from, to, postProcessor } of fieldMappings) {
+    let value = formData ? formData[from] : undefined;
+    if (postProcessor instanceof Function) {
+      value = postProcessor(context, value, formData);
+    }
+    values[to] = value;
+  }
+  return values;
+}
+
+/**
+ * 多字段数据联动，只查询一次目标表单，按照字段映射填充多个字段 <br/>
+ * 本方法仅支持带数据到主表，要数据联动到子表，请使用{@link module:DataLinkage.dataLinkageSubformMulti}
+ * @static
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} targetFormType 目标表单类型，form表示普通表单，process表示流程
+ * @param {string} targetFormUuid 目标表单UUID
+ * @param {Array<module:DataLinkage~FieldMappingItem>} fieldMappings 字段映射
+ * @param {Array<module:DataLinkage~ConditionMapItem>} conditionMap 条件规则映射
+ * @param {boolean} stirctCondition 严格的条件规则，即只要有一个条件为undefined、null或者空字符串，则填充值为空
+ * @param {module:DataLinkage~LinkageOptions} [options] 选项
+ * @returns {Promise<Object>} 本表单字段唯一标识 -> 填充值
+ *
+ * @example
+ * // 根据申请人从员工信息表中带出主管、部门、工号
+ * export function onProposerChange() {
+ *   dataLinkageMulti(
+ *     this,
+ *     "form",
+ *     "FORM-aaa",
+ *     [
+ *       { from: "textField_aaa2", to: "textField_bbb2" },
+ *       { from: "departmentSelectField_aaa3", to: "departmentSelectField_bbb3" },
+ *       { from: "textField_aaa4", to: "textField_bbb4", postProcessor: (context, value) => value || "无" },
+ *     ],
+ *     [{ from: "textField_bbb1", to: "textField_aaa1" }]
+ *   );
+ * }
+ *
+ * // 根据申请日期和申请人所在的任一部门，带出状态为启用、最近修改的一条预算信息
+ * export function onApplyChange() {
+ *   dataLinkageMulti(
+ *     this,
+ *     "form",
+ *     "FORM-budget",
+ *     [{ from: "numberField_amount", to: "numberField_budget" }],
+ *     [
+ *       { from: "departmentSelectField_bbb5", to: "departmentSelectField_dept", op: "in" },
+ *       { from: "dateField_bbb6", to: "dateField_start", op: "lte" },
+ *       { from: "dateField_bbb6", to: "dateField_end", op: "gte" },
+ *       { to: "selectField_status", value: "启用" },
+ *     ],
+ *     true,
+ *     { pick: "latest" }
+ *   );
+ * }
+ */
+async function dataLinkageMulti(
+  context,
+  targetFormType,
+  targetFormUuid,
+  fieldMappings,
+  conditionMap,
+  stirctCondition = true,
+  options
+) {
+  if (!targetFormUuid || !Array.isArray(fieldMappings)) {
+    return {};
+  }
+
+  const conditions = resolveConditionMap(context, conditionMap);
+  const formData = await searchLinkageRecord(
+    context,
+    targetFormType,
+    targetFormUuid,
+    conditions,
+    stirctCondition,
+    options
+  );
+
+  const values = resolveFieldMappings(context, formData, fieldMappings);
+  for (const fieldId in values) {
+    context.$(fieldId).getProps().onChange({ value: values[fieldId] });
+  }
+
+  console.log(
+    `[数据联动]填充字段: ${Object.keys(values).join(
+      ", "
+    )} 严格查询: ${stirctCondition} 查询条件: `,
+    conditions
+  );
+  return values;
+}
+
+/**
+ * 子表多字段数据联动，只查询一次目标表单，按照字段映射一次性更新子表行的多个字段
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} tableFieldId 子表唯一标识
+ * @param {string} formGroupId 子表数据行标识
+ * @param {"form" | "process"} targetFormType 目标表单类型，form表示普通表单，process表示流程
+ * @param {string} targetFormUuid 目标表单UUID
+ * @param {Array<module:DataLinkage~FieldMappingItem>} fieldMappings 字段映射，to 为子表内的字段唯一标识
+ * @param {Array<module:DataLinkage~ConditionMapItem>} conditionMap 条件规则映射
+ * @param {boolean} stirctCondition 严格的条件规则，即只要有一个条件为undefined、null或者空字符串，则填充值为空
+ * @param {module:DataLinkage~LinkageOptions} [options] 选项
+ * @returns {Promise<Object>} 子表字段唯一标识 -> 填充值
+ *
+ * @example
+ * export function onSubformChange({ extra }) {
+ *   if (extra && extra.from === "form_change" && extra.fieldId === "textField_bbb1") {
+ *     dataLinkageSubformMulti(
+ *       this,
+ *       "tableField_bbb",
+ *       extra.formGroupId,
+ *       "form",
+ *       "FORM-aaa",
+ *       [
+ *         { from: "textField_aaa2", to: "textField_bbb2" },
+ *         { from: "numberField_aaa3", to: "numberField_bbb3" },
+ *       ],
+ *       [{ from: "textField_bbb1", to: "textField_aaa1", isSubform: true }]
+ *     );
+ *   }
+ * }
+ */
+async function dataLinkageSubformMulti(
+  context,
+  tableFieldId,
+  formGroupId,
+  targetFormType,
+  targetFormUuid,
+  fieldMappings,
+  conditionMap,
+  stirctCondition = true,
+  options
+) {
+  if (!tableFieldId || !targetFormUuid || !Array.isArray(fieldMappings)) {
+    return {};
+  }
+
+  const changeItemIndex = (context.$(tableFieldId).getItems() || []).indexOf(
+    formGroupId
+  );
+  const conditions = resolveConditionMap(
+    context,
+    conditionMap,
+    tableFieldId,
+    changeItemIndex
+  );
+  const formData = await searchLinkageRecord(
+    context,
+    targetFormType,
+    targetFormUuid,
+    conditions,
+    stirctCondition,
+    options
+  );
+
+  const values = resolveFieldMappings(context, formData, fieldMappings);
+  context.$(tableFieldId).updateItemValue(formGroupId, values);
+
+  console.log(
+    `[子表数据联动]子表ID: ${tableFieldId}, 填充字段: ${Object.keys(
+      values
+    ).join(", ")} 严格查询: ${stirctCondition} 查询条件: `,
+    conditions
   );
+  return values;
 }
 
-export { dataLinkage, dataLinkageSubform };
+export {
+  dataLinkage,
+  dataLinkageSubform,
+  dataLinkageMulti,
+  dataLinkageSubformMulti,
+};
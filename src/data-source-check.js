@@ -0,0 +1,320 @@
+/**
+ * 检查页面是否添加了本库方法需要的远程数据源，建议在开发阶段的 didMount 中调用，
+ * 避免调用时才发现数据源缺失
+ * @module DataSourceCheck
+ */
+
+import {
+  searchFormDatas,
+  searchFormDataIds,
+  getFormData,
+  fetchSubformDatas,
+  saveFormData,
+  startInstance,
+  updateFormData,
+  deleteFormData,
+  getOperationRecords,
+  executeTask,
+  redirectTask,
+  terminateInstance,
+  searchFormDatasAll,
+  iterateFormDatas,
+  searchFormDataIdsAll,
+  iterateFormDataIds,
+  fetchSubformDatasAll,
+  iterateSubformDatas,
+  updateFormDataDiff,
+} from "./data-source";
+import {
+  batchSaveFormData,
+  batchUpdateFormData,
+  batchDeleteFormData,
+} from "./data-batch";
+import {
+  getPendingTasks,
+  executeTasks,
+  approveTasks,
+  rejectTasks,
+  executeTasksByQuery,
+  transferTask,
+  terminateInstances,
+  getApprovalTimeline,
+} from "./process";
+import { upsertFormData } from "./data-upsert";
+import { joinForms } from "./data-join";
+import { aggregateQuery } from "./data-aggregate";
+import { importFormDatas } from "./data-import";
+import {
+  dataLinkage,
+  dataLinkageSubform,
+  dataLinkageMulti,
+  dataLinkageSubformMulti,
+} from "./data-linkage";
+import { query } from "./FormQuery";
+import { getRegisteredConnectors } from "./connector";
+import { ValidationError } from "./errors";
+
+/**
+ * 本库使用的宜搭平台数据源，{ 数据源名称: [请求方法, 请求地址] }，请求地址中的应用ID为占位符
+ * @type {Object.<string, Array<string>>}
+ */
+const DATA_SOURCE_APIS = {
+  searchFormDatas: ["GET", "/v1/form/searchFormDatas.json"],
+  getInstances: ["GET", "/v1/process/getInstances.json"],
+  searchFormDataIds: ["GET", "/v1/form/searchFormDataIds.json"],
+  getInstanceIds: ["GET", "/v1/process/getInstanceIds.json"],
+  getFormData: ["GET", "/v1/form/getFormDataById.json"],
+  getProcessInstance: ["GET", "/v1/process/getInstanceById.json"],
+  fetchSubformDatas: [
+    "GET",
+    "/v1/form/listTableDataByFormInstIdAndTableId.json",
+  ],
+  saveFormData: ["POST", "/v1/form/saveFormData.json"],
+  startInstance: ["POST", "/v1/process/startInstance.json"],
+  updateFormData: ["POST", "/v1/form/updateFormData.json"],
+  updateInstance: ["POST", "/v1/process/updateInstance.json"],
+  deleteFormData: ["POST", "/v1/form/deleteFormData.json"],
+  getOperationRecords: ["GET", "/v1/process/getOperationRecords.json"],
+  executeTask: ["POST", "/v1/task/executeTask.json"],
+  redirectTask: ["POST", "/v1/task/redirectTask.json"],
+  terminateInstance: ["POST", "/v1/process/terminateInstance.json"],
+};
+
+const SEARCH = { form: ["searchFormDatas"], process: ["getInstances"] };
+const SEARCH_IDS = { form: ["searchFormDataIds"], process: ["getInstanceIds"] };
+const UPDATE = { form: ["updateFormData"], process: ["updateInstance"] };
+const SUBFORM = ["fetchSubformDatas"];
+
+/**
+ * 方法名称 -> 方法 和 需要的数据源，数据源与表单类型有关时为 { form, process }
+ * @type {Object.<string, Array>}
+ */
+const HELPERS = {
+  getFormData: [
+    getFormData,
+    { form: ["getFormData"], process: ["getProcessInstance"] },
+  ],
+  searchFormDatas: [searchFormDatas, SEARCH],
+  searchFormDatasAll: [searchFormDatasAll, SEARCH],
+  iterateFormDatas: [iterateFormDatas, SEARCH],
+  searchFormDataIds: [searchFormDataIds, SEARCH_IDS],
+  searchFormDataIdsAll: [searchFormDataIdsAll, SEARCH_IDS],
+  iterateFormDataIds: [iterateFormDataIds, SEARCH_IDS],
+  fetchSubformDatas: [fetchSubformDatas, SUBFORM],
+  fetchSubformDatasAll: [fetchSubformDatasAll, SUBFORM],
+  iterateSubformDatas: [iterateSubformDatas, SUBFORM],
+  saveFormData: [saveFormData, ["saveFormData"]],
+  startInstance: [startInstance, ["startInstance"]],
+  updateFormData: [updateFormData, UPDATE],
+  updateFormDataDiff: [updateFormDataDiff, UPDATE],
+  deleteFormData: [deleteFormData, ["deleteFormData"]],
+  getOperationRecords: [getOperationRecords, ["getOperationRecords"]],
+  executeTask: [executeTask, ["executeTask"]],
+  redirectTask: [redirectTask, ["redirectTask"]],
+  terminateInstance: [terminateInstance, ["terminateInstance"]],
+  query: [query, SEARCH],
+  batchSaveFormData: [
+    batchSaveFormData,
+    { form: ["saveFormData"], process: ["startInstance"] },
+  ],
+  batchUpdateFormData: [batchUpdateFormData, UPDATE],
+  batchDeleteFormData: [batchDeleteFormData, ["deleteFormData"]],
+  upsertFormData: [
+    upsertFormData,
+    {
+      form: ["searchFormDatas", "saveFormData", "updateFormData"],
+      process: ["getInstances", "startInstance", "updateInstance"],
+    },
+  ],
+  joinForms: [joinForms, SEARCH],
+  aggregateQuery: [aggregateQuery, SEARCH],
+  importFormDatas: [importFormDatas, ["saveFormData"]],
+  dataLinkage: [dataLinkage, SEARCH],
+  dataLinkageSubform: [dataLinkageSubform, SEARCH],
+  dataLinkageMulti: [dataLinkageMulti, SEARCH],
+  dataLinkageSubformMulti: [dataLinkageSubformMulti, SEARCH],
+  getPendingTasks: [getPendingTasks, ["getOperationRecords"]],
+  executeTasks: [executeTasks, ["getOperationRecords", "executeTask"]],
+  approveTasks: [approveTasks, ["getOperationRecords", "executeTask"]],
+  rejectTasks: [rejectTasks, ["getOperationRecords", "executeTask"]],
+  executeTasksByQuery: [
+    executeTasksByQuery,
+    ["getInstances", "getOperationRecords", "executeTask"],
+  ],
+  transferTask: [transferTask, ["getOperationRecords", "redirectTask"]],
+  terminateInstances: [terminateInstances, ["terminateInstance"]],
+  getApprovalTimeline: [getApprovalTimeline, ["getOperationRecords"]],
+};
+
+/**
+ * 要检查的方法
+ * @typedef {Object} DataSourceCheckItem
+ * @property {string | Function} helper 方法名称或者方法本身，也可以是已注册的连接器名称（参见 {@link module:Connector.registerConnector}）
+ * 或者任意数据源名称
+ * @property {"form" | "process"} [type] 表单类型，用于区分普通表单和流程需要的数据源，默认为form
+ */
+
+/**
+ * 缺失或者配置有误的数据源
+ * @typedef {Object} DataSourceProblem
+ * @property {string} name 数据源名称
+ * @property {string} [method] 请求方法，平台数据源才有
+ * @property {string} [path] 请求地址，平台数据源才有
+ * @property {string} [reason] 配置有误的原因
+ * @property {Array<string>} requiredBy 需要此数据源的方法
+ */
+
+/**
+ * 数据源检查结果
+ * @typedef {Object} DataSourceCheckResult
+ * @property {boolean} ok 是否所有数据源都已正确添加
+ * @property {Array<module:DataSourceCheck~DataSourceProblem>} missing 缺失的数据源
+ * @property {Array<module:DataSourceCheck~DataSourceProblem>} misconfigured 配置有误的数据源
+ * @property {Array<string>} checked 检查过的所有数据源名称
+ * @property {string} message 检查结果说明，可以直接打印出来，ok 为true时为空字符串
+ */
+
+/**
+ * 获取方法需要的数据源
+ * @param {string | Function} helper 方法名称或者方法
+ * @param {"form" | "process"} type 表单类型
+ * @returns {{label: string, names: Array<string>}}
+ */
+function resolveHelper(helper, type) {
+  let label = helper;
+  let required = null;
+  for (const name in HELPERS) {
+    if (HELPERS[name][0] === helper || name === helper) {
+      label = name;
+      required = HELPERS[name][1];
+      break;
+    }
+  }
+
+  if (required) {
+    return {
+      label,
+      names: Array.isArray(required) ? required : required[type],
+    };
+  }
+  if (typeof helper === "function") {
+    throw new ValidationError(
+      `Unknown helper: ${helper.name || "anonymous function"}`
+    );
+  }
+
+  const connector = getRegisteredConnectors()[helper];
+  return { label, names: [connector ? connector.dataSourceName : helper] };
+}
+
+/**
+ * 检查数据源配置。只有宜搭运行时暴露了数据源配置时才能检查，否则只检查 load 方法是否存在
+ * @param {Object} dataSource context.dataSourceMap 中的数据源
+ * @param {string} name 数据源名称
+ * @returns {string | null} 配置有误的原因
+ */
+function checkConfig(dataSource, name) {
+  if (typeof dataSource.load !== "function") {
+    return "数据源没有 load 方法，请确认添加的是远程数据源";
+  }
+
+  const api = DATA_SOURCE_APIS[name];
+  const config = dataSource.config || dataSource;
+  const options = config.options || {};
+  if (!api || !options.uri) return null;
+
+  if (String(options.uri).split("?")[0].slice(-api[1].length) !== api[1]) {
+    return `请求地址应以 ${api[1]} 结尾，当前为 ${options.uri}`;
+  }
+  if (options.method && String(options.method).toUpperCase() !== api[0]) {
+    return `请求方法应为 ${api[0]}，当前为 ${options.method}`;
+  }
+  return null;
+}
+
+/**
+ * 检查页面是否添加了指定方法需要的远程数据源，返回缺失或者配置有误的数据源及其请求地址 <br/>
+ * 支持 {@link module:DataSource}、{@link module:DataBatch}、{@link module:Process} 中的方法，以及
+ * upsertFormData、joinForms、aggregateQuery、importFormDatas、dataLinkage、dataLinkageSubform、query 等依赖数据源的方法
+ * @static
+ * @param {Object} context this上下文
+ * @param {Array<string | Function | module:DataSourceCheck~DataSourceCheckItem>} helpers 页面要使用的方法，
+ * 可以是方法名称、方法本身或者 { helper, type } 对象，普通表单和流程需要的数据源不同时请通过 type 指定
+ * @param {Object} [options] 选项
+ * @param {string} [options.appType] 应用ID，用于生成完整的请求地址，默认为 APP_xxxxxx
+ * @returns {module:DataSourceCheck~DataSourceCheckResult} 检查结果
+ *
+ * @example
+ * export function didMount() {
+ *   const result = checkDataSources(this, [
+ *     searchFormDatasAll,
+ *     { helper: updateFormData, type: "process" },
+ *     "approveTasks",
+ *     "subDepts", // 已注册的连接器
+ *   ], { appType: "APP_xxxxxx" });
+ *   if (!result.ok) console.warn(result.message);
+ * }
+ */
+function checkDataSources(context, helpers, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!Array.isArray(helpers)) {
+    throw new ValidationError("helpers must be an array");
+  }
+  const { appType } = Object.assign({ appType: "APP_xxxxxx" }, options);
+  const dataSourceMap = context.dataSourceMap || {};
+
+  // 数据源名称 -> 需要此数据源的方法
+  const required = new Map();
+  for (const item of helpers) {
+    const { helper, type } =
+      item && typeof item === "object" ? item : { helper: item };
+    if (!helper) throw new ValidationError("helper is required");
+
+    const { label, names } = resolveHelper(helper, type || "form");
+    for (const name of names) {
+      if (!required.has(name)) required.set(name, []);
+      if (required.get(name).indexOf(label) === -1) {
+        required.get(name).push(label);
+      }
+    }
+  }
+
+  const missing = [];
+  const misconfigured = [];
+  required.forEach((requiredBy, name) => {
+    const problem = { name, requiredBy };
+    const api = DATA_SOURCE_APIS[name];
+    if (api) {
+      problem.method = api[0];
+      problem.path = `/dingtalk/web/${appType}${api[1]}`;
+    }
+
+    const dataSource = dataSourceMap[name];
+    if (!dataSource) {
+      missing.push(problem);
+      return;
+    }
+    const reason = checkConfig(dataSource, name);
+    if (reason) misconfigured.push(Object.assign(problem, { reason }));
+  });
+
+  const lines = [];
+  for (const { name, method, path, requiredBy } of missing) {
+    lines.push(
+      `缺少数据源 ${name}${path ? `（${method} ${path}）` : ""}，${requiredBy.join("、")} 需要此数据源`
+    );
+  }
+  for (const { name, reason } of misconfigured) {
+    lines.push(`数据源 ${name} 配置有误：${reason}`);
+  }
+
+  return {
+    ok: lines.length === 0,
+    missing,
+    misconfigured,
+    checked: Array.from(required.keys()),
+    message: lines.join("\n"),
+  };
+}
+
+export { checkDataSources };
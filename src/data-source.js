@@ -1,9 +1,53 @@
 /**
- * 跨应用数据源以及连接器接口请求封装, 详情参考宜搭文档 {@link https://docs.aliwork.com/docs/developer/api/openAPI}
+ * 跨应用数据源以及连接器接口请求封装, 详情参考宜搭文档 {@link https://docs.aliwork.com/docs/developer/api/openAPI} <br/>
+ * 参数错误时抛出 {@link module:Errors~ValidationError}，数据源未添加时抛出 {@link module:Errors~DataSourceMissingError}，
+ * 接口请求失败时抛出 {@link module:Errors~RemoteError}（被限流时为 {@link module:Errors~RateLimitError}）
  * @module DataSource
  */
 
-import { getFieldTypeById } from "./field";
+import { getFieldTypeById, formDataDiff } from "./field";
+import { BatchTaskRunner } from "./BatchTaskRunner";
+import { loadDataSource } from "./request";
+import { ValidationError, ConflictError } from "./errors";
+
+/**
+ * 分页遍历选项
+ * @typedef {Object} PagingOption
+ * @property {number} [pageSize] 每页记录数，默认值见各方法说明
+ * @property {number} [maxPages] 最多获取多少页，默认不限制
+ * @property {AbortSignal} [signal] 中止信号，中止后停止获取下一页并抛出异常
+ * @property {number} [concurrency] 并发获取的页数，大于1时开启并行模式，默认为1，
+ * 仅 {@link module:DataSource.searchFormDatasAll} 支持
+ * @property {module:Utils~RetryPolicy | false} [retry] 请求失败重试策略，同 {@link module:DataSource~RequestOption}，
+ * 仅子表数据方法支持，查询表单数据时请在查询选项中指定
+ */
+
+/**
+ * 请求选项
+ * @typedef {Object} RequestOption
+ * @property {module:Utils~RetryPolicy | false} [retry] 本次请求的重试策略，会覆盖 {@link module:Request.enableRequestRetry} 的配置，为false时不重试。
+ * 只有读取数据和幂等的写操作（updateFormData、deleteFormData）支持此选项，saveFormData、startInstance 等重试可能产生重复数据的方法不支持
+ */
+
+/**
+ * 从选项中取出传给 {@link module:Request.loadDataSource} 的请求选项
+ * @param {Object} [options] 选项
+ * @returns {Object | undefined} 没有指定重试策略时返回undefined，保持默认的请求合并等行为
+ */
+function toRequestOptions(options) {
+  if (!options || options.retry === undefined) return undefined;
+  return { retry: options.retry };
+}
+
+/**
+ * 如果已经中止则抛出异常
+ * @param {AbortSignal} [signal] 中止信号
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason || new DOMException("Aborted", "AbortError");
+  }
+}
 
 /**
  * 调用连接器
@@ -11,7 +55,8 @@ import { getFieldTypeById } from "./field";
  * @param {object} context this上下文
  * @param {string} connectorName 连接器名称，数据源面板中添加连接器时配置的名称
  * @param {object} params 连接器执行动作参数
- * @returns {Promise<object>}
+ * @param {Object} [options] 请求选项，同 {@link module:Request.loadDataSource}
+ * @returns {Promise<object>} 连接器原始响应，如需校验、解析响应，请使用 {@link module:Connector.callConnector}
  * 
  * @example
  * // 假设要通过连接器调用钉钉接口获取部门下的子部门信息
@@ -28,10 +73,16 @@ import { getFieldTypeById } from "./field";
  *   console.log(`请求失败：${e.message}`);
  * })
  */
-async function invokeConnector(context, connectorName, params) {
-  const resp = await context.dataSourceMap[connectorName].load({
-    inputs: JSON.stringify(params)
-  });
+async function invokeConnector(context, connectorName, params, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!connectorName) throw new ValidationError("connectorName is required");
+
+  const resp = await loadDataSource(
+    context,
+    connectorName,
+    { inputs: JSON.stringify(params) },
+    options
+  );
 
   return resp;
 }
@@ -41,6 +92,7 @@ async function invokeConnector(context, connectorName, params) {
  * @static
  * @param {Object} context this上下文
  * @param {string} instanceId 实例ID
+ * @param {module:DataSource~RequestOption} [options] 请求选项
  *
  * @example
  * // 使用前请添加数据源：
@@ -54,13 +106,16 @@ async function invokeConnector(context, connectorName, params) {
  *   console.log(`删除失败：${e.message}`);
  * });
  */
-async function deleteFormData(context, instanceId) {
-  if (!context) throw Error("context is required");
-  if (!instanceId) throw Error("instanceId is required");
+async function deleteFormData(context, instanceId, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
 
-  const resp = await context.dataSourceMap.deleteFormData.load({
-    formInstId: instanceId,
-  });
+  const resp = await loadDataSource(
+    context,
+    "deleteFormData",
+    { formInstId: instanceId },
+    toRequestOptions(options)
+  );
 
   return resp;
 }
@@ -82,6 +137,7 @@ async function deleteFormData(context, instanceId) {
  * @param {string} tableFieldId 子表唯一标识
  * @param {number} currentPage 当前页， 默认为1
  * @param {number} pageSize 每页记录数，最大50条，默认为10
+ * @param {module:DataSource~RequestOption} [options] 请求选项
  * @returns {Promise<module:DataSource.SubformDatasResponse>}
  * 一个Promise，resolve响应对象，参见：{@link module:DataSource.SubformDatasResponse}
  *
@@ -109,31 +165,31 @@ async function fetchSubformDatas(
   formInstanceId,
   tableFieldId,
   currentPage,
-  pageSize
+  pageSize,
+  options
 ) {
   if (!context) {
-    throw Error("context is required");
+    throw new ValidationError("context is required");
   }
   if (!formUuid) {
-    throw Error("formUuid is required");
+    throw new ValidationError("formUuid is required");
   }
   if (!formInstanceId) {
-    throw Error("form instance id is required");
+    throw new ValidationError("form instance id is required");
   }
   if (!tableFieldId) {
-    throw Error("table field id is required");
+    throw new ValidationError("table field id is required");
   }
 
   currentPage = currentPage || 1;
   pageSize = pageSize || 10;
 
-  const response = await context.dataSourceMap.fetchSubformDatas.load({
-    formUuid,
-    formInstanceId,
-    tableFieldId,
-    currentPage,
-    pageSize,
-  });
+  const response = await loadDataSource(
+    context,
+    "fetchSubformDatas",
+    { formUuid, formInstanceId, tableFieldId, currentPage, pageSize },
+    toRequestOptions(options)
+  );
 
   const { totalCount, data } = response;
   const subformDatas = data || [];
@@ -145,6 +201,69 @@ async function fetchSubformDatas(
   };
 }
 
+/**
+ * 逐条遍历子表数据，按需分页获取，不会一次性把所有数据加载到内存中
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} formUuid 表单ID
+ * @param {string} formInstanceId 表单实例ID
+ * @param {string} tableFieldId 子表唯一标识
+ * @param {module:DataSource~PagingOption} [pagingOptions] 分页遍历选项，pageSize默认为50，最大50
+ * @returns {AsyncGenerator<Object>} 一个异步迭代器，逐条产出子表数据
+ *
+ * @example
+ * // 使用前请添加数据源：
+ * // 名称：fetchSubformDatas
+ * // 请求方法：GET
+ * // 请求地址：/dingtalk/web/APP_xxxxxx/v1/form/listTableDataByFormInstIdAndTableId.json
+ *
+ * for await (const row of iterateSubformDatas(
+ *   this,
+ *   "FORM-xxxxxx",
+ *   "FINST-xxxxxx",
+ *   "tableField_xxxxxx"
+ * )) {
+ *   console.log("子表数据：", row);
+ * }
+ */
+async function* iterateSubformDatas(
+  context,
+  formUuid,
+  formInstanceId,
+  tableFieldId,
+  pagingOptions
+) {
+  const { pageSize, maxPages, signal } = Object.assign(
+    { pageSize: 50, maxPages: Infinity },
+    pagingOptions
+  );
+
+  let currentPage = 1;
+  while (currentPage <= maxPages) {
+    throwIfAborted(signal);
+    const { subformDatas } = await fetchSubformDatas(
+      context,
+      formUuid,
+      formInstanceId,
+      tableFieldId,
+      currentPage,
+      pageSize,
+      toRequestOptions(pagingOptions)
+    );
+
+    for (const subformData of subformDatas) {
+      throwIfAborted(signal);
+      yield subformData;
+    }
+
+    if (subformDatas.length !== pageSize) {
+      break;
+    }
+
+    currentPage += 1;
+  }
+}
+
 /**
  * 获取所有子表数据
  * @static
@@ -152,6 +271,7 @@ async function fetchSubformDatas(
  * @param {string} formUuid 表单ID
  * @param {string} formInstanceId 表单实例ID
  * @param {string} tableFieldId 子表唯一标识
+ * @param {module:DataSource~PagingOption} [pagingOptions] 分页选项，pageSize默认为50，最大50
  * @returns {Promise<Array<Object>>} 一个Promise，resolve所有子表数据数组
  *
  * @example
@@ -175,42 +295,31 @@ async function fetchSubformDatasAll(
   context,
   formUuid,
   formInstanceId,
-  tableFieldId
+  tableFieldId,
+  pagingOptions
 ) {
   if (!context) {
-    throw Error("context is required");
+    throw new ValidationError("context is required");
   }
   if (!formUuid) {
-    throw Error("formUuid is required");
+    throw new ValidationError("formUuid is required");
   }
   if (!formInstanceId) {
-    throw Error("form instance id is required");
+    throw new ValidationError("form instance id is required");
   }
   if (!tableFieldId) {
-    throw Error("table field id is required");
+    throw new ValidationError("table field id is required");
   }
 
-  let allsubformDatas = [];
-  let currentPage = 1;
-  const pageSize = 50;
-
-  const t = true;
-  while (t) {
-    const { subformDatas } = await fetchSubformDatas(
-      context,
-      formUuid,
-      formInstanceId,
-      tableFieldId,
-      currentPage,
-      pageSize
-    );
-    allsubformDatas = allsubformDatas.concat(subformDatas);
-
-    if (subformDatas.length !== pageSize) {
-      break;
-    }
-
-    currentPage += 1;
+  const allsubformDatas = [];
+  for await (const subformData of iterateSubformDatas(
+    context,
+    formUuid,
+    formInstanceId,
+    tableFieldId,
+    pagingOptions
+  )) {
+    allsubformDatas.push(subformData);
   }
 
   return allsubformDatas;
@@ -222,6 +331,7 @@ async function fetchSubformDatasAll(
  * @param {Object} context this上下文
  * @param {"form" | "process"} type 类型，取值为 form-表单 或者 porcess-流程
  * @param {string} formInstId 表单实例ID
+ * @param {module:DataSource~RequestOption} [options] 请求选项
  * @return {Promise<Object>} 一个Promise，resolve表单实例数据
  *
  * @example
@@ -251,35 +361,39 @@ async function fetchSubformDatasAll(
  *   console.log(`获取失败：${e.message}`);
  * });
  */
-function getFormData(context, type, instId) {
+function getFormData(context, type, instId, options) {
   if (!context) {
-    throw Error("context is required");
+    throw new ValidationError("context is required");
   }
   if (!type) {
     type = "form";
   }
   if (!instId) {
-    throw Error("formInstId is required");
+    throw new ValidationError("formInstId is required");
   }
 
   let req;
   if (type === "form") {
-    req = context.dataSourceMap.getFormData
-      .load({ formInstId: instId })
-      .then((response) => {
-        return response.formData;
-      });
+    req = loadDataSource(
+      context,
+      "getFormData",
+      { formInstId: instId },
+      toRequestOptions(options)
+    ).then((response) => {
+      return response.formData;
+    });
   } else if (type === "process") {
-    req = context.dataSourceMap.getProcessInstance
-      .load({
-        processInstanceId: instId,
-      })
-      .then((response) => {
-        return response.data;
-      });
+    req = loadDataSource(
+      context,
+      "getProcessInstance",
+      { processInstanceId: instId },
+      toRequestOptions(options)
+    ).then((response) => {
+      return response.data;
+    });
   }
 
-  if (!req) throw Error(`Unknown type：${type}`);
+  if (!req) throw new ValidationError(`Unknown form type: ${type}`);
   return req;
 }
 
@@ -312,10 +426,10 @@ function getFormData(context, type, instId) {
  */
 async function saveFormData(context, formUuid, formData) {
   if (!context) {
-    throw Error("context is required");
+    throw new ValidationError("context is required");
   }
   if (!formUuid) {
-    throw Error("formUuid is required");
+    throw new ValidationError("formUuid is required");
   }
   if (!formData) {
     formData = {};
@@ -323,7 +437,7 @@ async function saveFormData(context, formUuid, formData) {
 
   const formDataJson = JSON.stringify(formData);
 
-  const instanceId = await context.dataSourceMap.saveFormData.load({
+  const instanceId = await loadDataSource(context, "saveFormData", {
     formUuid,
     formDataJson,
   });
@@ -363,13 +477,13 @@ async function saveFormData(context, formUuid, formData) {
  */
 async function startInstance(context, processCode, formUuid, formData, dptId) {
   if (!context) {
-    throw Error("context is required");
+    throw new ValidationError("context is required");
   }
   if (!processCode) {
-    throw Error("processCode is required");
+    throw new ValidationError("processCode is required");
   }
   if (!formUuid) {
-    throw Error("formUuid is required");
+    throw new ValidationError("formUuid is required");
   }
   if (!formData) {
     formData = {};
@@ -377,7 +491,7 @@ async function startInstance(context, processCode, formUuid, formData, dptId) {
 
   const formDataJson = JSON.stringify(formData);
 
-  const instanceId = await context.dataSourceMap.startInstance.load({
+  const instanceId = await loadDataSource(context, "startInstance", {
     processCode,
     formUuid,
     formDataJson,
@@ -406,8 +520,9 @@ async function startInstance(context, processCode, formUuid, formData, dptId) {
 /**
  * 搜索表单（流程）实例数据（ID）选项
  * @typedef {Object} SearchFormDatasOption
- * @property {boolean} strictQuery 严格（精确）查询，默认不启用。当使用单行文本或者多行文本组件作为查询条件时执行的是模糊查询，
- * 比如查询"张三"会把“张三丰”也查询出来。将strictQuery设置为ture会对查询结果执行进一步筛选，保证返回文本严格相等的数据。<br/>
+ * @property {boolean | Array<string>} strictQuery 严格（精确）查询，默认不启用。当使用单行文本或者多行文本组件作为查询条件时执行的是模糊查询，
+ * 比如查询"张三"会把“张三丰”也查询出来。将strictQuery设置为ture会对查询结果执行进一步筛选，保证返回文本严格相等的数据。
+ * 传入字段唯一标识数组时只对这些文本字段严格匹配，其余文本字段仍为模糊查询。<br/>
  * ⚠️查询表单实例ID方法{@link module:DataSource.searchFormDataIds} {@link module:DataSource.searchFormDataIdsAll}不支持此选项。<br/>
  * ⚠️如果使用分页查询，严格查询的结果数量可能少于分页数量。
  * @property {Object} dynamicOrder 排序规则
@@ -420,6 +535,7 @@ async function startInstance(context, processCode, formUuid, formData, dptId) {
  * @property {module:DataSource~ProcessStatus} instanceStatus
  * 实例状态，仅查询流程表单有效,可选值为：RUNNING, TERMINATED, COMPLETED, ERROR。分别代表：运行中，已终止，已完成，异常。
  * @property {module:DataSource~ApprovedResult} approvedResult 流程审批结果，仅查询流程表单有效，可选值为agree、disagree，分别代表同意、不同意。
+ * @property {module:Utils~RetryPolicy | false} [retry] 请求失败重试策略，同 {@link module:DataSource~RequestOption}，不会作为查询参数传给宜搭接口
  */
 
 /**
@@ -499,39 +615,44 @@ async function searchFormDataIds(
   options
 ) {
   if (!context) {
-    throw Error("context is required");
+    throw new ValidationError("context is required");
   }
   if (!formUuid) {
-    throw Error("formUuid is required");
+    throw new ValidationError("formUuid is required");
   }
   if (!type) {
     type = "form";
   }
 
+  // 复制一份，避免修改调用方传入的对象（分页查询时会重复使用同一个options）
+  options = Object.assign({}, options);
+  const requestOptions = toRequestOptions(options);
+  // 查询ID不支持严格查询，也不是宜搭接口的参数
+  delete options.strictQuery;
+  delete options.retry;
+
   const searchFieldJson = JSON.stringify(searchFieldObject || {});
-  if (options && options.dynamicOrder) {
-    options.dynamicOrder = JSON.stringify(options.dynamicOrder || {});
+  if (options.dynamicOrder && typeof options.dynamicOrder !== "string") {
+    options.dynamicOrder = JSON.stringify(options.dynamicOrder);
   }
 
   let req;
   if (type === "form") {
-    req = context.dataSourceMap.searchFormDataIds.load({
-      formUuid,
-      searchFieldJson,
-      currentPage,
-      pageSize,
-      ...options,
-    });
+    req = loadDataSource(
+      context,
+      "searchFormDataIds",
+      { formUuid, searchFieldJson, currentPage, pageSize, ...options },
+      requestOptions
+    );
   } else if (type === "process") {
-    req = context.dataSourceMap.getInstanceIds.load({
-      formUuid,
-      searchFieldJson,
-      currentPage,
-      pageSize,
-      ...options,
-    });
+    req = loadDataSource(
+      context,
+      "getInstanceIds",
+      { formUuid, searchFieldJson, currentPage, pageSize, ...options },
+      requestOptions
+    );
   } else {
-    throw Error("Unknow form type: ", type);
+    throw new ValidationError(`Unknown form type: ${type}`);
   }
 
   const response = await req;
@@ -553,6 +674,7 @@ async function searchFormDataIds(
  * @param {string} formUuid 表单ID
  * @param {Object} searchFieldObject 表单组件查询条件对象
  * @param {module:DataSource~SearchFormDatasOption} options 查询选项
+ * @param {module:DataSource~PagingOption} [pagingOptions] 分页选项，pageSize默认为100
  * @returns {Promise<Array<string>>} 一个Promise，resolve表单实例ID数组
  *
  * @example
@@ -599,16 +721,68 @@ async function searchFormDataIdsAll(
   type,
   formUuid,
   searchFieldObject,
-  options
+  options,
+  pagingOptions
+) {
+  const allIds = [];
+  for await (const id of iterateFormDataIds(
+    context,
+    type,
+    formUuid,
+    searchFieldObject,
+    options,
+    pagingOptions
+  )) {
+    allIds.push(id);
+  }
+
+  return allIds;
+}
+
+/**
+ * 逐个遍历符合条件的表单实例ID，按需分页获取，可以随时停止遍历 <br/>
+ * ⚠️如果使用文本字段（单行/多行文本）作为查询条件，执行的是模糊查询，比如查询“张三”，会把“张三丰"也查询出来
+ * @static
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} type 表单类型，可选 form、process，分别代表普通表单和流程
+ * @param {string} formUuid 表单ID
+ * @param {Object} searchFieldObject 表单组件查询条件对象
+ * @param {module:DataSource~SearchFormDatasOption} [options] 查询选项
+ * @param {module:DataSource~PagingOption} [pagingOptions] 分页遍历选项，pageSize默认为100
+ * @returns {AsyncGenerator<string>} 一个异步迭代器，逐个产出表单实例ID
+ *
+ * @example
+ * // 使用前请按照 searchFormDataIds 的说明添加数据源
+ *
+ * const controller = new AbortController();
+ * for await (const id of iterateFormDataIds(
+ *   this,
+ *   "form",
+ *   "FORM-xxxxxx",
+ *   { textField_xxxxxx: "hello" },
+ *   {},
+ *   { pageSize: 50, signal: controller.signal }
+ * )) {
+ *   console.log(id);
+ * }
+ */
+async function* iterateFormDataIds(
+  context,
+  type,
+  formUuid,
+  searchFieldObject,
+  options,
+  pagingOptions
 ) {
   if (!type) type = "form";
+  const { pageSize, maxPages, signal } = Object.assign(
+    { pageSize: 100, maxPages: Infinity },
+    pagingOptions
+  );
 
-  let allIds = [];
   let currentPage = 1;
-  const pageSize = 100;
-
-  const t = true;
-  while (t) {
+  while (currentPage <= maxPages) {
+    throwIfAborted(signal);
     const { ids } = await searchFormDataIds(
       context,
       type,
@@ -618,7 +792,11 @@ async function searchFormDataIdsAll(
       pageSize,
       options
     );
-    allIds = allIds.concat(ids);
+
+    for (const id of ids) {
+      throwIfAborted(signal);
+      yield id;
+    }
 
     if (ids.length !== pageSize) {
       break;
@@ -626,8 +804,6 @@ async function searchFormDataIdsAll(
 
     currentPage += 1;
   }
-
-  return allIds;
 }
 
 /**
@@ -732,41 +908,42 @@ async function searchFormDatas(
   options
 ) {
   if (!context) {
-    throw Error("context is required");
+    throw new ValidationError("context is required");
   }
   if (!formUuid) {
-    throw Error("formUuid is required");
+    throw new ValidationError("formUuid is required");
   }
   if (!type) {
     type = "form";
   }
 
-  options = Object.assign({ strictQuery: false }, options);
+  // strictQuery 在本地筛选，retry 是请求选项，都不是宜搭接口的参数
+  const { strictQuery, retry, ...searchOptions } = Object.assign({}, options);
+  const requestOptions = toRequestOptions({ retry });
+  options = searchOptions;
 
   const searchFieldJson = JSON.stringify(searchFieldObject || {});
-  if (options && options.dynamicOrder) {
-    options.dynamicOrder = JSON.stringify(options.dynamicOrder || {});
+  if (options.dynamicOrder && typeof options.dynamicOrder !== "string") {
+    options.dynamicOrder = JSON.stringify(options.dynamicOrder);
   }
 
   let req;
   if (type === "form") {
-    req = context.dataSourceMap.searchFormDatas.load({
-      formUuid,
-      searchFieldJson,
-      currentPage,
-      pageSize,
-      ...options,
-    });
+    req = loadDataSource(
+      context,
+      "searchFormDatas",
+      { formUuid, searchFieldJson, currentPage, pageSize, ...options },
+      requestOptions
+    );
   } else if (type === "process") {
-    req = context.dataSourceMap.getInstances.load({
-      formUuid,
-      searchFieldJson,
-      currentPage,
-      pageSize,
-      ...options,
-    });
+    req = loadDataSource(
+      context,
+      "getInstances",
+      { formUuid, searchFieldJson, currentPage, pageSize, ...options },
+      requestOptions
+    );
   } else {
-    throw Error("Unknow form type: ", type);
+    throw new ValidationError(`Unknown form type: ${type}`);
   }
 
   const response = await req;
@@ -807,10 +984,14 @@ async function searchFormDatas(
   }
 
   const actualPageSize = formDatas.length;
-  // 严格查询，对结果集进一步筛选，所有文本类型字段值必须和查询条件严格匹配
-  if (options.strictQuery) {
+  // 严格查询，对结果集进一步筛选，文本类型字段值必须和查询条件严格匹配
+  if (strictQuery) {
+    const strictFields = Array.isArray(strictQuery)
+      ? strictQuery
+      : Object.keys(searchFieldObject || {});
     const textFieldMap = new Map();
-    for (const key in searchFieldObject) {
+    for (const key of strictFields) {
+      if (!searchFieldObject || !(key in searchFieldObject)) continue;
       const fieldType = getFieldTypeById(key);
       if (fieldType === "text" || fieldType === "textarea") {
         textFieldMap.set(key, searchFieldObject[key]);
@@ -843,6 +1024,10 @@ async function searchFormDatas(
  * @param {string} formUuid 表单ID
  * @param {Object} searchFieldObject 表单组件查询条件对象
  * @param {module:DataSource~SearchFormDatasOption} options 查询选项
+ * @param {module:DataSource~PagingOption} [pagingOptions] 分页选项，pageSize默认为100。
+ * concurrency大于1时开启并行模式：根据第一页返回的totalCount计算总页数，并发获取剩余页，结果顺序和串行模式一致；
+ * 第一页没有返回totalCount时逐页获取。
+ * ⚠️并行获取期间如果有数据新增或删除，分页可能错位导致数据重复或遗漏
  * @returns {Promise<Array<Object>>} 一个Promise，resolve表单实例数据数组
  *
  * @example
@@ -885,22 +1070,187 @@ async function searchFormDatas(
  *     console.log(`查询失败：${e.message}`);
  *   }
  * );
+ *
+ * // 数据量较大时，开启并行模式，每次并发获取5页
+ * searchFormDatasAll(
+ *   this,
+ *   "form",
+ *   "FORM-xxxxxx",
+ *   {},
+ *   {},
+ *   { concurrency: 5 }
+ * ).then((formDatas) => {
+ *     console.log("查询成功", formDatas);
+ *   }
+ * );
  */
 async function searchFormDatasAll(
   context,
   type,
   formUuid,
   searchFieldObject,
-  options
+  options,
+  pagingOptions
+) {
+  if (pagingOptions && pagingOptions.concurrency > 1) {
+    return searchFormDatasAllParallel(
+      context,
+      type,
+      formUuid,
+      searchFieldObject,
+      options,
+      pagingOptions
+    );
+  }
+
+  const allFormDatas = [];
+  for await (const formData of iterateFormDatas(
+    context,
+    type,
+    formUuid,
+    searchFieldObject,
+    options,
+    pagingOptions
+  )) {
+    allFormDatas.push(formData);
+  }
+
+  return allFormDatas;
+}
+
+/**
+ * 并行查询符合条件的所有表单实例 <br/>
+ * 先获取第一页，根据totalCount计算总页数，再使用 {@link module:BatchTaskRunner~BatchTaskRunner}
+ * 按照concurrency分批并发获取剩余页，结果保持页码顺序。没有totalCount时和串行模式一样逐页获取
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} type 表单类型
+ * @param {string} formUuid 表单ID
+ * @param {Object} searchFieldObject 表单组件查询条件对象
+ * @param {module:DataSource~SearchFormDatasOption} options 查询选项
+ * @param {module:DataSource~PagingOption} pagingOptions 分页选项
+ * @returns {Promise<Array<module:DataSource~FormData>>}
+ */
+async function searchFormDatasAllParallel(
+  context,
+  type,
+  formUuid,
+  searchFieldObject,
+  options,
+  pagingOptions
+) {
+  const { pageSize, maxPages, signal, concurrency } = Object.assign(
+    { pageSize: 100, maxPages: Infinity },
+    pagingOptions
+  );
+  const fetchPage = (currentPage) =>
+    searchFormDatas(
+      context,
+      type,
+      formUuid,
+      searchFieldObject,
+      currentPage,
+      pageSize,
+      options
+    );
+
+  throwIfAborted(signal);
+  const firstPage = await fetchPage(1);
+  if (typeof firstPage.totalCount !== "number") {
+    // 无法计算总页数，逐页获取直到某页不满
+    const allFormDatas = firstPage.formDatas.slice();
+    let page = firstPage;
+    for (
+      let currentPage = 2;
+      currentPage <= maxPages && page.actualPageSize === pageSize;
+      currentPage++
+    ) {
+      throwIfAborted(signal);
+      page = await fetchPage(currentPage);
+      allFormDatas.push(...page.formDatas);
+    }
+    return allFormDatas;
+  }
+
+  const pageCount = Math.min(
+    Math.ceil(firstPage.totalCount / pageSize),
+    maxPages
+  );
+
+  const pages = [firstPage.formDatas];
+  let error;
+  function* taskProvider() {
+    for (let currentPage = 2; currentPage <= pageCount; currentPage++) {
+      // 任意一页失败或者已中止时不再继续获取
+      if (error || (signal && signal.aborted)) return;
+      yield async () => {
+        const { formDatas } = await fetchPage(currentPage);
+        pages[currentPage - 1] = formDatas;
+      };
+    }
+  }
+
+  await new BatchTaskRunner(taskProvider(), concurrency, {
+    afterBatchCb: (results) => {
+      const rejected = results.find((result) => result.status === "rejected");
+      if (rejected && !error) error = rejected.reason;
+    },
+  }).start();
+
+  if (error) throw error;
+  throwIfAborted(signal);
+
+  return pages.reduce((coll, formDatas) => coll.concat(formDatas), []);
+}
+
+/**
+ * 逐条遍历符合条件的表单实例，按需分页获取，适合处理大量数据或者找到目标后提前结束 <br/>
+ * ⚠️如果使用文本字段（单行/多行文本）作为查询条件，执行的是模糊查询，比如查询“张三”，会把“张三丰"也查询出来。
+ * 若要精确查询，请将options参数的strictQuery选项设置为true
+ * @static
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} type 表单类型，可选 form、process，分别代表普通表单和流程
+ * @param {string} formUuid 表单ID
+ * @param {Object} searchFieldObject 表单组件查询条件对象
+ * @param {module:DataSource~SearchFormDatasOption} [options] 查询选项
+ * @param {module:DataSource~PagingOption} [pagingOptions] 分页遍历选项，pageSize默认为100
+ * @returns {AsyncGenerator<module:DataSource~FormData>} 一个异步迭代器，逐条产出表单实例数据
+ *
+ * @example
+ * // 使用前请按照 searchFormDatas 的说明添加数据源
+ *
+ * // 找到第一条金额大于10000的数据后停止查询
+ * let target;
+ * for await (const formData of iterateFormDatas(
+ *   this,
+ *   "form",
+ *   "FORM-xxxxxx",
+ *   { textField_xxxxxx: "hello" },
+ *   { strictQuery: true },
+ *   { pageSize: 50, maxPages: 20 }
+ * )) {
+ *   if (formData.numberField_xxxxxx > 10000) {
+ *     target = formData;
+ *     break;
+ *   }
+ * }
+ */
+async function* iterateFormDatas(
+  context,
+  type,
+  formUuid,
+  searchFieldObject,
+  options,
+  pagingOptions
 ) {
   if (!type) type = "form";
+  const { pageSize, maxPages, signal } = Object.assign(
+    { pageSize: 100, maxPages: Infinity },
+    pagingOptions
+  );
 
-  let allFormDatas = [];
   let currentPage = 1;
-  const pageSize = 100;
-
-  const t = true;
-  while (t) {
+  while (currentPage <= maxPages) {
+    throwIfAborted(signal);
     const { formDatas, actualPageSize } = await searchFormDatas(
       context,
       type,
@@ -910,7 +1260,11 @@ async function searchFormDatasAll(
       pageSize,
       options
     );
-    allFormDatas = allFormDatas.concat(formDatas);
+
+    for (const formData of formDatas) {
+      throwIfAborted(signal);
+      yield formData;
+    }
 
     if (actualPageSize !== pageSize) {
       break;
@@ -918,19 +1272,136 @@ async function searchFormDatasAll(
 
     currentPage += 1;
   }
+}
 
-  return allFormDatas;
+/**
+ * 读取实例的最新数据（不使用请求缓存），包含修改时间
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} type 表单类型
+ * @param {string} instanceId 实例ID
+ * @param {module:DataSource~RequestOption} [options] 请求选项
+ * @returns {Promise<{gmtModified: any, formData: Object}>}
+ */
+async function getLatestInstance(context, type, instanceId, options) {
+  const requestOptions = Object.assign(
+    { fresh: true },
+    toRequestOptions(options)
+  );
+  if (type === "form") {
+    const response = await loadDataSource(
+      context,
+      "getFormData",
+      { formInstId: instanceId },
+      requestOptions
+    );
+    return { gmtModified: response.gmtModified, formData: response.formData };
+  } else if (type === "process") {
+    const response = await loadDataSource(
+      context,
+      "getProcessInstance",
+      { processInstanceId: instanceId },
+      requestOptions
+    );
+    return { gmtModified: response.gmtModified, formData: response.data };
+  }
+
+  throw new ValidationError(`Unknown form type: ${type}`);
 }
 
 /**
- * 更新表单/流程实例数据
+ * 修改时间转换为可比较的值，宜搭接口返回的修改时间可能是时间戳或者时间字符串
+ * @static
+ * @param {any} value 修改时间
+ * @returns {any} 可以解析时返回时间戳，否则原样返回
+ *
+ * @example
+ * toModifiedTime("2024-06-01 00:00:00"); // 1717171200000（东八区）
+ */
+function toModifiedTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "string") {
+    const time = Date.parse(value.replace(" ", "T"));
+    return isNaN(time) ? value : time;
+  }
+  return value;
+}
+
+/**
+ * 获取表单数据中的表单字段，忽略查询结果中的实例ID、创建时间等实例信息
+ * @param {Object} formData 表单数据
+ * @returns {Array<string>} 字段唯一标识
+ */
+function getFormFieldIds(formData) {
+  return Object.keys(formData).filter((key) => /^[a-zA-Z]+Field_/.test(key));
+}
+
+/**
+ * 更新前检查数据是否已被其他人修改，有冲突时抛出 ConflictError
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} type 表单类型
+ * @param {string} instanceId 实例ID
+ * @param {Object} updateFormData 要更新的表单数据对象
+ * @param {module:DataSource~UpdateFormDataOptions} options 更新选项
+ */
+async function checkUpdateConflict(
+  context,
+  type,
+  instanceId,
+  updateFormData,
+  options
+) {
+  const { expectedModified, original } = options;
+  const latest = await getLatestInstance(context, type, instanceId, options);
+  const current = latest.formData || {};
+
+  // 有原始数据时列出被其他人修改的字段，否则列出即将被覆盖的字段
+  const diff = original
+    ? formDataDiff(current, original, getFormFieldIds(original))
+    : formDataDiff(current, updateFormData, Object.keys(updateFormData));
+
+  const conflicted =
+    expectedModified !== undefined && expectedModified !== null
+      ? toModifiedTime(expectedModified) !== toModifiedTime(latest.gmtModified)
+      : Object.keys(diff).length > 0;
+  if (!conflicted) return;
+
+  const fieldIds = Object.keys(diff);
+  throw new ConflictError(
+    `数据已被其他人修改${fieldIds.length ? `：${fieldIds.join(", ")}` : ""}`,
+    {
+      instanceId,
+      expectedModified,
+      actualModified: latest.gmtModified,
+      current,
+      diff,
+    }
+  );
+}
+
+/**
+ * 更新表单数据选项
+ * @typedef {Object} UpdateFormDataOptions
+ * @property {boolean} [useLatestVersion] 是否使用最新的表单版本进行更新，默认为false，仅对普通表单有效
+ * @property {number | string | Date} [expectedModified] 读取数据时数据的修改时间（gmtModified），
+ * 传入后会在更新前重新读取数据，修改时间不一致时说明数据已被其他人修改，抛出 {@link module:Errors~ConflictError}
+ * @property {Object} [original] 读取时的表单数据，可以直接传入查询结果中的一条数据。传入 expectedModified 时用于计算被其他人修改的字段；
+ * 只传 original 时，任何表单字段的当前值与 original 不一致都视为冲突，实例ID、修改时间等实例信息不参与比较
+ * @property {module:Utils~RetryPolicy | false} [retry] 请求失败重试策略，同 {@link module:DataSource~RequestOption}，同时用于冲突检查和更新请求
+ */
+
+/**
+ * 更新表单/流程实例数据 <br/>
+ * 通过 options 的 expectedModified 或者 original 选项可以启用乐观锁，防止覆盖其他人在此期间的修改。
+ * ⚠️检查和更新是两次请求，仍有极小概率在两次请求之间被其他人修改
  * @static
  * @param {Object} context this上下文
  * @param {"form" | "process"} type 表单类型，可选 form、process，分别代表普通表单和流程
  * @param {string} instanceId 实例ID
  * @param {Object} updateFormData 要更新的表单数据对象
- * @param {boolean} useLatestVersion 是否使用最新的表单版本进行更新，默认为false，仅对普通表单有效
+ * @param {boolean | module:DataSource~UpdateFormDataOptions} useLatestVersion 是否使用最新的表单版本进行更新，默认为false，仅对普通表单有效。
+ * 也可以传入选项对象
  * @return {Promise} 一个Promise，更新成功时resolve，失败时reject
+ * @throws {module:Errors~ConflictError} 启用乐观锁且数据已被其他人修改
  *
  * @example
  * // 使用前请添加数据源：
@@ -942,6 +1413,7 @@ async function searchFormDatasAll(
  * // 名称：updateInstance
  * // 请求方法：POST
  * // 请求地址：/dingtalk/web/APP_xxxxxx/v1/process/updateInstance.json
+ * // 启用乐观锁时还需要添加 getFormData 或者 getProcessInstance 数据源，参见 {@link module:DataSource.getFormData}
  *
  * updateFormData(
  *   this,
@@ -955,6 +1427,20 @@ async function searchFormDatasAll(
  *     console.log(`更新失败：${e.message}`);
  *   }
  * );
+ *
+ * @example
+ * // 乐观锁：gmtModified 和 formData 来自之前的查询结果
+ * try {
+ *   await updateFormData(this, "form", instanceId, { numberField_stock: stock - 1 }, {
+ *     expectedModified: gmtModified,
+ *     original: formData,
+ *   });
+ * } catch (e) {
+ *   if (e instanceof ConflictError) {
+ *     // e.diff: { numberField_stock: { isEqual: false, new: 8, old: 10 } }
+ *     this.utils.toast({ title: `库存已被其他人修改，请刷新后重试`, type: "error" });
+ *   }
+ * }
  */
 async function updateFormData(
   context,
@@ -963,28 +1449,100 @@ async function updateFormData(
   updateFormData,
   useLatestVersion = false
 ) {
-  if (!context) throw Error("context is required");
-  if (!instanceId) throw Error("instanceId is required");
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
   if (!type) type = "form";
   if (!updateFormData) updateFormData = {};
 
+  const options =
+    useLatestVersion !== null && typeof useLatestVersion === "object"
+      ? Object.assign({ useLatestVersion: false }, useLatestVersion)
+      : { useLatestVersion };
+  if (type !== "form" && type !== "process") {
+    throw new ValidationError(`Unknown form type: ${type}`);
+  }
+
+  const checkConflict =
+    (options.expectedModified !== undefined &&
+      options.expectedModified !== null) ||
+    Boolean(options.original);
+  if (checkConflict) {
+    await checkUpdateConflict(
+      context,
+      type,
+      instanceId,
+      updateFormData,
+      options
+    );
+  }
+
   const updateFormDataJson = JSON.stringify(updateFormData);
 
-  let req;
   if (type === "form") {
-    req = context.dataSourceMap.updateFormData.load({
-      formInstId: instanceId,
-      updateFormDataJson,
-      useLatestVersion,
-    });
+    await loadDataSource(
+      context,
+      "updateFormData",
+      {
+        formInstId: instanceId,
+        updateFormDataJson,
+        useLatestVersion: options.useLatestVersion,
+      },
+      toRequestOptions(options)
+    );
   } else {
-    req = context.dataSourceMap.updateInstance.load({
-      processInstanceId: instanceId,
-      updateFormDataJson,
-    });
+    await loadDataSource(
+      context,
+      "updateInstance",
+      { processInstanceId: instanceId, updateFormDataJson },
+      toRequestOptions(options)
+    );
   }
+}
 
-  await req;
+/**
+ * 只更新有变化的字段：按照字段类型对比原始数据和编辑后的数据（参见 {@link module:Field.formDataDiff}），
+ * 只把值发生变化的字段传给 {@link module:DataSource.updateFormData}，避免触发不必要的公式计算和操作记录。
+ * 没有字段变化时不会发起请求 <br/>
+ * 只对比 edited 中出现的字段，edited 中没有的字段不会被清空
+ * @static
+ * @param {Object} context this上下文
+ * @param {"form" | "process"} type 表单类型，可选 form、process，分别代表普通表单和流程
+ * @param {string} instanceId 实例ID
+ * @param {Object} original 原始表单数据
+ * @param {Object} edited 编辑后的表单数据
+ * @param {boolean | module:DataSource~UpdateFormDataOptions} [options] 更新选项，同 {@link module:DataSource.updateFormData}
+ * @returns {Promise<Object.<string, module:Field~FieldValueDiff>>} 有变化的字段及其差异，没有变化时为空对象
+ *
+ * @example
+ * const original = await getFormData(this, "form", instanceId);
+ * const edited = { ...original, numberField_amount: 200, textField_remark: "已核对" };
+ * const diff = await updateFormDataDiff(this, "form", instanceId, original, edited);
+ * // 只更新了 numberField_amount 和 textField_remark
+ * Object.keys(diff).forEach((fieldId) => {
+ *   console.log(`${fieldId}: ${diff[fieldId].old} -> ${diff[fieldId].new}`);
+ * });
+ */
+async function updateFormDataDiff(
+  context,
+  type,
+  instanceId,
+  original,
+  edited,
+  options
+) {
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
+  if (!edited) throw new ValidationError("edited form data is required");
+
+  const diff = formDataDiff(edited, original, Object.keys(edited));
+  const fieldIds = Object.keys(diff);
+  if (!fieldIds.length) return diff;
+
+  const changes = {};
+  for (const fieldId of fieldIds) changes[fieldId] = edited[fieldId];
+  await updateFormData(context, type, instanceId, changes, options);
+
+  return diff;
 }
 
 /**
@@ -995,13 +1553,16 @@ async function updateFormData(
  * submit表示提交节点、agree表示节点审批结果为同意、disagree表示审批结果为不同意、
  * doing表示当前节点，next表示此节点为后续待审批节点
  * @property {string} activityId 活动ID
+ * @property {string | number} activeTimeGMT 节点开始时间
  * @property {Array} domains
  * @property {string} operator 操作人ID
  * @property {string[]} operatorAgentIds 代理人ID
  * @property {string} operatorDisplayName 操作人显示名
  * @property {string} operatorName 操作人姓名
  * @property {string} operatorPhotoUrl 操作人头像链接
+ * @property {string | number} operateTimeGMT 处理时间，仅已处理节点有该字段
  * @property {string} processInstanceId 流程实例ID
+ * @property {string} remark 审批意见
  * @property {string} showName 节点名
  * @property {number} size -
  * @property {number} taskHoldTime 任务持续时间？
@@ -1014,6 +1575,7 @@ async function updateFormData(
  * @static
  * @param {Object} context this上下文
  * @param {string} instanceId 流程实例ID
+ * @param {module:DataSource~RequestOption} [options] 请求选项
  * @return {Promise<module:DataSource~OperationRecord>} 一个Promise，resolve流程审批记录列表
  *
  * @example
@@ -1030,12 +1592,16 @@ async function updateFormData(
  *   }
  * );
  */
-async function getOperationRecords(context, instanceId) {
-  if (!instanceId) throw Error("instanceId is required");
-
-  return await context.dataSourceMap.getOperationRecords.load({
-    processInstanceId: instanceId,
-  });
+async function getOperationRecords(context, instanceId, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
+
+  return await loadDataSource(
+    context,
+    "getOperationRecords",
+    { processInstanceId: instanceId },
+    toRequestOptions(options)
+  );
 }
 
 /**
@@ -1073,10 +1639,11 @@ async function executeTask(
   formData,
   noExecuteExpressions
 ) {
-  if (!instanceId) throw Error("instanceId is required");
-  if (!taskId) throw Error("taskId is required");
-  if (!result) throw Error("审批结果必填");
-  if (!remark) throw Error("审批意见必填");
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
+  if (!taskId) throw new ValidationError("taskId is required");
+  if (!result) throw new ValidationError("审批结果必填");
+  if (!remark) throw new ValidationError("审批意见必填");
 
   const formDataJson = JSON.stringify(formData || {});
 
@@ -1084,7 +1651,7 @@ async function executeTask(
     noExecuteExpressions = noExecuteExpressions ? "y" : "n";
   }
 
-  await context.dataSourceMap.executeTask.load({
+  await loadDataSource(context, "executeTask", {
     procInstId: instanceId,
     taskId,
     outResult: result,
@@ -1094,19 +1661,103 @@ async function executeTask(
   });
 }
 
+/**
+ * 转交流程任务
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} instanceId 流程实例ID
+ * @param {string} taskId 任务ID，可通过 {@link module:DataSource.getOperationRecords} 方法获取
+ * @param {string} userId 转交给的用户ID
+ * @param {string} [remark] 转交说明
+ * @param {boolean} [byManager] 是否以管理员身份转交，非当前处理人转交时需要为true，默认为false
+ * @return {Promise} 一个Promise
+ *
+ * @example
+ * // 使用前请添加数据源：
+ * // 名称：redirectTask
+ * // 请求方法：POST
+ * // 请求地址：/dingtalk/web/APP_xxxxxx/v1/task/redirectTask.json
+ *
+ * redirectTask(this, "FINST-xxxxxx", "25748312227", "1343242225778381", "请帮忙处理")
+ * .then(() => {
+ *     console.log("转交成功");
+ *   },(e) => {
+ *     console.log(`转交失败：${e.message}`);
+ *   }
+ * );
+ */
+async function redirectTask(
+  context,
+  instanceId,
+  taskId,
+  userId,
+  remark,
+  byManager
+) {
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
+  if (!taskId) throw new ValidationError("taskId is required");
+  if (!userId) throw new ValidationError("userId is required");
+
+  await loadDataSource(context, "redirectTask", {
+    processInstanceId: instanceId,
+    taskId,
+    nowActionerId: userId,
+    remark: remark || "",
+    byManager: byManager ? "y" : "n",
+  });
+}
+
+/**
+ * 终止流程实例
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} instanceId 流程实例ID
+ * @return {Promise} 一个Promise
+ *
+ * @example
+ * // 使用前请添加数据源：
+ * // 名称：terminateInstance
+ * // 请求方法：POST
+ * // 请求地址：/dingtalk/web/APP_xxxxxx/v1/process/terminateInstance.json
+ *
+ * terminateInstance(this, "FINST-xxxxxx")
+ * .then(() => {
+ *     console.log("终止成功");
+ *   },(e) => {
+ *     console.log(`终止失败：${e.message}`);
+ *   }
+ * );
+ */
+async function terminateInstance(context, instanceId) {
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
+
+  await loadDataSource(context, "terminateInstance", {
+    processInstanceId: instanceId,
+  });
+}
+
 export {
   getFormData,
   searchFormDataIds,
   searchFormDataIdsAll,
   searchFormDatas,
   searchFormDatasAll,
+  iterateFormDataIds,
+  iterateFormDatas,
   fetchSubformDatas,
   fetchSubformDatasAll,
+  iterateSubformDatas,
   saveFormData,
   startInstance,
   updateFormData,
+  updateFormDataDiff,
   deleteFormData,
   getOperationRecords,
   executeTask,
+  redirectTask,
+  terminateInstance,
   invokeConnector,
+  toModifiedTime,
 };
@@ -0,0 +1,187 @@
+/**
+ * 按业务主键新增或更新表单数据
+ * @module DataUpsert
+ */
+
+import { query } from "./FormQuery";
+import {
+  startInstance,
+  saveFormData,
+  updateFormData,
+  toModifiedTime,
+} from "./data-source";
+import { invalidateRequestCache } from "./request";
+import { ValidationError, DuplicateError } from "./errors";
+
+// 表单ID + 主键值 -> 进行中的 upsert，相同主键的 upsert 依次执行，避免并发时重复新增
+const upsertLocks = new Map();
+
+/**
+ * upsertFormData 选项
+ * @typedef {Object} UpsertFormDataOptions
+ * @property {"form" | "process"} [type] 表单类型，可选 form、process，分别代表普通表单和流程，默认为form
+ * @property {string} [processCode] 流程code，type为process时必填，用于发起流程
+ * @property {string} [dptId] 发起部门ID，仅发起流程时有效
+ * @property {boolean} [useLatestVersion] 更新时是否使用最新的表单版本，默认为false，仅对普通表单有效
+ * @property {"error" | "first" | "all"} [onDuplicate] 找到多条数据时的处理方式：
+ * error - 抛出 {@link module:Errors~DuplicateError}，不做任何修改（默认）；
+ * first - 只更新最近修改的一条；
+ * all - 更新所有找到的数据
+ */
+
+/**
+ * upsertFormData 结果
+ * @typedef {Object} UpsertResult
+ * @property {"created" | "updated"} action 新增还是更新
+ * @property {string} instanceId 新增或者更新的实例ID，onDuplicate为all时为第一条更新的实例ID
+ * @property {Array<string>} instanceIds 所有新增或者更新的实例ID
+ * @property {Array<string>} duplicates 主键重复时所有匹配的实例ID，没有重复时为空数组
+ */
+
+/**
+ * 执行 upsert，相同锁键的调用依次执行
+ * @param {string} lockKey 锁键
+ * @param {Function} callable 要执行的函数
+ * @returns {Promise<any>}
+ */
+function withUpsertLock(lockKey, callable) {
+  const previous = upsertLocks.get(lockKey) || Promise.resolve();
+  const current = previous.catch(() => {}).then(callable);
+  const settled = current.catch(() => {});
+  upsertLocks.set(lockKey, settled);
+  settled.then(() => {
+    if (upsertLocks.get(lockKey) === settled) upsertLocks.delete(lockKey);
+  });
+  return current;
+}
+
+/**
+ * 按业务主键新增或更新表单数据：根据主键字段查询数据，找到则更新，找不到则新增（流程表单为发起流程）<br/>
+ * 主键字段的查询方式参见 {@link module:FormQuery~FormQuery#where}，文本字段为严格匹配。
+ * 查询前会失效该表单的请求缓存，同一页面中相同主键的 upsert 会依次执行，
+ * 但仍无法避免其他用户同时新增相同主键的数据，这种情况会在下一次 upsert 时被检测为重复数据
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} formUuid 表单ID
+ * @param {string | Array<string>} keyFieldIds 主键字段唯一标识，可以是多个字段的组合
+ * @param {Object} formData 表单数据对象，必须包含所有主键字段的值
+ * @param {module:DataUpsert~UpsertFormDataOptions} [options] 选项
+ * @returns {Promise<module:DataUpsert~UpsertResult>}
+ * @throws {module:Errors~DuplicateError} 找到多条数据且 onDuplicate 为 error
+ *
+ * @example
+ * // 按合同编号新增或更新合同
+ * const { action, instanceId } = await upsertFormData(
+ *   this,
+ *   "FORM-xxxxxx",
+ *   "textField_contractNo",
+ *   { textField_contractNo: "HT-2024-001", numberField_amount: 1000 }
+ * );
+ * console.log(action === "created" ? `新增：${instanceId}` : `更新：${instanceId}`);
+ *
+ * // 流程表单，按客户+月份组合主键，重复时更新所有匹配的数据
+ * await upsertFormData(
+ *   this,
+ *   "FORM-xxxxxx",
+ *   ["textField_customer", "dateField_month"],
+ *   formData,
+ *   { type: "process", processCode: "TPROC--xxxxxx", onDuplicate: "all" }
+ * );
+ */
+async function upsertFormData(
+  context,
+  formUuid,
+  keyFieldIds,
+  formData,
+  options
+) {
+  if (!context) throw new ValidationError("context is required");
+  if (!formUuid) throw new ValidationError("formUuid is required");
+  if (!formData) throw new ValidationError("formData is required");
+
+  keyFieldIds = Array.isArray(keyFieldIds) ? keyFieldIds : [keyFieldIds];
+  if (!keyFieldIds.length || !keyFieldIds[0]) {
+    throw new ValidationError("keyFieldIds is required");
+  }
+  for (const fieldId of keyFieldIds) {
+    const value = formData[fieldId];
+    if (value === undefined || value === null || value === "") {
+      throw new ValidationError(`主键字段值不能为空：${fieldId}`);
+    }
+  }
+
+  options = Object.assign({ type: "form", onDuplicate: "error" }, options);
+  if (["error", "first", "all"].indexOf(options.onDuplicate) === -1) {
+    throw new ValidationError(`Unknown onDuplicate: ${options.onDuplicate}`);
+  }
+  if (options.type === "process" && !options.processCode) {
+    throw new ValidationError("processCode is required");
+  }
+
+  const lockKey = JSON.stringify([
+    formUuid,
+    keyFieldIds.map((fieldId) => formData[fieldId]),
+  ]);
+  return withUpsertLock(lockKey, async () => {
+    invalidateRequestCache(formUuid);
+
+    const q = query(context, formUuid, options.type);
+    keyFieldIds.forEach((fieldId) => q.where(fieldId, formData[fieldId]));
+    // 最近修改的排在前面，修改时间可能是时间戳或者时间字符串
+    const modifiedTime = (item) =>
+      Number(toModifiedTime(item.gmtModified)) || 0;
+    const matches = (await q.fetchAll()).sort(
+      (a, b) => modifiedTime(b) - modifiedTime(a)
+    );
+
+    if (!matches.length) {
+      const instanceId =
+        options.type === "process"
+          ? await startInstance(
+              context,
+              options.processCode,
+              formUuid,
+              formData,
+              options.dptId
+            )
+          : await saveFormData(context, formUuid, formData);
+      return {
+        action: "created",
+        instanceId,
+        instanceIds: [instanceId],
+        duplicates: [],
+      };
+    }
+
+    const duplicates =
+      matches.length > 1 ? matches.map((item) => item.instanceId) : [];
+    if (duplicates.length && options.onDuplicate === "error") {
+      throw new DuplicateError(
+        `找到${duplicates.length}条主键重复的数据：${duplicates.join(", ")}`,
+        duplicates
+      );
+    }
+
+    const targets =
+      options.onDuplicate === "all" ? matches : matches.slice(0, 1);
+    for (const target of targets) {
+      await updateFormData(
+        context,
+        options.type,
+        target.instanceId,
+        formData,
+        options.useLatestVersion
+      );
+    }
+
+    const instanceIds = targets.map((item) => item.instanceId);
+    return {
+      action: "updated",
+      instanceId: instanceIds[0],
+      instanceIds,
+      duplicates,
+    };
+  });
+}
+
+export { upsertFormData };
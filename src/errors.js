@@ -0,0 +1,205 @@
+/**
+ * 错误类型，可以通过 instanceof 判断错误类型来分别处理
+ * @module Errors
+ *
+ * @example
+ * try {
+ *   await searchFormDatasAll(this, "form", "FORM-xxxxxx", {});
+ * } catch (e) {
+ *   if (e instanceof DataSourceMissingError) {
+ *     console.log(`请先添加数据源：${e.dataSourceName}`);
+ *   } else if (e instanceof RateLimitError) {
+ *     console.log("请求过于频繁，请稍后再试");
+ *   } else if (e instanceof RemoteError) {
+ *     console.log(`接口调用失败：${e.code} ${e.message}`);
+ *   }
+ * }
+ */
+
+/**
+ * 本库所有错误类型的基类
+ */
+class AwhError extends Error {
+  /**
+   * @param {string} message 错误信息
+   * @param {Object} [options] 选项
+   * @param {any} [options.cause] 引起此错误的原始错误
+   */
+  constructor(message, options) {
+    super(message);
+    this.name = "AwhError";
+    if (options && options.cause !== undefined) this.cause = options.cause;
+  }
+}
+
+/**
+ * 参数校验失败，比如缺少必填参数
+ */
+class ValidationError extends AwhError {
+  /**
+   * @param {string} message 错误信息
+   * @param {Object} [options] 选项，同 {@link module:Errors~AwhError}
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * 数据源不存在，即 context.dataSourceMap[name] 为undefined，通常是因为没有在页面中添加对应的远程数据源
+ */
+class DataSourceMissingError extends AwhError {
+  /**
+   * @param {string} dataSourceName 数据源名称
+   */
+  constructor(dataSourceName) {
+    super(
+      `数据源不存在：${dataSourceName}，请先在数据源面板中添加名为${dataSourceName}的远程数据源`
+    );
+    this.name = "DataSourceMissingError";
+    this.dataSourceName = dataSourceName;
+  }
+}
+
+/**
+ * 数据源请求失败
+ */
+class RemoteError extends AwhError {
+  /**
+   * @param {string} message 错误信息
+   * @param {Object} [options] 选项
+   * @param {string} [options.dataSourceName] 数据源名称
+   * @param {string | number} [options.code] 错误码
+   * @param {any} [options.response] 接口原始响应
+   * @param {any} [options.cause] 原始错误
+   */
+  constructor(message, options) {
+    options = Object.assign({}, options);
+    super(message, options);
+    this.name = "RemoteError";
+    this.dataSourceName = options.dataSourceName;
+    this.code = options.code;
+    this.response = options.response;
+  }
+}
+
+/**
+ * 请求过于频繁被宜搭限流
+ */
+class RateLimitError extends RemoteError {
+  /**
+   * @param {string} message 错误信息
+   * @param {Object} [options] 选项，同 {@link module:Errors~RemoteError}
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = "RateLimitError";
+  }
+}
+
+/**
+ * 请求超时，比如 {@link module:Connector.callConnector} 超过了 timeout 选项指定的时间没有响应
+ */
+class TimeoutError extends RemoteError {
+  /**
+   * @param {string} message 错误信息
+   * @param {Object} [options] 选项，同 {@link module:Errors~RemoteError}，另外支持：
+   * @param {number} [options.timeout] 超时时间，单位毫秒
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = "TimeoutError";
+    this.timeout = options && options.timeout;
+  }
+}
+
+/**
+ * 按业务主键找到了多条数据，比如 {@link module:DataUpsert.upsertFormData} 无法确定要更新哪一条
+ */
+class DuplicateError extends AwhError {
+  /**
+   * @param {string} message 错误信息
+   * @param {Array<string>} instanceIds 重复的实例ID
+   */
+  constructor(message, instanceIds) {
+    super(message);
+    this.name = "DuplicateError";
+    this.instanceIds = instanceIds;
+  }
+}
+
+/**
+ * 更新冲突：读取数据之后，数据已经被其他人修改
+ */
+class ConflictError extends AwhError {
+  /**
+   * @param {string} message 错误信息
+   * @param {Object} [options] 选项
+   * @param {string} [options.instanceId] 实例ID
+   * @param {any} [options.expectedModified] 调用方读取数据时的修改时间
+   * @param {any} [options.actualModified] 数据当前的修改时间
+   * @param {Object} [options.current] 数据当前的表单数据
+   * @param {Object.<string, module:Field~FieldValueDiff>} [options.diff] 字段差异，参见 {@link module:Field.formDataDiff}
+   */
+  constructor(message, options) {
+    options = Object.assign({}, options);
+    super(message);
+    this.name = "ConflictError";
+    this.instanceId = options.instanceId;
+    this.expectedModified = options.expectedModified;
+    this.actualModified = options.actualModified;
+    this.current = options.current;
+    this.diff = options.diff || {};
+  }
+}
+
+const RATE_LIMIT_CODES = ["429", "TooManyRequests", "Throttling", "RateLimit"];
+const RATE_LIMIT_PATTERN = /限流|频繁|too many requests|rate limit|throttl/i;
+
+/**
+ * 将数据源抛出的原始错误或者失败响应转换为 RemoteError 或者 RateLimitError
+ * @static
+ * @param {string} dataSourceName 数据源名称
+ * @param {any} error 原始错误，可能是Error对象、宜搭响应对象或者字符串
+ * @returns {module:Errors~RemoteError}
+ */
+function toRemoteError(dataSourceName, error) {
+  if (error instanceof AwhError) return error;
+
+  let message;
+  let code;
+  let response;
+  if (error instanceof Error) {
+    message = error.message;
+    code = error.code;
+  } else if (error && typeof error === "object") {
+    response = error;
+    message = error.errorMsg || error.message || error.errorMessage;
+    code = error.errorCode || error.code;
+  } else if (error !== undefined && error !== null) {
+    message = String(error);
+  }
+  message = message || `数据源${dataSourceName}请求失败`;
+
+  const options = { dataSourceName, code, response, cause: error };
+  const rateLimited =
+    RATE_LIMIT_CODES.indexOf(String(code)) !== -1 ||
+    RATE_LIMIT_PATTERN.test(message);
+
+  return rateLimited
+    ? new RateLimitError(message, options)
+    : new RemoteError(message, options);
+}
+
+export {
+  AwhError,
+  ValidationError,
+  DataSourceMissingError,
+  RemoteError,
+  RateLimitError,
+  TimeoutError,
+  DuplicateError,
+  ConflictError,
+  toRemoteError,
+};
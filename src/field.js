@@ -287,9 +287,12 @@ function fieldValueEqualSingle(fieldType, valA, valB) {
   switch (fieldType) {
     case "countrySelect":
     case "employee":
-    case "departmentSelect":
-      equal = valA.value === valB.value;
+    case "departmentSelect": {
+      // 组件值为 { name, value } 对象，通过数据源获取到的值可能直接是ID或者名称字符串
+      const valueOf = (val) => (typeof val === "object" ? val.value : val);
+      equal = valueOf(valA) === valueOf(valB);
       break;
+    }
     case "image":
     case "attachment":
       equal = valA.url === valB.url;
@@ -394,6 +397,63 @@ function fieldValueDiff(fieldType, newVal, oldVal) {
   return result;
 }
 
+/**
+ * 对比两份表单数据，返回值不相等的字段及其差异 <br/>
+ * 每个字段按照字段类型（{@link module:Field.getFieldTypeById}）使用 {@link module:Field.fieldValueDiff} 对比，
+ * 子表字段按照JSON内容对比
+ * @static
+ * @param {Object} newFormData 新表单数据
+ * @param {Object} oldFormData 旧表单数据
+ * @param {Array<string>} [fieldIds] 只对比这些字段，默认对比两份数据中出现的所有字段
+ * @returns {Object.<string, module:Field~FieldValueDiff>} 字段唯一标识 -> 差异对象，只包含不相等的字段
+ *
+ * @example
+ * formDataDiff(
+ *   { textField_a: "新值", numberField_b: 1, checkboxField_c: ["选项一", "选项二"] },
+ *   { textField_a: "旧值", numberField_b: 1, checkboxField_c: ["选项一"] }
+ * );
+ * // {
+ * //   textField_a: { isEqual: false, new: "新值", old: "旧值" },
+ * //   checkboxField_c: {
+ * //     isEqual: false, new: ["选项一", "选项二"], old: ["选项一"],
+ * //     diff: { added: ["选项二"], removed: [] }
+ * //   }
+ * // }
+ */
+function formDataDiff(newFormData, oldFormData, fieldIds) {
+  newFormData = newFormData || {};
+  oldFormData = oldFormData || {};
+  if (!fieldIds) {
+    fieldIds = Array.from(
+      new Set(Object.keys(newFormData).concat(Object.keys(oldFormData)))
+    );
+  }
+
+  const result = {};
+  for (const fieldId of fieldIds) {
+    const fieldType = getFieldTypeById(fieldId);
+    const newVal = newFormData[fieldId];
+    const oldVal = oldFormData[fieldId];
+
+    let diff;
+    if (fieldType === "table") {
+      diff = {
+        isEqual:
+          (isEmpty(newVal) && isEmpty(oldVal)) ||
+          JSON.stringify(newVal) === JSON.stringify(oldVal),
+        new: newVal,
+        old: oldVal,
+      };
+    } else {
+      diff = fieldValueDiff(fieldType, newVal, oldVal);
+    }
+
+    if (!diff.isEqual) result[fieldId] = diff;
+  }
+
+  return result;
+}
+
 /**
  * 字段值转换为易读的字符串
  * @static
@@ -438,7 +498,7 @@ function fieldToString(value, fieldType) {
       const startStr = start
         ? dateTimeFormat(new Date(start), "YYYY-MM-DD")
         : "";
-      const endStr = start ? dateTimeFormat(new Date(end), "YYYY-MM-DD") : "";
+      const endStr = end ? dateTimeFormat(new Date(end), "YYYY-MM-DD") : "";
 
       str = `${startStr}至${endStr}`;
       break;
@@ -447,7 +507,10 @@ function fieldToString(value, fieldType) {
       if (!Array.isArray(value)) {
         value = [value];
       }
-      str = `[${value.map((item) => item.name).join(",")}]`;
+      // 通过数据源获取到的人员字段值是姓名字符串数组
+      str = `[${value
+        .map((item) => (typeof item === "string" ? item : item.name))
+        .join(",")}]`;
       break;
     case "departmentSelect":
     case "countrySelect": {
@@ -565,5 +628,6 @@ export {
   generateAssociationFormFieldData,
   fieldValueDiff,
   fieldValueEqualSingle,
+  formDataDiff,
   fieldToString,
 };
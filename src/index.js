@@ -5,4 +5,20 @@ export * from "./field";
 export * as FieldChangeLogger from "./FieldChangeLogger";
 export * from "./subform";
 export * from "./data-linkage";
-export * from "./BatchTaskRunner";
\ No newline at end of file
+export * from "./BatchTaskRunner";
+export * from "./mock-context";
+export * from "./FormQuery";
+export * from "./request";
+export * from "./RequestCache";
+export * from "./errors";
+export * from "./RateLimiter";
+export * from "./data-batch";
+export * from "./data-upsert";
+export * from "./data-join";
+export * from "./data-aggregate";
+export * from "./data-export";
+export * from "./data-import";
+export * from "./process";
+export * from "./connector";
+export * from "./data-source-check";
+export * from "./LinkageEngine";
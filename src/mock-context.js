@@ -0,0 +1,695 @@
+/**
+ * 模拟的 this 上下文，用于在没有宜搭运行环境（比如 jest 单元测试）时测试页面 JS <br/>
+ * 提供基于内存表单存储的 dataSourceMap，实现了本库用到的所有跨应用数据源，
+ * 以及一个简单的 $(fieldId) 组件实现
+ * @module Mock
+ */
+
+import { getFieldTypeById } from "./field";
+import { generateRandomId } from "./utils";
+
+/**
+ * 模拟表单实例记录
+ * @typedef {Object} MockInstance
+ * @property {string} instanceId 实例ID
+ * @property {string} formUuid 表单ID
+ * @property {"form" | "process"} type 表单类型
+ * @property {Object} formData 表单数据
+ * @property {string} [title] 数据标题
+ * @property {string} [creator] 创建人ID
+ * @property {string} [processCode] 流程code，仅流程有效
+ * @property {string} [instanceStatus] 流程状态，仅流程有效，默认为RUNNING
+ * @property {string} [approvedResult] 审批结果，仅流程有效
+ * @property {Array<Object>} [operationRecords] 流程审批记录，仅流程有效
+ * @property {number} [gmtCreate] 创建时间戳
+ * @property {number} [gmtModified] 最后修改时间戳
+ */
+
+/**
+ * 判断查询条件值是否为空，宜搭会忽略值为空的查询条件
+ * @param {any} value 查询条件值
+ * @returns {boolean}
+ */
+function isEmptyCondition(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * 获取人员、部门这类字段的ID列表。数据源返回的表单数据ID存放在 fieldId_id 字段中，
+ * 组件值则是包含value属性的对象
+ * @param {Object} formData 表单数据
+ * @param {string} fieldId 字段唯一标识
+ * @returns {Array<string>}
+ */
+function getValueIds(formData, fieldId) {
+  let ids = formData[`${fieldId}_id`];
+  if (ids === undefined) ids = formData[fieldId];
+  if (ids === undefined || ids === null) return [];
+  if (!Array.isArray(ids)) ids = [ids];
+
+  return ids.map((item) =>
+    item !== null && typeof item === "object"
+      ? String(item.value)
+      : String(item)
+  );
+}
+
+/**
+ * 判断表单数据是否匹配单个字段查询条件，规则和宜搭 searchFieldJson 保持一致：<br/>
+ * 单行/多行文本：模糊匹配<br/>
+ * 数字、评分、日期：传入[min, max]数组表示范围查询，任一端为空表示不限<br/>
+ * 人员、部门：按ID匹配，传入数组时匹配任意一个<br/>
+ * 复选、下拉多选：字段值包含任意一个查询值<br/>
+ * 其他字段：严格相等，传入数组时匹配任意一个
+ * @param {Object} formData 表单数据
+ * @param {string} fieldId 字段唯一标识
+ * @param {any} expected 查询条件值
+ * @returns {boolean}
+ */
+function matchSearchField(formData, fieldId, expected) {
+  if (isEmptyCondition(expected)) return true;
+
+  const actual = formData[fieldId];
+  const expectedList = Array.isArray(expected) ? expected : [expected];
+
+  switch (getFieldTypeById(fieldId)) {
+    case "text":
+    case "textarea":
+      return (
+        actual !== undefined &&
+        actual !== null &&
+        String(actual).includes(String(expected))
+      );
+    case "number":
+    case "rate":
+    case "date": {
+      if (actual === undefined || actual === null || actual === "") {
+        return false;
+      }
+      const num = Number(actual);
+      if (!Array.isArray(expected)) return num === Number(expected);
+
+      const [min, max] = expected;
+      if (!isEmptyCondition(min) && num < Number(min)) return false;
+      if (!isEmptyCondition(max) && num > Number(max)) return false;
+      return true;
+    }
+    case "employee":
+    case "departmentSelect": {
+      const ids = getValueIds(formData, fieldId);
+      return expectedList.some((item) => ids.includes(String(item)));
+    }
+    case "checkbox":
+    case "multiSelect": {
+      const values = Array.isArray(actual) ? actual : [actual];
+      return expectedList.some((item) => values.includes(item));
+    }
+    default:
+      return expectedList.some((item) => String(item) === String(actual));
+  }
+}
+
+/**
+ * 解析时间查询条件，支持时间戳和日期字符串
+ * @param {string | number} value
+ * @returns {number}
+ */
+function parseTime(value) {
+  if (typeof value === "number") return value;
+  const num = Number(value);
+  if (!isNaN(num)) return num;
+  return Date.parse(value);
+}
+
+/**
+ * 内存表单存储，保存所有模拟的表单、流程实例
+ */
+class MockFormStore {
+  /**
+   * 创建一个内存表单存储
+   * @param {Object.<string, Array<Object>>} [forms] 普通表单初始数据，键为formUuid，值为表单数据数组。
+   * 表单数据中可以包含 instanceId、gmtCreate 等 {@link module:Mock~MockInstance} 属性，其余属性作为表单字段
+   * @param {Object.<string, Array<Object>>} [processes] 流程表单初始数据，格式同forms
+   */
+  constructor(forms, processes) {
+    this.instances = [];
+    this._lastTime = 0;
+
+    for (const formUuid in forms || {}) {
+      for (const formData of forms[formUuid]) {
+        this.insert("form", formUuid, formData);
+      }
+    }
+    for (const formUuid in processes || {}) {
+      for (const formData of processes[formUuid]) {
+        this.insert("process", formUuid, formData);
+      }
+    }
+  }
+
+  /**
+   * 获取一个单调递增的当前时间戳，保证按修改时间排序的结果稳定
+   * @returns {number}
+   */
+  now() {
+    this._lastTime = Math.max(Date.now(), this._lastTime + 1);
+    return this._lastTime;
+  }
+
+  /**
+   * 新增实例
+   * @param {"form" | "process"} type 表单类型
+   * @param {string} formUuid 表单ID
+   * @param {Object} data 表单数据，可以包含 {@link module:Mock~MockInstance} 中的实例属性
+   * @returns {module:Mock~MockInstance} 新增的实例
+   */
+  insert(type, formUuid, data) {
+    const {
+      instanceId,
+      title,
+      creator,
+      processCode,
+      instanceStatus,
+      approvedResult,
+      operationRecords,
+      gmtCreate,
+      gmtModified,
+      ...formData
+    } = data || {};
+
+    const now = this.now();
+    const instance = {
+      instanceId:
+        instanceId ||
+        (type === "form"
+          ? `FINST-${generateRandomId(16)}`
+          : generateRandomId()),
+      formUuid,
+      type,
+      formData,
+      title,
+      creator,
+      processCode,
+      instanceStatus:
+        type === "process" ? instanceStatus || "RUNNING" : undefined,
+      approvedResult,
+      operationRecords: operationRecords || [],
+      gmtCreate: gmtCreate || now,
+      gmtModified: gmtModified || gmtCreate || now,
+    };
+    this.instances.push(instance);
+
+    return instance;
+  }
+
+  /**
+   * 根据实例ID查找实例
+   * @param {string} instanceId 实例ID
+   * @param {"form" | "process"} [type] 表单类型，不传则不限
+   * @returns {module:Mock~MockInstance | undefined}
+   */
+  find(instanceId, type) {
+    return this.instances.find(
+      (item) => item.instanceId === instanceId && (!type || item.type === type)
+    );
+  }
+
+  /**
+   * 根据实例ID查找实例，找不到时抛出异常
+   * @param {string} instanceId 实例ID
+   * @param {"form" | "process"} [type] 表单类型
+   * @returns {module:Mock~MockInstance}
+   */
+  get(instanceId, type) {
+    const instance = this.find(instanceId, type);
+    if (!instance) throw Error(`实例不存在：${instanceId}`);
+    return instance;
+  }
+
+  /**
+   * 更新实例表单数据
+   * @param {string} instanceId 实例ID
+   * @param {Object} formData 要更新的字段
+   * @param {"form" | "process"} [type] 表单类型
+   * @returns {module:Mock~MockInstance}
+   */
+  update(instanceId, formData, type) {
+    const instance = this.get(instanceId, type);
+    Object.assign(instance.formData, formData);
+    instance.gmtModified = this.now();
+    return instance;
+  }
+
+  /**
+   * 删除实例
+   * @param {string} instanceId 实例ID
+   */
+  remove(instanceId) {
+    const instance = this.get(instanceId);
+    this.instances.splice(this.instances.indexOf(instance), 1);
+  }
+
+  /**
+   * 按照宜搭查询接口的参数查询实例
+   * @param {"form" | "process"} type 表单类型
+   * @param {Object} params 数据源请求参数，包括formUuid、searchFieldJson、dynamicOrder等
+   * @returns {Array<module:Mock~MockInstance>} 符合条件的所有实例（未分页）
+   */
+  search(type, params) {
+    const {
+      formUuid,
+      searchFieldJson,
+      dynamicOrder,
+      originatorId,
+      createFrom,
+      createTo,
+      modifiedFrom,
+      modifiedTo,
+      instanceStatus,
+      approvedResult,
+    } = params || {};
+    const searchFieldObject = searchFieldJson
+      ? JSON.parse(searchFieldJson)
+      : {};
+
+    let result = this.instances.filter((item) => {
+      if (item.type !== type || item.formUuid !== formUuid) return false;
+      if (originatorId && item.creator !== originatorId) return false;
+      if (instanceStatus && item.instanceStatus !== instanceStatus)
+        return false;
+      if (approvedResult && item.approvedResult !== approvedResult)
+        return false;
+      if (createFrom && item.gmtCreate < parseTime(createFrom)) return false;
+      if (createTo && item.gmtCreate > parseTime(createTo)) return false;
+      if (modifiedFrom && item.gmtModified < parseTime(modifiedFrom)) {
+        return false;
+      }
+      if (modifiedTo && item.gmtModified > parseTime(modifiedTo)) return false;
+
+      for (const fieldId in searchFieldObject) {
+        if (
+          !matchSearchField(item.formData, fieldId, searchFieldObject[fieldId])
+        ) {
+          return false;
+        }
+      }
+      return true;
+    });
+
+    if (dynamicOrder) {
+      const order =
+        typeof dynamicOrder === "string"
+          ? JSON.parse(dynamicOrder)
+          : dynamicOrder;
+      const rules = Object.entries(order);
+      const valueOf = (item, fieldId) =>
+        fieldId in item.formData ? item.formData[fieldId] : item[fieldId];
+
+      result = result.slice().sort((a, b) => {
+        for (const [fieldId, direction] of rules) {
+          const valA = valueOf(a, fieldId);
+          const valB = valueOf(b, fieldId);
+          if (valA === valB) continue;
+
+          const compare = valA > valB ? 1 : -1;
+          return direction === "-" ? -compare : compare;
+        }
+        return 0;
+      });
+    }
+
+    return result;
+  }
+}
+
+/**
+ * 对查询结果分页
+ * @param {Array} list 查询结果
+ * @param {Object} params 数据源请求参数
+ * @returns {{ currentPage: number, totalCount: number, data: Array }}
+ */
+function paginate(list, params) {
+  const currentPage = Number(params.currentPage) || 1;
+  const pageSize = Number(params.pageSize) || 10;
+  const start = (currentPage - 1) * pageSize;
+
+  return {
+    currentPage,
+    totalCount: list.length,
+    data: list.slice(start, start + pageSize),
+  };
+}
+
+/**
+ * 将实例转换为普通表单接口返回的数据格式
+ * @param {module:Mock~MockInstance} instance
+ * @returns {Object}
+ */
+function toFormResponse(instance) {
+  return {
+    formInstId: instance.instanceId,
+    formUuid: instance.formUuid,
+    title: instance.title,
+    creator: instance.creator,
+    originator: { userId: instance.creator },
+    gmtCreate: instance.gmtCreate,
+    modifier: instance.creator,
+    gmtModified: instance.gmtModified,
+    formData: { ...instance.formData },
+  };
+}
+
+/**
+ * 将实例转换为流程接口返回的数据格式
+ * @param {module:Mock~MockInstance} instance
+ * @returns {Object}
+ */
+function toProcessResponse(instance) {
+  return {
+    processInstanceId: instance.instanceId,
+    formUuid: instance.formUuid,
+    title: instance.title,
+    processCode: instance.processCode,
+    instanceStatus: instance.instanceStatus,
+    approvedResult: instance.approvedResult,
+    originator: { userId: instance.creator },
+    gmtCreate: instance.gmtCreate,
+    gmtModified: instance.gmtModified,
+    data: { ...instance.formData },
+  };
+}
+
+/**
+ * 模拟数据源处理函数
+ * @callback MockDataSourceHandler
+ * @param {Object} params 调用 load 方法时传入的参数
+ * @param {module:Mock~MockFormStore} store 内存表单存储
+ * @returns {any} 数据源响应，可以返回Promise
+ */
+
+/**
+ * 内置的模拟数据源，名称和本库文档中要求添加的数据源名称一致
+ * @type {Object.<string, module:Mock~MockDataSourceHandler>}
+ */
+const builtinDataSources = {
+  searchFormDatas(params, store) {
+    const result = paginate(store.search("form", params), params);
+    result.data = result.data.map(toFormResponse);
+    return result;
+  },
+  getInstances(params, store) {
+    const result = paginate(store.search("process", params), params);
+    result.data = result.data.map(toProcessResponse);
+    return result;
+  },
+  searchFormDataIds(params, store) {
+    const result = paginate(store.search("form", params), params);
+    result.data = result.data.map((item) => item.instanceId);
+    return result;
+  },
+  getInstanceIds(params, store) {
+    const result = paginate(store.search("process", params), params);
+    result.data = result.data.map((item) => item.instanceId);
+    return result;
+  },
+  getFormData(params, store) {
+    return toFormResponse(store.get(params.formInstId, "form"));
+  },
+  getProcessInstance(params, store) {
+    return toProcessResponse(store.get(params.processInstanceId, "process"));
+  },
+  fetchSubformDatas(params, store) {
+    const instance = store.get(params.formInstanceId);
+    const rows = instance.formData[params.tableFieldId] || [];
+    const { totalCount, data } = paginate(rows, params);
+    return { totalCount, data: data.map((row) => ({ ...row })) };
+  },
+  saveFormData(params, store) {
+    const formData = JSON.parse(params.formDataJson || "{}");
+    return store.insert("form", params.formUuid, formData).instanceId;
+  },
+  startInstance(params, store) {
+    const formData = JSON.parse(params.formDataJson || "{}");
+    const instance = store.insert("process", params.formUuid, formData);
+    instance.processCode = params.processCode;
+    return instance.instanceId;
+  },
+  updateFormData(params, store) {
+    const formData = JSON.parse(params.updateFormDataJson || "{}");
+    store.update(params.formInstId, formData, "form");
+  },
+  updateInstance(params, store) {
+    const formData = JSON.parse(params.updateFormDataJson || "{}");
+    store.update(params.processInstanceId, formData, "process");
+  },
+  deleteFormData(params, store) {
+    store.remove(params.formInstId);
+  },
+  getOperationRecords(params, store) {
+    const instance = store.get(params.processInstanceId, "process");
+    return instance.operationRecords.map((record) => ({ ...record }));
+  },
+  executeTask(params, store) {
+    const instance = store.get(params.procInstId, "process");
+    const record = instance.operationRecords.find(
+      (item) => item.taskId === params.taskId && item.type === "TODO"
+    );
+    if (!record) throw Error(`任务不存在或已处理：${params.taskId}`);
+
+    const agree = params.outResult === "AGREE";
+    record.type = "HISTORY";
+    record.actionExt = agree ? "agree" : "disagree";
+    record.action = agree ? "同意" : "拒绝";
+    record.remark = params.remark;
+    record.operateTimeGMT = store.now();
+
+    const formData = JSON.parse(params.formDataJson || "{}");
+    store.update(instance.instanceId, formData, "process");
+
+    // 没有待处理节点或者被拒绝时流程结束
+    const hasTodo = instance.operationRecords.some(
+      (item) => item.type === "TODO"
+    );
+    if (!agree || !hasTodo) {
+      instance.instanceStatus = "COMPLETED";
+      instance.approvedResult = agree ? "agree" : "disagree";
+    }
+  },
+  redirectTask(params, store) {
+    const instance = store.get(params.processInstanceId, "process");
+    const record = instance.operationRecords.find(
+      (item) => item.taskId === params.taskId && item.type === "TODO"
+    );
+    if (!record) throw Error(`任务不存在或已处理：${params.taskId}`);
+
+    instance.operationRecords.splice(
+      instance.operationRecords.indexOf(record),
+      0,
+      {
+        ...record,
+        type: "HISTORY",
+        actionExt: "redirect",
+        action: "转交",
+        remark: params.remark,
+        operateTimeGMT: store.now(),
+      }
+    );
+    record.operator = params.nowActionerId;
+    record.operatorName = params.nowActionerId;
+    record.operatorDisplayName = params.nowActionerId;
+  },
+  terminateInstance(params, store) {
+    const instance = store.get(params.processInstanceId, "process");
+    if (instance.instanceStatus !== "RUNNING") {
+      throw Error(`流程未在运行中：${params.processInstanceId}`);
+    }
+    instance.instanceStatus = "TERMINATED";
+    instance.operationRecords = instance.operationRecords.filter(
+      (item) => item.type !== "TODO"
+    );
+  },
+};
+
+/**
+ * 创建一个模拟组件
+ * @param {Object} mock 模拟上下文内部状态
+ * @param {string} fieldId 组件唯一标识
+ * @param {any} value 组件初始值
+ * @returns {Object} 模拟组件，支持 getValue、setValue、getProps、reset，
+ * 子表组件额外支持 getItems、updateItemValue。
+ * 和宜搭一样，getProps().onChange 和 updateItemValue 直接修改组件值，不会调用 setValue
+ */
+function createMockField(mock, fieldId, value) {
+  let itemSeq = 0;
+
+  /**
+   * 修改组件值并记录变更
+   * @param {any} newValue 新值
+   */
+  function write(newValue) {
+    const oldValue = field.value;
+    field.value = newValue;
+    mock.changes.push({ fieldId, value: newValue, oldValue });
+    for (const listener of mock.listeners.get(fieldId) || []) {
+      listener(newValue, oldValue);
+    }
+  }
+
+  const field = {
+    fieldId,
+    value,
+    items: [],
+    getValue() {
+      return field.value;
+    },
+    setValue(newValue) {
+      if (Array.isArray(newValue) && fieldId.startsWith("tableField")) {
+        field.items = newValue.map(() => `tfitem_${++itemSeq}`);
+      }
+      write(newValue);
+    },
+    reset() {
+      field.setValue(value);
+    },
+    getProps() {
+      return {
+        fieldId,
+        value: field.value,
+        onChange: ({ value }) => write(value),
+      };
+    },
+    getItems() {
+      return field.items.slice();
+    },
+    updateItemValue(formGroupId, data) {
+      const index = field.items.indexOf(formGroupId);
+      if (index === -1) throw Error(`子表行不存在：${formGroupId}`);
+
+      const rows = field.value.slice();
+      rows[index] = { ...rows[index], ...data };
+      // 更新行数据不会改变formGroupId
+      write(rows);
+    },
+  };
+  if (Array.isArray(value) && fieldId.startsWith("tableField")) {
+    field.items = value.map(() => `tfitem_${++itemSeq}`);
+  }
+
+  return field;
+}
+
+/**
+ * createMockContext 选项
+ * @typedef {Object} MockContextOptions
+ * @property {Object.<string, Array<Object>>} [forms] 普通表单初始数据，键为formUuid，值为表单数据数组
+ * @property {Object.<string, Array<Object>>} [processes] 流程表单初始数据，格式同forms
+ * @property {Object.<string, any>} [fields] 页面组件初始值，键为组件唯一标识。
+ * 只有声明过的组件才能通过 $(fieldId) 获取到，和宜搭一样，未声明的组件返回undefined
+ * @property {Object.<string, module:Mock~MockDataSourceHandler | null>} [dataSources]
+ * 自定义数据源，会覆盖同名的内置数据源，值为null表示移除该数据源
+ */
+
+/**
+ * 创建一个模拟的 this 上下文 <br/>
+ * 返回的上下文对象额外包含一个 mock 属性，用于在测试中检查和操作模拟状态：<br/>
+ * mock.store: 内存表单存储 {@link module:Mock~MockFormStore}<br/>
+ * mock.requests: 数据源请求记录数组，每一项为 { name, params }<br/>
+ * mock.changes: 组件值变更记录数组，包括 setValue、getProps().onChange 和 updateItemValue 引起的变更，每一项为 { fieldId, value, oldValue }<br/>
+ * mock.setField(fieldId, value): 声明组件或者设置组件初始值<br/>
+ * mock.watch(fieldId, listener): 监听组件值变更<br/>
+ * mock.addDataSource(name, handler): 添加或者覆盖数据源
+ * @static
+ * @param {module:Mock~MockContextOptions} [options] 选项
+ * @returns {Object} 模拟的 this 上下文
+ *
+ * @example
+ * // jest 测试用例中
+ * import { createMockContext, dataLinkage } from "aliwork-helper";
+ *
+ * test("根据申请人带出主管", async () => {
+ *   const context = createMockContext({
+ *     forms: {
+ *       "FORM-aaa": [{ textField_aaa1: "张三", textField_aaa2: "李四" }],
+ *     },
+ *     fields: { textField_bbb1: "张三", textField_bbb2: "" },
+ *   });
+ *
+ *   await dataLinkage(context, "form", "FORM-aaa", "textField_aaa2", "textField_bbb2",
+ *     [{ from: "textField_bbb1", to: "textField_aaa1" }]);
+ *
+ *   expect(context.$("textField_bbb2").getValue()).toBe("李四");
+ *   expect(context.mock.requests[0].name).toBe("searchFormDatas");
+ * });
+ */
+function createMockContext(options) {
+  options = Object.assign({}, options);
+
+  const mock = {
+    store: new MockFormStore(options.forms, options.processes),
+    requests: [],
+    changes: [],
+    listeners: new Map(),
+    fields: new Map(),
+  };
+
+  const context = {
+    dataSourceMap: {},
+    $(fieldId) {
+      return mock.fields.get(fieldId);
+    },
+    utils: {
+      toast(config) {
+        mock.requests.push({ name: "utils.toast", params: config });
+        return () => {};
+      },
+      dialog(config) {
+        mock.requests.push({ name: "utils.dialog", params: config });
+        if (config && config.onOk) config.onOk();
+      },
+    },
+    mock,
+  };
+
+  mock.setField = (fieldId, value) => {
+    const field = mock.fields.get(fieldId);
+    if (field) field.setValue(value);
+    else mock.fields.set(fieldId, createMockField(mock, fieldId, value));
+  };
+  mock.watch = (fieldId, listener) => {
+    const listeners = mock.listeners.get(fieldId) || [];
+    listeners.push(listener);
+    mock.listeners.set(fieldId, listeners);
+  };
+  mock.addDataSource = (name, handler) => {
+    context.dataSourceMap[name] = {
+      load: async (params) => {
+        mock.requests.push({ name, params });
+        return handler(params, mock.store);
+      },
+    };
+  };
+
+  const dataSources = Object.assign(
+    {},
+    builtinDataSources,
+    options.dataSources
+  );
+  for (const name in dataSources) {
+    if (dataSources[name]) mock.addDataSource(name, dataSources[name]);
+  }
+  for (const fieldId in options.fields || {}) {
+    mock.fields.set(
+      fieldId,
+      createMockField(mock, fieldId, options.fields[fieldId])
+    );
+  }
+
+  return context;
+}
+
+export { createMockContext, MockFormStore };
@@ -0,0 +1,608 @@
+/**
+ * 流程审批：查询待处理任务、批量审批、转交任务、批量终止流程，用于自定义审批工作台
+ * @module Process
+ */
+
+import {
+  searchFormDatasAll,
+  getOperationRecords,
+  executeTask,
+  redirectTask,
+  terminateInstance,
+} from "./data-source";
+import { runBatch } from "./data-batch";
+import { generateEmployeeFieldData } from "./field";
+import { FormQuery } from "./FormQuery";
+import { AwhError, ValidationError } from "./errors";
+
+/**
+ * 流程任务
+ * @typedef {Object} ProcessTask
+ * @property {string} taskId 任务ID
+ * @property {string} instanceId 流程实例ID
+ * @property {string} activityId 节点ID
+ * @property {string} nodeName 节点名称
+ * @property {string} operatorId 处理人ID
+ * @property {string} operatorName 处理人姓名
+ * @property {Array<string>} agentIds 代理人ID
+ * @property {module:DataSource~OperationRecord} record 原始审批记录
+ */
+
+/**
+ * 审批记录转换为流程任务
+ * @param {string} instanceId 流程实例ID
+ * @param {module:DataSource~OperationRecord} record 审批记录
+ * @returns {module:Process~ProcessTask}
+ */
+function toProcessTask(instanceId, record) {
+  return {
+    taskId: record.taskId,
+    instanceId: record.processInstanceId || instanceId,
+    activityId: record.activityId,
+    nodeName: record.showName,
+    operatorId: record.operator,
+    operatorName: record.operatorDisplayName || record.operatorName,
+    agentIds: record.operatorAgentIds || [],
+    record,
+  };
+}
+
+/**
+ * 获取流程实例当前待处理的任务，不包括后续节点
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} instanceId 流程实例ID
+ * @param {Object} [options] 选项
+ * @param {string} [options.userId] 只返回该用户（处理人或者代理人）的任务，比如当前登录用户
+ * @returns {Promise<Array<module:Process~ProcessTask>>} 待处理任务，流程已结束时为空数组
+ *
+ * @example
+ * // 使用前请添加数据源 getOperationRecords，参见 {@link module:DataSource.getOperationRecords}
+ * const [task] = await getPendingTasks(this, "FINST-xxxxxx", { userId: this.utils.getLoginUserId() });
+ * if (task) await executeTask(this, task.instanceId, task.taskId, "AGREE", "同意");
+ */
+async function getPendingTasks(context, instanceId, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
+  const { userId } = Object.assign({}, options);
+
+  const records = (await getOperationRecords(context, instanceId)) || [];
+  return records
+    .filter((record) => record.type === "TODO" && record.actionExt !== "next")
+    .map((record) => toProcessTask(instanceId, record))
+    .filter(
+      (task) =>
+        !userId ||
+        task.operatorId === userId ||
+        task.agentIds.indexOf(userId) !== -1
+    );
+}
+
+/**
+ * 查找流程实例中唯一的待处理任务
+ * @param {Object} context this上下文
+ * @param {string} instanceId 流程实例ID
+ * @param {string} [userId] 处理人ID
+ * @returns {Promise<module:Process~ProcessTask>}
+ */
+async function findPendingTask(context, instanceId, userId) {
+  const tasks = await getPendingTasks(context, instanceId, { userId });
+  if (!tasks.length) {
+    throw new AwhError(`流程没有待处理的任务：${instanceId}`);
+  }
+  if (tasks.length > 1 && !userId) {
+    throw new ValidationError(
+      `流程有${tasks.length}个待处理的任务，请指定 taskId 或者 userId：${instanceId}`
+    );
+  }
+  return tasks[0];
+}
+
+/**
+ * 批量审批选项，除了以下属性，还支持 {@link module:DataBatch~BatchWriteOptions} 的所有选项
+ * @typedef {Object} ExecuteTasksOptions
+ * @property {string} [userId] 只传入流程实例ID时，用于查找该用户的待处理任务，比如当前登录用户
+ * @property {Object} [formData] 审批时同时修改的表单数据
+ * @property {boolean} [noExecuteExpressions] 是否<strong>不执行</strong>校验&关联操作
+ */
+
+/**
+ * 批量执行流程任务，单个任务失败不影响其他任务
+ * @static
+ * @param {Object} context this上下文
+ * @param {Array<string | {instanceId: string, taskId: string}>} tasks 要执行的任务，
+ * 比如 {@link module:Process.getPendingTasks} 的返回值；传入流程实例ID时会先查找待处理任务，
+ * 有多个待处理任务时需要传入 userId 选项
+ * @param {"AGREE" | "DISAGREE"} result 审批结果
+ * @param {string} remark 审批意见
+ * @param {module:Process~ExecuteTasksOptions} [options] 选项
+ * @returns {Promise<module:DataBatch~BatchWriteReport>} 处理结果，instanceId 为流程实例ID
+ *
+ * @example
+ * const report = await executeTasks(this, selectedInstanceIds, "AGREE", "批量同意", {
+ *   userId: this.utils.getLoginUserId(),
+ *   rateLimit: 5,
+ * });
+ * report.failed.forEach(({ item, error }) => console.log(`${item}：${error.message}`));
+ */
+async function executeTasks(context, tasks, result, remark, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!Array.isArray(tasks)) {
+    throw new ValidationError("tasks must be an array");
+  }
+  if (result !== "AGREE" && result !== "DISAGREE") {
+    throw new ValidationError(`Unknown task result: ${result}`);
+  }
+  if (!remark) throw new ValidationError("审批意见必填");
+  options = Object.assign({}, options);
+
+  return runBatch(
+    tasks,
+    async (task) => {
+      if (typeof task === "string") {
+        task = await findPendingTask(context, task, options.userId);
+      }
+      await executeTask(
+        context,
+        task.instanceId,
+        task.taskId,
+        result,
+        remark,
+        options.formData,
+        options.noExecuteExpressions
+      );
+      return task.instanceId;
+    },
+    options
+  );
+}
+
+/**
+ * 批量同意，等效于 executeTasks(context, tasks, "AGREE", remark, options)
+ * @static
+ * @param {Object} context this上下文
+ * @param {Array<string | {instanceId: string, taskId: string}>} tasks 要执行的任务
+ * @param {string} remark 审批意见
+ * @param {module:Process~ExecuteTasksOptions} [options] 选项
+ * @returns {Promise<module:DataBatch~BatchWriteReport>} 处理结果
+ */
+function approveTasks(context, tasks, remark, options) {
+  return executeTasks(context, tasks, "AGREE", remark, options);
+}
+
+/**
+ * 批量拒绝，等效于 executeTasks(context, tasks, "DISAGREE", remark, options)
+ * @static
+ * @param {Object} context this上下文
+ * @param {Array<string | {instanceId: string, taskId: string}>} tasks 要执行的任务
+ * @param {string} remark 审批意见
+ * @param {module:Process~ExecuteTasksOptions} [options] 选项
+ * @returns {Promise<module:DataBatch~BatchWriteReport>} 处理结果
+ */
+function rejectTasks(context, tasks, remark, options) {
+  return executeTasks(context, tasks, "DISAGREE", remark, options);
+}
+
+/**
+ * 转交流程任务
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} instanceId 流程实例ID
+ * @param {string} toUserId 转交给的用户ID
+ * @param {Object} [options] 选项
+ * @param {string} [options.taskId] 任务ID，不传时查找待处理任务
+ * @param {string} [options.userId] 当前处理人ID，不传 taskId 时用于查找该用户的待处理任务
+ * @param {string} [options.remark] 转交说明
+ * @param {boolean} [options.byManager] 是否以管理员身份转交，默认为false
+ * @returns {Promise<{instanceId: string, taskId: string, fromUserId: string, toUserId: string}>} 转交结果，
+ * 传入 taskId 时 fromUserId 为 options.userId
+ *
+ * @example
+ * // 使用前请添加数据源 redirectTask，参见 {@link module:DataSource.redirectTask}
+ * await transferTask(this, "FINST-xxxxxx", "1343242225778381", {
+ *   userId: this.utils.getLoginUserId(),
+ *   remark: "请帮忙处理",
+ * });
+ */
+async function transferTask(context, instanceId, toUserId, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
+  if (!toUserId) throw new ValidationError("toUserId is required");
+  options = Object.assign({ byManager: false }, options);
+
+  let { taskId, userId } = options;
+  if (!taskId) {
+    const task = await findPendingTask(context, instanceId, userId);
+    taskId = task.taskId;
+    userId = task.operatorId;
+  }
+
+  await redirectTask(
+    context,
+    instanceId,
+    taskId,
+    toUserId,
+    options.remark,
+    options.byManager
+  );
+  return { instanceId, taskId, fromUserId: userId, toUserId };
+}
+
+/**
+ * 批量终止流程，单个流程失败不影响其他流程
+ * @static
+ * @param {Object} context this上下文
+ * @param {Array<string>} instanceIds 流程实例ID数组
+ * @param {module:DataBatch~BatchWriteOptions} [options] 选项
+ * @returns {Promise<module:DataBatch~BatchWriteReport>} 处理结果
+ *
+ * @example
+ * // 使用前请添加数据源 terminateInstance，参见 {@link module:DataSource.terminateInstance}
+ * const report = await terminateInstances(this, instanceIds, { concurrency: 3 });
+ */
+async function terminateInstances(context, instanceIds, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!Array.isArray(instanceIds)) {
+    throw new ValidationError("instanceIds must be an array");
+  }
+
+  return runBatch(
+    instanceIds,
+    async (instanceId) => {
+      await terminateInstance(context, instanceId);
+      return instanceId;
+    },
+    options
+  );
+}
+
+/**
+ * 审批时间线节点
+ * @typedef {Object} TimelineNode
+ * @property {string} taskId 任务ID
+ * @property {string} activityId 节点ID
+ * @property {string} nodeName 节点名称
+ * @property {Object | null} actor 处理人，格式同人员组件的值，参见 {@link module:Field.generateEmployeeFieldData}
+ * @property {"submit" | "agree" | "disagree" | "pending" | "upcoming" | string} action 动作：
+ * submit - 提交；agree - 同意；disagree - 拒绝；pending - 当前待处理；upcoming - 后续待审批节点；
+ * 其他动作（比如转交）为平台返回的原始动作码
+ * @property {string} actionText 动作描述文本
+ * @property {"agree" | "disagree" | null} result 审批结果，非审批动作为null
+ * @property {string} remark 审批意见
+ * @property {"done" | "pending" | "upcoming"} status 节点状态
+ * @property {number | null} startTime 开始时间戳，平台没有返回时使用上一个已处理节点的处理时间
+ * @property {number | null} endTime 处理时间戳，未处理为null
+ * @property {number | null} duration 耗时，单位毫秒，待处理节点为截至当前的耗时
+ * @property {number | null} sla 节点时限，单位毫秒，没有配置时为null
+ * @property {boolean} overdue 是否超时
+ * @property {module:DataSource~OperationRecord} record 原始审批记录
+ */
+
+/**
+ * 审批时间线
+ * @typedef {Object} ApprovalTimeline
+ * @property {Array<module:Process~TimelineNode>} nodes 时间线节点，按审批记录顺序排列
+ * @property {number | null} startTime 流程开始时间戳
+ * @property {number | null} endTime 流程结束时间戳，还有待处理节点时为null
+ * @property {number | null} duration 总耗时，单位毫秒，未结束的流程为截至当前的耗时
+ * @property {Array<module:Process~TimelineNode>} pendingNodes 当前待处理节点
+ * @property {Array<module:Process~TimelineNode>} overdueNodes 超时的节点
+ */
+
+/**
+ * 时间线选项
+ * @typedef {Object} TimelineOptions
+ * @property {number | Object.<string, number> | function(module:Process~TimelineNode): number} [sla]
+ * 节点时限，单位毫秒。数字表示所有审批节点的时限；对象表示按节点名称或者节点ID配置时限；
+ * 函数参数为节点，返回时限。提交节点不计算超时
+ * @property {number} [now] 计算待处理节点耗时的当前时间戳，默认为 Date.now()
+ */
+
+/**
+ * 审批记录中的时间转换为时间戳
+ * @param {string | number} value 时间戳或者时间字符串，比如 2024-01-05T09:41:13.000+0000
+ * @returns {number | null}
+ */
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const time = Date.parse(
+    String(value).replace(/([+-]\d{2})(\d{2})$/, "$1:$2")
+  );
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * 获取节点时限
+ * @param {module:Process~TimelineNode} node 节点
+ * @param {module:Process~TimelineOptions} options 选项
+ * @returns {number | null}
+ */
+function getNodeSla(node, options) {
+  const { sla } = options;
+  if (sla === undefined || sla === null || node.action === "submit") {
+    return null;
+  }
+  if (typeof sla === "number") return sla;
+  if (typeof sla === "function") return sla(node) || null;
+
+  const value =
+    sla[node.nodeName] !== undefined
+      ? sla[node.nodeName]
+      : sla[node.activityId];
+  return value === undefined ? null : value;
+}
+
+/**
+ * 流程审批记录转换为时间线，并计算耗时、超时等指标
+ * @static
+ * @param {Array<module:DataSource~OperationRecord>} records 审批记录，{@link module:DataSource.getOperationRecords} 的返回值
+ * @param {module:Process~TimelineOptions} [options] 选项
+ * @returns {module:Process~ApprovalTimeline} 审批时间线
+ *
+ * @example
+ * const records = await getOperationRecords(this, "FINST-xxxxxx");
+ * const { nodes, duration, overdueNodes } = buildApprovalTimeline(records, {
+ *   sla: { 部门审批: 24 * 3600 * 1000, 财务审批: 48 * 3600 * 1000 },
+ * });
+ */
+function buildApprovalTimeline(records, options) {
+  if (!Array.isArray(records)) {
+    throw new ValidationError("records must be an array");
+  }
+  options = Object.assign({}, options);
+  const now = options.now !== undefined ? options.now : Date.now();
+
+  let lastEndTime = null;
+  const nodes = records.map((record) => {
+    let status = "done";
+    let action = record.actionExt;
+    if (record.type === "TODO") {
+      status = record.actionExt === "next" ? "upcoming" : "pending";
+      action = status;
+    }
+
+    const endTime =
+      status === "done" ? toTimestamp(record.operateTimeGMT) : null;
+    let startTime = toTimestamp(record.activeTimeGMT);
+    if (startTime === null && status !== "upcoming") {
+      startTime = action === "submit" ? endTime : lastEndTime;
+    }
+    if (endTime !== null) lastEndTime = endTime;
+
+    let duration = null;
+    if (startTime !== null && status === "done" && endTime !== null) {
+      duration = endTime - startTime;
+    } else if (startTime !== null && status === "pending") {
+      duration = now - startTime;
+    }
+
+    const node = {
+      taskId: record.taskId,
+      activityId: record.activityId,
+      nodeName: record.showName,
+      actor: record.operator
+        ? generateEmployeeFieldData(
+            record.operator,
+            record.operatorDisplayName || record.operatorName,
+            false
+          )
+        : null,
+      action,
+      actionText: record.action || "",
+      result: action === "agree" || action === "disagree" ? action : null,
+      remark: record.remark || "",
+      status,
+      startTime,
+      endTime,
+      duration,
+      record,
+    };
+    node.sla = getNodeSla(node, options);
+    node.overdue =
+      node.sla !== null && duration !== null && duration > node.sla;
+    return node;
+  });
+
+  const pendingNodes = nodes.filter((node) => node.status === "pending");
+  const startTimes = nodes
+    .map((node) => node.startTime)
+    .filter((time) => time !== null);
+  const startTime = startTimes.length ? Math.min(...startTimes) : null;
+  const endTime = pendingNodes.length ? null : lastEndTime;
+
+  let duration = null;
+  if (startTime !== null) {
+    duration = (endTime !== null ? endTime : now) - startTime;
+  }
+
+  return {
+    nodes,
+    startTime,
+    endTime,
+    duration,
+    pendingNodes,
+    overdueNodes: nodes.filter((node) => node.overdue),
+  };
+}
+
+/**
+ * 获取流程审批时间线，等效于 buildApprovalTimeline(await getOperationRecords(context, instanceId), options)
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} instanceId 流程实例ID
+ * @param {module:Process~TimelineOptions} [options] 选项
+ * @returns {Promise<module:Process~ApprovalTimeline>} 审批时间线，参见 {@link module:Process.buildApprovalTimeline}
+ *
+ * @example
+ * // 使用前请添加数据源 getOperationRecords，参见 {@link module:DataSource.getOperationRecords}
+ * const timeline = await getApprovalTimeline(this, "FINST-xxxxxx", { sla: 24 * 3600 * 1000 });
+ * this.setState({
+ *   nodes: timeline.nodes.map((node) => ({
+ *     title: node.nodeName,
+ *     actor: node.actor && node.actor.label,
+ *     hours: node.duration === null ? "" : round(node.duration / 3600000, 1),
+ *     overdue: node.overdue,
+ *   })),
+ * });
+ */
+async function getApprovalTimeline(context, instanceId, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!instanceId) throw new ValidationError("instanceId is required");
+
+  const records = (await getOperationRecords(context, instanceId)) || [];
+  return buildApprovalTimeline(records, options);
+}
+
+/**
+ * 按查询批量审批的选项，除了以下属性，还支持 {@link module:DataBatch~BatchWriteOptions} 的所有选项
+ * @typedef {Object} ExecuteTasksByQueryOptions
+ * @property {string} [userId] 只处理该用户（处理人或者代理人）的待处理任务，比如当前登录用户；
+ * 不传时流程只能有一个待处理任务，否则记为失败
+ * @property {Object} [formData] 审批时同时修改的表单数据
+ * @property {boolean} [noExecuteExpressions] 是否<strong>不执行</strong>校验&关联操作
+ * @property {boolean} [dryRun] 只查找要执行的任务，不实际审批，默认为false
+ */
+
+/**
+ * 单个流程的批量审批结果
+ * @typedef {Object} InstanceApprovalResult
+ * @property {string} instanceId 流程实例ID
+ * @property {"executed" | "planned" | "skipped" | "failed"} status executed - 已审批；
+ * planned - dryRun 时表示将要审批；skipped - 没有待处理任务，跳过；failed - 查找任务或者审批失败
+ * @property {module:Process~ProcessTask | null} task 执行的任务
+ * @property {Error} [error] 失败原因
+ * @property {module:DataSource~FormData} formData 查询到的流程数据
+ */
+
+/**
+ * 按查询批量审批结果
+ * @typedef {Object} ExecuteTasksByQueryReport
+ * @property {number} total 查询到的流程数
+ * @property {boolean} dryRun 是否为 dryRun
+ * @property {Object.<string, number>} summary 各状态的流程数，{ executed, planned, skipped, failed }
+ * @property {Array<module:Process~InstanceApprovalResult>} results 每个流程的结果，按查询结果顺序排列
+ */
+
+/**
+ * 查询流程并批量审批：查询流程数据，查找每个流程的待处理任务，然后执行任务 <br/>
+ * 建议先使用 dryRun 确认要审批的任务，再实际执行
+ * @static
+ * @param {Object} context this上下文
+ * @param {module:DataJoin~JoinFormSpec | module:FormQuery~FormQuery} source 流程查询，
+ * 传入查询描述时默认只查询运行中的流程，可以通过 options.instanceStatus 修改；传入查询构造器时必须使用同一个 context 创建
+ * @param {"AGREE" | "DISAGREE"} result 审批结果
+ * @param {string} remark 审批意见
+ * @param {module:Process~ExecuteTasksByQueryOptions} [options] 选项
+ * @returns {Promise<module:Process~ExecuteTasksByQueryReport>} 每个流程的审批结果
+ *
+ * @example
+ * const source = query(this, "FORM-xxxxxx", "process")
+ *   .status("RUNNING")
+ *   .where("selectField_type", "差旅");
+ * const options = { userId: this.utils.getLoginUserId(), rateLimit: 5 };
+ *
+ * const plan = await executeTasksByQuery(this, source, "AGREE", "同意", { ...options, dryRun: true });
+ * console.log(`将审批${plan.summary.planned}个流程`);
+ *
+ * const report = await executeTasksByQuery(this, source, "AGREE", "同意", options);
+ * report.results
+ *   .filter((item) => item.status === "failed")
+ *   .forEach((item) => console.log(`${item.instanceId}：${item.error.message}`));
+ */
+async function executeTasksByQuery(context, source, result, remark, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!source) throw new ValidationError("source is required");
+  if (result !== "AGREE" && result !== "DISAGREE") {
+    throw new ValidationError(`Unknown task result: ${result}`);
+  }
+  if (!remark) throw new ValidationError("审批意见必填");
+  options = Object.assign({ dryRun: false }, options);
+
+  let formDatas;
+  if (source instanceof FormQuery) {
+    if (source.type !== "process") {
+      throw new ValidationError("source must be a process query");
+    }
+    // 查询和审批使用不同的上下文时，查询到的流程和审批的可能不是同一个应用的数据
+    if (source.context !== context) {
+      throw new ValidationError("source query must use the same context");
+    }
+    formDatas = await source.fetchAll();
+  } else {
+    if (!source.formUuid) throw new ValidationError("formUuid is required");
+    formDatas = await searchFormDatasAll(
+      context,
+      "process",
+      source.formUuid,
+      source.searchFieldObject || {},
+      Object.assign({ instanceStatus: "RUNNING" }, source.options)
+    );
+  }
+
+  const results = formDatas.map((formData) => ({
+    instanceId: formData.instanceId,
+    status: "skipped",
+    task: null,
+    formData,
+  }));
+
+  const report = await runBatch(
+    results,
+    async (item) => {
+      if (!item.task) {
+        const tasks = await getPendingTasks(context, item.instanceId, {
+          userId: options.userId,
+        });
+        if (!tasks.length) return item.instanceId;
+        if (tasks.length > 1 && !options.userId) {
+          throw new ValidationError(
+            `流程有${tasks.length}个待处理的任务，请指定 userId：${item.instanceId}`
+          );
+        }
+        item.task = tasks[0];
+      }
+
+      if (options.dryRun) {
+        item.status = "planned";
+      } else {
+        await executeTask(
+          context,
+          item.instanceId,
+          item.task.taskId,
+          result,
+          remark,
+          options.formData,
+          options.noExecuteExpressions
+        );
+        item.status = "executed";
+      }
+      return item.instanceId;
+    },
+    options
+  );
+
+  for (const { index, error } of report.failed) {
+    results[index].status = "failed";
+    results[index].error = error;
+  }
+
+  const summary = { executed: 0, planned: 0, skipped: 0, failed: 0 };
+  results.forEach((item) => (summary[item.status] += 1));
+
+  return { total: results.length, dryRun: options.dryRun, summary, results };
+}
+
+export {
+  getPendingTasks,
+  executeTasks,
+  approveTasks,
+  rejectTasks,
+  executeTasksByQuery,
+  transferTask,
+  terminateInstances,
+  buildApprovalTimeline,
+  getApprovalTimeline,
+};
@@ -0,0 +1,543 @@
+/**
+ * 数据源请求 <br/>
+ * 本库所有数据源方法都通过 {@link module:Request.loadDataSource} 调用 context.dataSourceMap 中的数据源，
+ * 请求缓存、并发请求合并、限速、失败重试、错误转换等功能在这里统一处理
+ * @module Request
+ */
+
+import { RequestCache } from "./RequestCache";
+import { RateLimiter } from "./RateLimiter";
+import { retry } from "./utils";
+import {
+  ValidationError,
+  DataSourceMissingError,
+  RemoteError,
+  RateLimitError,
+  TimeoutError,
+  toRemoteError,
+} from "./errors";
+
+/**
+ * 只读数据源，默认会被缓存，并发的相同请求会被合并
+ * @type {Array<string>}
+ */
+const READ_DATA_SOURCES = [
+  "searchFormDatas",
+  "getInstances",
+  "searchFormDataIds",
+  "getInstanceIds",
+  "getFormData",
+  "getProcessInstance",
+  "fetchSubformDatas",
+];
+
+/**
+ * 写操作数据源，值为一个函数，根据请求参数返回受影响的表单ID或者实例ID
+ * @type {Object.<string, Function>}
+ */
+const WRITE_DATA_SOURCES = {
+  saveFormData: (params) => ({ formUuid: params.formUuid }),
+  startInstance: (params) => ({ formUuid: params.formUuid }),
+  updateFormData: (params) => ({ instanceId: params.formInstId }),
+  updateInstance: (params) => ({ instanceId: params.processInstanceId }),
+  deleteFormData: (params) => ({ instanceId: params.formInstId }),
+  executeTask: (params) => ({ instanceId: params.procInstId }),
+  redirectTask: (params) => ({ instanceId: params.processInstanceId }),
+  terminateInstance: (params) => ({ instanceId: params.processInstanceId }),
+};
+
+/**
+ * 幂等的写操作数据源，重复执行结果相同，可以安全重试
+ * @type {Array<string>}
+ */
+const IDEMPOTENT_WRITE_DATA_SOURCES = [
+  "updateFormData",
+  "updateInstance",
+  "deleteFormData",
+];
+
+let requestCache = null;
+let cachedDataSources = new Set();
+
+let dedupeEnabled = true;
+// dataSourceMap -> (请求键 -> 进行中的请求)，不同上下文的数据源互不影响
+const pendingRequests = new WeakMap();
+
+let retryPolicy = null;
+let retriedDataSources = new Set();
+
+let globalRateLimiter = null;
+// 数据源名称 -> 该数据源单独的限速器
+const rateLimiters = new Map();
+
+/**
+ * 深拷贝数据源响应，避免调用方修改返回值影响缓存
+ * @param {any} value
+ * @returns {any}
+ */
+function clone(value) {
+  if (value === undefined) return value;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 从请求参数和响应中收集缓存关联的表单ID和实例ID
+ * @param {Object} params 请求参数
+ * @param {any} response 数据源响应
+ * @returns {module:RequestCache~CacheTags}
+ */
+function collectCacheTags(params, response) {
+  const formUuids = [];
+  const instanceIds = [];
+
+  if (params.formUuid) formUuids.push(params.formUuid);
+  for (const key of ["formInstId", "processInstanceId", "formInstanceId"]) {
+    if (params[key]) instanceIds.push(params[key]);
+  }
+
+  if (response && typeof response === "object") {
+    if (response.formUuid) formUuids.push(response.formUuid);
+    const items = Array.isArray(response.data) ? response.data : [];
+    for (const item of items) {
+      if (typeof item === "string") {
+        instanceIds.push(item);
+      } else if (item && typeof item === "object") {
+        if (item.formUuid) formUuids.push(item.formUuid);
+        if (item.formInstId) instanceIds.push(item.formInstId);
+        if (item.processInstanceId) instanceIds.push(item.processInstanceId);
+      }
+    }
+  }
+
+  return { formUuids, instanceIds };
+}
+
+/**
+ * 写操作完成后失效相关缓存
+ * @param {string} name 数据源名称
+ * @param {Object} params 请求参数
+ */
+function invalidateAfterWrite(name, params) {
+  if (!requestCache || !WRITE_DATA_SOURCES[name]) return;
+
+  const { formUuid, instanceId } = WRITE_DATA_SOURCES[name](params);
+  if (formUuid) requestCache.invalidateForm(formUuid);
+  if (instanceId) requestCache.invalidateInstance(instanceId);
+}
+
+/**
+ * 宜搭平台接口数据源，返回 success 为 false 的响应会被视为请求失败
+ * @type {Array<string>}
+ */
+const PLATFORM_DATA_SOURCES = READ_DATA_SOURCES.concat(
+  Object.keys(WRITE_DATA_SOURCES),
+  ["getOperationRecords"]
+);
+
+/**
+ * 实际调用数据源，并将失败统一转换为 {@link module:Errors~RemoteError} <br/>
+ * 每次实际请求（包括重试）前都会先获取限速令牌
+ * @param {Object} context this上下文
+ * @param {string} name 数据源名称
+ * @param {Object} params 请求参数
+ * @returns {Promise<any>} 数据源响应
+ */
+async function rawLoad(context, name, params) {
+  if (globalRateLimiter) await globalRateLimiter.acquire();
+  if (rateLimiters.has(name)) await rateLimiters.get(name).acquire();
+
+  let response;
+  try {
+    response = await context.dataSourceMap[name].load(params);
+  } catch (e) {
+    throw toRemoteError(name, e);
+  }
+
+  if (
+    PLATFORM_DATA_SOURCES.indexOf(name) !== -1 &&
+    response &&
+    response.success === false
+  ) {
+    throw toRemoteError(name, response);
+  }
+
+  return response;
+}
+
+const NETWORK_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ERR_NETWORK",
+];
+const NETWORK_ERROR_PATTERN =
+  /network|failed to fetch|timeout|timed out|网络|超时/i;
+
+/**
+ * 默认的重试条件：被限流、超时，或者能识别出的网络错误 <br/>
+ * 数据源抛出的其他错误（比如代码异常）不重试
+ * @param {any} error 错误
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error instanceof RateLimitError || error instanceof TimeoutError) {
+    return true;
+  }
+  if (!(error instanceof RemoteError) || error.response !== undefined) {
+    return false;
+  }
+  return (
+    NETWORK_ERROR_CODES.indexOf(String(error.code)) !== -1 ||
+    NETWORK_ERROR_PATTERN.test(error.message)
+  );
+}
+
+/**
+ * 调用数据源，并按照重试策略重试
+ * @param {Object} context this上下文
+ * @param {string} name 数据源名称
+ * @param {Object} params 请求参数
+ * @param {module:Utils~RetryPolicy | null} policy 重试策略，为null时不重试
+ * @returns {Promise<any>} 数据源响应
+ */
+function retryLoad(context, name, params, policy) {
+  if (!policy) return rawLoad(context, name, params);
+  return retry(() => rawLoad(context, name, params), policy);
+}
+
+/**
+ * 合并进行中的相同请求，多个调用方共享同一个请求 <br/>
+ * 后加入的调用方得到的是响应的副本，避免调用方之间互相修改返回值
+ * @param {Object} context this上下文
+ * @param {string} name 数据源名称
+ * @param {Object} params 请求参数
+ * @param {module:Utils~RetryPolicy | null} policy 重试策略
+ * @returns {Promise<any>} 数据源响应
+ */
+async function dedupeLoad(context, name, params, policy) {
+  const dataSourceMap = context.dataSourceMap;
+  let pending = pendingRequests.get(dataSourceMap);
+  if (!pending) {
+    pending = new Map();
+    pendingRequests.set(dataSourceMap, pending);
+  }
+
+  const key = RequestCache.key(name, params);
+  const existing = pending.get(key);
+  if (existing) {
+    existing.followers += 1;
+    await existing.promise;
+    return existing.snapshot === undefined
+      ? undefined
+      : JSON.parse(existing.snapshot);
+  }
+
+  const entry = { followers: 0 };
+  entry.promise = retryLoad(context, name, params, policy).then(
+    (response) => {
+      pending.delete(key);
+      // 在任何调用方拿到响应之前生成快照
+      if (entry.followers > 0) entry.snapshot = JSON.stringify(response);
+      return response;
+    },
+    (e) => {
+      pending.delete(key);
+      throw e;
+    }
+  );
+  pending.set(key, entry);
+
+  return entry.promise;
+}
+
+/**
+ * 调用数据源，等效于 context.dataSourceMap[name].load(params)，同时会应用请求缓存、请求合并、失败重试等配置 <br/>
+ * 自定义的数据源也可以通过此方法调用
+ * @static
+ * @param {Object} context this上下文
+ * @param {string} name 数据源名称
+ * @param {Object} [params] 请求参数
+ * @param {Object} [options] 选项
+ * @param {module:Utils~RetryPolicy | false} [options.retry] 本次请求的重试策略，会覆盖 {@link module:Request.enableRequestRetry} 的配置，
+ * 为false时不重试。设置了此选项的请求不会与进行中的相同请求合并
+ * @param {boolean} [options.fresh] 为true时不读取缓存，也不与进行中的相同请求合并，保证拿到最新数据
+ * @returns {Promise<any>} 数据源响应
+ * @throws {module:Errors~DataSourceMissingError} 数据源不存在
+ * @throws {module:Errors~RemoteError} 数据源请求失败，被限流时为 {@link module:Errors~RateLimitError}
+ *
+ * @example
+ * const resp = await loadDataSource(this, "getFormData", { formInstId: "FINST-xxxxxx" });
+ *
+ * // 自定义数据源，被限流时最多重试5次
+ * const resp = await loadDataSource(this, "myDataSource", {}, {
+ *   retry: { retries: 5, delay: 1000, factor: 2, shouldRetry: (e) => e instanceof RateLimitError },
+ * });
+ */
+async function loadDataSource(context, name, params, options) {
+  if (!context) throw new ValidationError("context is required");
+  if (!context.dataSourceMap || !context.dataSourceMap[name]) {
+    throw new DataSourceMissingError(name);
+  }
+  params = params || {};
+
+  const fresh = Boolean(options && options.fresh);
+  const cacheable = requestCache !== null && cachedDataSources.has(name);
+  const cache = requestCache;
+  let cacheKey;
+  let generation;
+  if (cacheable) {
+    cacheKey = RequestCache.key(name, params);
+    generation = cache.generation;
+    const cached = fresh ? undefined : cache.get(cacheKey);
+    if (cached !== undefined) return clone(cached);
+  }
+
+  let policy = retriedDataSources.has(name) ? retryPolicy : null;
+  // 单独指定了重试策略的请求不合并，否则会沿用先发起的请求的重试策略
+  const ownPolicy = Boolean(options) && options.retry !== undefined;
+  if (ownPolicy) policy = options.retry || null;
+
+  let response;
+  try {
+    if (
+      !fresh &&
+      !ownPolicy &&
+      dedupeEnabled &&
+      READ_DATA_SOURCES.indexOf(name) !== -1
+    ) {
+      response = await dedupeLoad(context, name, params, policy);
+    } else {
+      response = await retryLoad(context, name, params, policy);
+    }
+  } finally {
+    // 写操作即使失败也可能已经部分生效，所以总是失效相关缓存
+    invalidateAfterWrite(name, params);
+  }
+
+  // 请求期间相关表单被写入过（或者缓存被停用、替换）时，响应可能是旧数据，不写入缓存
+  if (cacheable && cache === requestCache) {
+    const tags = collectCacheTags(params, response);
+    if (!cache.isStale(tags, generation)) {
+      cache.set(cacheKey, clone(response), tags);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * enableRequestCache 选项
+ * @typedef {Object} EnableRequestCacheOptions
+ * @property {number} [ttl] 缓存有效期，单位毫秒，默认为60000（1分钟）
+ * @property {number} [maxSize] 最多缓存多少条，超出后淘汰最久未使用的缓存，默认为100
+ * @property {Array<string>} [dataSources] 要缓存的数据源名称，默认为所有只读数据源：
+ * searchFormDatas、getInstances、searchFormDataIds、getInstanceIds、getFormData、getProcessInstance、fetchSubformDatas
+ */
+
+/**
+ * 启用数据源请求缓存 <br/>
+ * 启用后，相同数据源、相同参数的请求在有效期内直接返回缓存数据。
+ * 通过本库的 saveFormData、updateFormData、deleteFormData 等方法写入数据后，会自动失效同一表单的缓存；
+ * 只知道实例ID的写操作如果无法从已缓存的数据中确定实例所属表单，会清空所有缓存。
+ * 写入前发出、写入后才返回的请求结果不会被缓存。<br/>
+ * ⚠️通过其他方式（其他用户、流程、集成自动化等）修改的数据无法感知，请根据业务设置合适的有效期
+ * @static
+ * @param {module:Request~EnableRequestCacheOptions} [options] 选项
+ * @returns {module:RequestCache~RequestCache} 缓存实例
+ *
+ * @example
+ * export function didMount() {
+ *   // 缓存30秒，最多缓存200条
+ *   enableRequestCache({ ttl: 30000, maxSize: 200 });
+ * }
+ *
+ * // 只缓存表单详情
+ * enableRequestCache({ dataSources: ["getFormData"] });
+ */
+function enableRequestCache(options) {
+  options = Object.assign({ dataSources: READ_DATA_SOURCES }, options);
+
+  requestCache = new RequestCache(options);
+  cachedDataSources = new Set(options.dataSources);
+  return requestCache;
+}
+
+/**
+ * 停用数据源请求缓存，并清空已缓存的数据
+ * @static
+ */
+function disableRequestCache() {
+  if (requestCache) requestCache.clear();
+  requestCache = null;
+  cachedDataSources = new Set();
+}
+
+/**
+ * 手动失效缓存
+ * @static
+ * @param {string} [formUuid] 表单ID，不传则清空所有缓存
+ *
+ * @example
+ * // 通过其他方式修改了表单数据后，手动失效该表单的缓存
+ * invalidateRequestCache("FORM-xxxxxx");
+ */
+function invalidateRequestCache(formUuid) {
+  if (!requestCache) return;
+
+  if (formUuid) requestCache.invalidateForm(formUuid);
+  else requestCache.clear();
+}
+
+/**
+ * 启用并发请求合并（默认启用）<br/>
+ * 启用后，同一时间发起的多个相同只读请求（数据源和参数都相同）只会实际请求一次，所有调用方共享请求结果。
+ * 比如多个字段同时触发相同条件的数据联动时，只会查询一次目标表单
+ * @static
+ */
+function enableRequestDedupe() {
+  dedupeEnabled = true;
+}
+
+/**
+ * 停用并发请求合并，每次调用都会实际请求数据源
+ * @static
+ */
+function disableRequestDedupe() {
+  dedupeEnabled = false;
+}
+
+/**
+ * enableRequestRetry 选项，除了以下属性，其他属性同 {@link module:Utils~RetryPolicy}
+ * @typedef {Object} EnableRequestRetryOptions
+ * @property {Array<string>} [dataSources] 要重试的数据源名称，默认为所有只读数据源和幂等的写操作数据源（updateFormData、updateInstance、deleteFormData）。
+ * saveFormData、startInstance 等非幂等的操作重试可能会产生重复数据，请谨慎添加
+ * @property {function(any, number): boolean} [shouldRetry] 判断错误是否需要重试，
+ * 默认只重试被限流（{@link module:Errors~RateLimitError}）、超时（{@link module:Errors~TimeoutError}）和网络错误的请求
+ */
+
+/**
+ * 启用数据源请求失败重试 <br/>
+ * 启用后，本库的数据源方法被宜搭限流时会自动按照指数退避重试，默认最多重试3次，
+ * 依次等待约500、1000、2000毫秒（含随机抖动），单次等待不超过5秒
+ * @static
+ * @param {module:Request~EnableRequestRetryOptions} [options] 选项
+ *
+ * @example
+ * export function didMount() {
+ *   enableRequestRetry();
+ * }
+ *
+ * // 最多重试5次，总耗时不超过30秒，并打印重试日志
+ * enableRequestRetry({
+ *   retries: 5,
+ *   maxElapsedTime: 30000,
+ *   onRetry: (e, attempt, delay) => console.log(`${e.dataSourceName}第${attempt}次失败，${delay}毫秒后重试`),
+ * });
+ */
+function enableRequestRetry(options) {
+  options = Object.assign(
+    {
+      retries: 3,
+      delay: 500,
+      factor: 2,
+      maxDelay: 5000,
+      jitter: 0.5,
+      shouldRetry: isTransientError,
+      dataSources: READ_DATA_SOURCES.concat(IDEMPOTENT_WRITE_DATA_SOURCES),
+    },
+    options
+  );
+
+  retriedDataSources = new Set(options.dataSources);
+  delete options.dataSources;
+  retryPolicy = options;
+}
+
+/**
+ * 停用数据源请求失败重试
+ * @static
+ */
+function disableRequestRetry() {
+  retryPolicy = null;
+  retriedDataSources = new Set();
+}
+
+/**
+ * enableRateLimit 选项，除了以下属性，其他属性同 {@link module:RateLimiter~RateLimiterOptions}
+ * @typedef {Object} EnableRateLimitOptions
+ * @property {Array<string>} [dataSources] 只对这些数据源限速，每个数据源单独计算；默认对所有数据源统一限速
+ * @property {module:RateLimiter~RateLimiter} [limiter] 使用已有的限速器，比如和 BatchTaskRunner 共享同一个限速器。
+ * 共享时 BatchTaskRunner 不再为每个任务获取令牌，只由任务中的数据源请求消耗令牌
+ */
+
+/**
+ * 启用数据源请求限速 <br/>
+ * 启用后，本库的所有数据源方法（以及通过 {@link module:Request.loadDataSource} 调用的自定义数据源）会自动排队，
+ * 保证请求频率不超过限制，不再需要在批量操作中手动 sleep。缓存命中和被合并的请求不消耗令牌。<br/>
+ * 可以同时启用全局限速和单个数据源的限速，此时请求需要同时满足两者
+ * @static
+ * @param {module:Request~EnableRateLimitOptions | number} [options] 选项，传入数字时表示每秒最多请求次数
+ * @returns {module:RateLimiter~RateLimiter} 限速器
+ *
+ * @example
+ * // 所有数据源每秒最多请求5次
+ * enableRateLimit(5);
+ *
+ * // 更新和删除接口每2秒最多3次，单独计算
+ * enableRateLimit({ rate: 3, interval: 2000, dataSources: ["updateFormData", "deleteFormData"] });
+ */
+function enableRateLimit(options) {
+  if (typeof options === "number") options = { rate: options };
+  options = Object.assign({}, options);
+
+  const limiter = options.limiter || new RateLimiter(options);
+  if (options.dataSources) {
+    for (const name of options.dataSources) rateLimiters.set(name, limiter);
+  } else {
+    globalRateLimiter = limiter;
+  }
+  return limiter;
+}
+
+/**
+ * 停用数据源请求限速
+ * @static
+ * @param {Array<string>} [dataSources] 停用这些数据源单独的限速，不传则停用全部限速
+ */
+function disableRateLimit(dataSources) {
+  if (dataSources) {
+    for (const name of dataSources) rateLimiters.delete(name);
+    return;
+  }
+
+  globalRateLimiter = null;
+  rateLimiters.clear();
+}
+
+/**
+ * 判断限速器是否正在用于数据源请求限速（通过 {@link module:Request.enableRateLimit} 启用）
+ * @static
+ * @param {module:RateLimiter~RateLimiter} limiter 限速器
+ * @returns {boolean}
+ */
+function isRequestRateLimiter(limiter) {
+  if (!limiter) return false;
+  if (globalRateLimiter === limiter) return true;
+  return Array.from(rateLimiters.values()).indexOf(limiter) !== -1;
+}
+
+export {
+  loadDataSource,
+  enableRateLimit,
+  disableRateLimit,
+  isRequestRateLimiter,
+  enableRequestRetry,
+  disableRequestRetry,
+  enableRequestDedupe,
+  disableRequestDedupe,
+  enableRequestCache,
+  disableRequestCache,
+  invalidateRequestCache,
+};
@@ -4,7 +4,8 @@
  */
 
 /**
- * sleep函数，可在异步场景中实现延时或者暂停执行
+ * sleep函数，可在异步场景中实现延时或者暂停执行 <br/>
+ * 如果是为了防止数据源请求被限流，推荐使用 {@link module:Request.enableRateLimit} 自动限速
  * @static
  * @param {number} time sleep时间，单位毫秒
  * @returns {Promise} 一个Promise，在time毫秒后被resolve
@@ -24,12 +25,85 @@ function sleep(time) {
   });
 }
 
+/**
+ * 重试策略
+ * @typedef {Object} RetryPolicy
+ * @property {number} [retries] 最多重试次数，默认为3
+ * @property {number} [delay] 第一次重试前的延时，单位毫秒，默认为300
+ * @property {number} [factor] 延时增长倍数，每次重试的延时为上一次的factor倍，默认为1（固定延时），设为2即为指数退避
+ * @property {number} [maxDelay] 单次延时上限，单位毫秒，默认不限
+ * @property {number | boolean} [jitter] 随机抖动比例，取值0~1，实际延时在 delay * (1 - jitter) 到 delay 之间随机，
+ * true 等同于1，默认为0（不抖动）。多个调用方同时失败时，抖动可以避免它们同时重试
+ * @property {number} [maxElapsedTime] 从第一次调用开始计算的最长总耗时，单位毫秒，下一次重试会超出时不再重试，默认不限
+ * @property {function(any, number): boolean} [shouldRetry] 判断错误是否需要重试，参数为错误和已失败次数（从1开始），
+ * 返回false时立即抛出该错误，默认所有错误都重试
+ * @property {function(any, number, number): void} [onRetry] 每次重试前调用，参数为错误、已失败次数和即将等待的延时
+ */
+
+/**
+ * 计算第attempt次失败后的重试延时
+ * @param {module:Utils~RetryPolicy} policy 重试策略
+ * @param {number} attempt 已失败次数，从1开始
+ * @returns {number} 延时，单位毫秒
+ */
+function getRetryDelay(policy, attempt) {
+  let delay = policy.delay * Math.pow(policy.factor, attempt - 1);
+  delay = Math.min(delay, policy.maxDelay);
+
+  const jitter = policy.jitter === true ? 1 : Number(policy.jitter) || 0;
+  if (jitter > 0) delay -= delay * Math.min(jitter, 1) * Math.random();
+  return Math.round(delay);
+}
+
+/**
+ * 按照重试策略执行函数，全部失败时抛出最后一次的原始错误
+ * @param {Function} callable 要执行的函数
+ * @param {module:Utils~RetryPolicy} policy 重试策略
+ * @param {Array<any>} args 传递给callable的参数
+ * @returns {Promise<any>} callable的返回值
+ */
+async function retryWithPolicy(callable, policy, args) {
+  policy = Object.assign(
+    {
+      retries: 3,
+      delay: 300,
+      factor: 1,
+      maxDelay: Infinity,
+      jitter: 0,
+      maxElapsedTime: Infinity,
+    },
+    policy
+  );
+
+  const start = Date.now();
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await callable(...args);
+    } catch (e) {
+      attempt += 1;
+      if (attempt > policy.retries) throw e;
+      if (policy.shouldRetry && !(await policy.shouldRetry(e, attempt))) {
+        throw e;
+      }
+
+      const delay = getRetryDelay(policy, attempt);
+      if (Date.now() - start + delay > policy.maxElapsedTime) throw e;
+      if (policy.onRetry) policy.onRetry(e, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
 /**
  * 函数失败重试 <br/>
+ * 第二个参数可以传入重试策略对象（{@link module:Utils~RetryPolicy}），支持指数退避、随机抖动、最长总耗时，
+ * 以及通过 shouldRetry 区分可重试的错误和不可重试的错误，此时第三个参数开始为传递给callable的参数，
+ * 全部失败后会抛出最后一次的原始错误
  * @static
  * @param {Function} callable 要执行的函数。如果函数抛出异常则进行重试，
  * 支持函数返回Promise，如果返回的Promise被reject则进行重试
- * @param {number} retryTimes 重试次数
+ * @param {number | module:Utils~RetryPolicy} retryTimes 重试次数，或者重试策略
  * @param {number} retryDelay 重试延时，单位毫秒，默认300ms
  * @param {...*} args 传递给callable的参数
  *
@@ -45,8 +119,28 @@ function sleep(time) {
  *   // 当updateFormData失败时，等待500毫秒再次调用updateFormData，最多重试5次
  *   retrey(() => updateFormData(), 5, 500, { field_123: "value" })
  * }
+ *
+ * @example
+ * // 指数退避：依次等待 500、1000、2000、4000 毫秒（加上随机抖动），只重试限流错误，总耗时不超过10秒
+ * await retry(() => updateFormData(formData), {
+ *   retries: 4,
+ *   delay: 500,
+ *   factor: 2,
+ *   jitter: 0.5,
+ *   maxElapsedTime: 10000,
+ *   shouldRetry: (e) => e instanceof RateLimitError,
+ *   onRetry: (e, attempt, delay) => console.log(`第${attempt}次失败，${delay}毫秒后重试`),
+ * });
  */
 async function retry(callable, retryTimes = 3, retryDelay = 300, ...args) {
+  if (retryTimes !== null && typeof retryTimes === "object") {
+    return retryWithPolicy(
+      callable,
+      retryTimes,
+      Array.prototype.slice.call(arguments, 2)
+    );
+  }
+
   let times = 0;
   let result;
   let error;
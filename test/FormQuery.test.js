@@ -0,0 +1,222 @@
+import { query } from "../src/FormQuery";
+import { createMockContext } from "../src/mock-context";
+
+function createContext() {
+  return createMockContext({
+    forms: {
+      "FORM-a": [
+        {
+          textField_name: "张三",
+          numberField_age: 30,
+          dateField_join: new Date("2024-01-10").getTime(),
+          selectField_level: "P5",
+          employeeField_leader_id: ["001"],
+        },
+        {
+          textField_name: "张三丰",
+          numberField_age: 90,
+          dateField_join: new Date("2024-03-01").getTime(),
+          selectField_level: "P7",
+          employeeField_leader_id: ["002"],
+        },
+        {
+          textField_name: "李四",
+          numberField_age: 25,
+          dateField_join: new Date("2024-01-20").getTime(),
+          selectField_level: "P6",
+          employeeField_leader_id: ["001"],
+        },
+      ],
+    },
+    processes: {
+      "FORM-p": [
+        { textField_name: "张三", instanceStatus: "COMPLETED" },
+        { textField_name: "张三" },
+      ],
+    },
+  });
+}
+
+describe("FormQuery", () => {
+  test("build search json per field type", () => {
+    const start = new Date("2024-01-01");
+    const { searchFieldObject, options, currentPage, pageSize } = query(
+      null,
+      "FORM-a"
+    )
+      .where("textField_name", "张三")
+      .where("numberField_age", 30)
+      .where("employeeField_leader", { value: "001", label: "王五" })
+      .where("checkboxField_tags", "a")
+      .where("selectField_level", undefined)
+      .between("dateField_join", start, null)
+      .orderBy("numberField_age", "desc")
+      .orderBy("dateField_join")
+      .page(2, 50)
+      .build();
+
+    expect(searchFieldObject).toEqual({
+      textField_name: "张三",
+      numberField_age: [30, 30],
+      employeeField_leader: ["001"],
+      checkboxField_tags: ["a"],
+      dateField_join: [start.getTime(), ""],
+    });
+    expect(options).toEqual({
+      dynamicOrder: { numberField_age: "-", dateField_join: "+" },
+      strictQuery: ["textField_name"],
+    });
+    expect(currentPage).toBe(2);
+    expect(pageSize).toBe(50);
+  });
+
+  test("invalid usage", () => {
+    const q = query(null, "FORM-a");
+    expect(() => q.between("textField_name", 1, 2)).toThrow();
+    expect(() => q.whereIn("numberField_age", [1])).toThrow();
+    expect(() => q.like("selectField_level", "P")).toThrow();
+    expect(() => q.status("COMPLETED")).toThrow();
+    expect(() => q.orderBy("numberField_age", "up")).toThrow();
+  });
+
+  test("where on text field is exact", async () => {
+    const context = createContext();
+    const exact = await query(context, "FORM-a")
+      .where("textField_name", "张三")
+      .fetchAll();
+    expect(exact).toHaveLength(1);
+
+    const fuzzy = await query(context, "FORM-a")
+      .like("textField_name", "张三")
+      .fetchAll();
+    expect(fuzzy).toHaveLength(2);
+  });
+
+  test("exact text matches are counted before paging", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-k": [
+          { textField_k: "A" },
+          { textField_k: "AB" },
+          { textField_k: "ABC" },
+        ],
+      },
+    });
+    const { totalCount, formDatas } = await query(context, "FORM-k")
+      .where("textField_k", "A")
+      .page(1, 2)
+      .fetch();
+    expect(totalCount).toBe(1);
+    expect(formDatas).toEqual([expect.objectContaining({ textField_k: "A" })]);
+
+    const { options } = query(context, "FORM-k")
+      .where("textField_k", "A")
+      .like("textField_k", "AB")
+      .build();
+    expect(options.strictQuery).toBeUndefined();
+  });
+
+  test("exact text paging stops scanning once the page is filled", async () => {
+    const rows = [];
+    for (let i = 0; i < 250; i++) {
+      rows.push({ textField_k: i % 2 ? "AB" : "A", numberField_i: i });
+    }
+    const context = createMockContext({ forms: { "FORM-k": rows } });
+    const countSearches = () => context.mock.requests.length;
+
+    const first = await query(context, "FORM-k")
+      .where("textField_k", "A")
+      .page(1, 10)
+      .fetch();
+    expect(first.formDatas.map((item) => item.numberField_i)).toEqual([
+      0, 2, 4, 6, 8, 10, 12, 14, 16, 18,
+    ]);
+    // 只扫描了第一页，总数为模糊匹配的总数
+    expect(countSearches()).toBe(1);
+    expect(first.totalCount).toBe(250);
+
+    const last = await query(context, "FORM-k")
+      .where("textField_k", "A")
+      .page(13, 10)
+      .fetch();
+    expect(last.formDatas.map((item) => item.numberField_i)).toEqual([
+      240, 242, 244, 246, 248,
+    ]);
+    expect(last.actualPageSize).toBe(5);
+    expect(last.totalCount).toBe(125);
+    expect(countSearches()).toBe(4);
+  });
+
+  test("request params sent to the platform", async () => {
+    // 不经过 createMockContext，宜搭接口只做模糊匹配，也不认识 strictQuery
+    const load = jest.fn(async () => ({
+      currentPage: 1,
+      totalCount: 2,
+      data: [
+        { formInstId: "FINST-1", formData: { textField_k: "A" } },
+        { formInstId: "FINST-2", formData: { textField_k: "AB" } },
+      ],
+    }));
+    const context = { dataSourceMap: { searchFormDatas: { load } } };
+
+    const formDatas = await query(context, "FORM-k")
+      .where("textField_k", "A")
+      .orderBy("textField_k", "desc")
+      .fetchAll();
+    expect(formDatas.map((item) => item.instanceId)).toEqual(["FINST-1"]);
+    expect(load).toHaveBeenCalledWith({
+      formUuid: "FORM-k",
+      searchFieldJson: JSON.stringify({ textField_k: "A" }),
+      currentPage: 1,
+      pageSize: 100,
+      dynamicOrder: JSON.stringify({ textField_k: "-" }),
+    });
+  });
+
+  test("first stops at the first page with a match", async () => {
+    const context = createContext();
+    const formData = await query(context, "FORM-a")
+      .like("textField_name", "张")
+      .page(1, 1)
+      .first();
+    expect(formData.textField_name).toMatch("张三");
+    expect(context.mock.requests).toHaveLength(1);
+
+    const missing = await query(context, "FORM-a")
+      .where("textField_name", "王五")
+      .first();
+    expect(missing).toBeUndefined();
+  });
+
+  test("range, in and order", async () => {
+    const context = createContext();
+    const formDatas = await query(context, "FORM-a")
+      .between("dateField_join", new Date("2024-01-01"), new Date("2024-02-01"))
+      .whereIn("selectField_level", ["P5", "P6", "P7"])
+      .where("employeeField_leader", "001")
+      .orderBy("numberField_age")
+      .fetchAll();
+    expect(formDatas.map((item) => item.textField_name)).toEqual([
+      "李四",
+      "张三",
+    ]);
+
+    const { totalCount, formDatas: page } = await query(context, "FORM-a")
+      .gte("numberField_age", 26)
+      .orderBy("numberField_age", "desc")
+      .page(2, 1)
+      .fetch();
+    expect(totalCount).toBe(2);
+    expect(page[0].textField_name).toBe("张三");
+  });
+
+  test("process query", async () => {
+    const context = createContext();
+    const ids = await query(context, "FORM-p", "process")
+      .where("textField_name", "张三")
+      .status("COMPLETED")
+      .fetchAllIds();
+    expect(ids).toHaveLength(1);
+    expect(context.mock.requests[0].name).toBe("getInstanceIds");
+  });
+});
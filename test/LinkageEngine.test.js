@@ -0,0 +1,311 @@
+import { createMockContext } from "../src/mock-context";
+import { LinkageEngine } from "../src/LinkageEngine";
+import { ValidationError } from "../src/errors";
+import { sleep } from "../src/utils";
+import { countSearches } from "./platform";
+
+function createContext(fields) {
+  return createMockContext({
+    forms: {
+      "FORM-emp": [
+        { textField_name: "张三", textField_dept: "研发部" },
+        { textField_name: "王五", textField_dept: "市场部" },
+      ],
+      "FORM-dept": [
+        { textField_name: "研发部", textField_leader: "李四" },
+        { textField_name: "市场部", textField_leader: "赵六" },
+      ],
+      "FORM-goods": [
+        { textField_name: "键盘", numberField_price: 100 },
+        { textField_name: "鼠标", numberField_price: 50 },
+      ],
+    },
+    fields,
+  });
+}
+
+const deptRule = {
+  name: "dept",
+  targetFormUuid: "FORM-emp",
+  conditionMap: [{ from: "textField_proposer", to: "textField_name" }],
+  fieldMappings: [{ from: "textField_dept", to: "textField_dept" }],
+};
+const leaderRule = {
+  name: "leader",
+  targetFormUuid: "FORM-dept",
+  conditionMap: [{ from: "textField_dept", to: "textField_name" }],
+  fieldMappings: [{ from: "textField_leader", to: "textField_leader" }],
+};
+
+describe("linkage engine", () => {
+  test("chained linkages", async () => {
+    const context = createContext({
+      textField_proposer: "",
+      textField_dept: "",
+      textField_leader: "",
+    });
+    const engine = new LinkageEngine(context, { wait: 0 })
+      .addRule(deptRule)
+      .addRule(leaderRule)
+      .start();
+    expect(countSearches(context)).toBe(0);
+
+    context.$("textField_proposer").setValue("王五");
+    await engine.flush();
+    expect(context.$("textField_dept").getValue()).toBe("市场部");
+    expect(context.$("textField_leader").getValue()).toBe("赵六");
+    expect(countSearches(context)).toBe(2);
+
+    // 条件值没有变化时不会重复联动
+    engine.notify("textField_proposer");
+    await engine.flush();
+    expect(countSearches(context)).toBe(2);
+
+    engine.stop();
+    context.$("textField_proposer").setValue("张三");
+    await engine.flush();
+    expect(context.$("textField_dept").getValue()).toBe("市场部");
+  });
+
+  test("notify from onChange when setValue is not called", async () => {
+    const context = createContext({
+      textField_proposer: "",
+      textField_dept: "",
+      textField_leader: "",
+    });
+    const engine = new LinkageEngine(context, { wait: 0 })
+      .addRule(deptRule)
+      .addRule(leaderRule)
+      .start();
+
+    context.$("textField_proposer").getProps().onChange({ value: "王五" });
+    await engine.flush();
+    expect(countSearches(context)).toBe(0);
+
+    engine.notify("textField_proposer");
+    await engine.flush();
+    expect(context.$("textField_dept").getValue()).toBe("市场部");
+    expect(context.$("textField_leader").getValue()).toBe("赵六");
+  });
+
+  test("drop stale results of the same row", async () => {
+    const context = createContext({
+      textField_goods: "",
+      numberField_price: null,
+    });
+    const load = context.dataSourceMap.searchFormDatas.load;
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    context.dataSourceMap.searchFormDatas.load = async (params) => {
+      const response = await load(params);
+      if (params.searchFieldJson.includes("键盘")) await gate;
+      return response;
+    };
+    const onError = jest.fn();
+    const engine = new LinkageEngine(context, { wait: 0, onError })
+      .addRule({
+        targetFormUuid: "FORM-goods",
+        conditionMap: [{ from: "textField_goods", to: "textField_name" }],
+        fieldMappings: [{ from: "numberField_price", to: "numberField_price" }],
+      })
+      .start();
+
+    context.$("textField_goods").setValue("键盘");
+    await sleep(10);
+    context.$("textField_goods").setValue("鼠标");
+    await sleep(10);
+    expect(context.$("numberField_price").getValue()).toBe(50);
+
+    release();
+    await engine.flush();
+    expect(context.$("numberField_price").getValue()).toBe(50);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test("debounce changes", async () => {
+    jest.useFakeTimers();
+    try {
+      const context = createContext({
+        textField_proposer: "",
+        textField_dept: "",
+      });
+      const engine = new LinkageEngine(context).addRule(deptRule).start();
+
+      context.$("textField_proposer").setValue("王");
+      context.$("textField_proposer").setValue("王五");
+      jest.advanceTimersByTime(299);
+      context.$("textField_proposer").setValue("张三");
+      jest.advanceTimersByTime(299);
+      expect(countSearches(context)).toBe(0);
+
+      jest.advanceTimersByTime(1);
+      await engine.flush();
+      expect(countSearches(context)).toBe(1);
+      expect(context.$("textField_dept").getValue()).toBe("研发部");
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("subform rows", async () => {
+    const context = createContext({
+      tableField_items: [
+        { textField_goods: "键盘", numberField_price: 100 },
+        { textField_goods: "", numberField_price: null },
+      ],
+    });
+    const engine = new LinkageEngine(context, { wait: 0 })
+      .addRule({
+        targetFormUuid: "FORM-goods",
+        tableFieldId: "tableField_items",
+        conditionMap: [
+          { from: "textField_goods", to: "textField_name", isSubform: true },
+        ],
+        fieldMappings: [{ from: "numberField_price", to: "numberField_price" }],
+      })
+      .start();
+
+    const subform = context.$("tableField_items");
+    subform.updateItemValue(subform.getItems()[1], { textField_goods: "鼠标" });
+    await engine.flush();
+    expect(countSearches(context)).toBe(0);
+
+    engine.notify("tableField_items");
+    await engine.flush();
+
+    expect(subform.getValue()).toEqual([
+      { textField_goods: "键盘", numberField_price: 100 },
+      { textField_goods: "鼠标", numberField_price: 50 },
+    ]);
+    expect(countSearches(context)).toBe(1);
+  });
+
+  test("constant conditions and pick", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-price": [
+          {
+            textField_goods: "键盘",
+            selectField_status: "启用",
+            numberField_price: 100,
+            gmtModified: 1,
+          },
+          {
+            textField_goods: "键盘",
+            selectField_status: "启用",
+            numberField_price: 90,
+            gmtModified: 2,
+          },
+          {
+            textField_goods: "键盘",
+            selectField_status: "停用",
+            numberField_price: 80,
+            gmtModified: 3,
+          },
+        ],
+      },
+      fields: { textField_goods: "", numberField_price: null },
+    });
+    const engine = new LinkageEngine(context, { wait: 0 })
+      .addRule({
+        targetFormUuid: "FORM-price",
+        conditionMap: [
+          { from: "textField_goods", to: "textField_goods" },
+          { to: "selectField_status", value: "启用" },
+        ],
+        fieldMappings: [{ from: "numberField_price", to: "numberField_price" }],
+        pick: "latest",
+      })
+      .start();
+
+    context.$("textField_goods").setValue("键盘");
+    await engine.flush();
+    expect(context.$("numberField_price").getValue()).toBe(90);
+  });
+
+  test("errors are reported", async () => {
+    const context = createContext({
+      textField_proposer: "",
+      textField_dept: "",
+    });
+    context.mock.addDataSource("searchFormDatas", () => {
+      throw Error("boom");
+    });
+    const onError = jest.fn();
+    const engine = new LinkageEngine(context, { wait: 0, onError })
+      .addRule(deptRule)
+      .start();
+
+    context.$("textField_proposer").setValue("张三");
+    await engine.flush();
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toMatch("boom");
+    expect(onError.mock.calls[0][1].name).toBe("dept");
+  });
+
+  test("rerun a failed linkage when notified again", async () => {
+    const context = createContext({
+      textField_proposer: "",
+      textField_dept: "",
+    });
+    const load = context.dataSourceMap.searchFormDatas.load;
+    let fail = true;
+    context.dataSourceMap.searchFormDatas.load = async (params) => {
+      if (fail) throw Error("boom");
+      return load(params);
+    };
+    const onError = jest.fn();
+    const engine = new LinkageEngine(context, { wait: 0, onError })
+      .addRule(deptRule)
+      .start();
+
+    context.$("textField_proposer").setValue("张三");
+    await engine.flush();
+    expect(onError).toHaveBeenCalledTimes(1);
+
+    fail = false;
+    engine.notify("textField_proposer");
+    await engine.flush();
+    expect(context.$("textField_dept").getValue()).toBe("研发部");
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  test("detect cycles and invalid rules", () => {
+    const context = createContext({});
+    const engine = new LinkageEngine(context)
+      .addRule(deptRule)
+      .addRule(leaderRule);
+
+    expect(() =>
+      engine.addRule({
+        name: "proposer",
+        targetFormUuid: "FORM-dept",
+        conditionMap: [{ from: "textField_leader", to: "textField_leader" }],
+        fieldMappings: [{ from: "textField_name", to: "textField_proposer" }],
+      })
+    ).toThrow(
+      "Linkage rules contain a cycle: dept -> leader -> proposer -> dept"
+    );
+    expect(engine.rules).toHaveLength(2);
+
+    expect(() =>
+      engine.addRule({
+        targetFormUuid: "FORM-dept",
+        conditionMap: [{ from: "textField_a", to: "textField_name" }],
+        fieldMappings: [{ from: "textField_leader", to: "textField_a" }],
+      })
+    ).toThrow("Linkage rules contain a cycle: rule3 -> rule3");
+    expect(() =>
+      engine.addRule({
+        targetFormUuid: "FORM-goods",
+        conditionMap: [
+          { from: "textField_goods", to: "textField_name", isSubform: true },
+        ],
+        fieldMappings: [{ from: "numberField_price", to: "numberField_price" }],
+      })
+    ).toThrow(ValidationError);
+    expect(() => engine.addRule({ targetFormUuid: "FORM-dept" })).toThrow(
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,53 @@
+import { RateLimiter } from "../src/RateLimiter";
+import { BatchTaskRunner } from "../src/BatchTaskRunner";
+
+describe("RateLimiter", () => {
+  test("allow burst then queue in order", async () => {
+    const limiter = new RateLimiter({ rate: 2, interval: 100 });
+    const start = Date.now();
+    const order = [];
+    await Promise.all(
+      [1, 2, 3, 4].map((index) =>
+        limiter.acquire().then(() => order.push(index))
+      )
+    );
+    expect(order).toEqual([1, 2, 3, 4]);
+    // 前2个立即通过，后2个各等待50毫秒
+    expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+    expect(limiter.pending).toBe(0);
+  });
+
+  test("try acquire", () => {
+    const limiter = new RateLimiter({ rate: 1, burst: 2 });
+    expect(limiter.tryAcquire()).toBe(true);
+    expect(limiter.tryAcquire()).toBe(true);
+    expect(limiter.tryAcquire()).toBe(false);
+  });
+
+  test("abort waiting", async () => {
+    const limiter = new RateLimiter({ rate: 1, interval: 1000 });
+    await limiter.acquire();
+    const controller = new AbortController();
+    const waiting = limiter.acquire(controller.signal);
+    expect(limiter.pending).toBe(1);
+    controller.abort();
+    await expect(waiting).rejects.toBeDefined();
+    expect(limiter.pending).toBe(0);
+  });
+
+  test("limit BatchTaskRunner tasks", async () => {
+    const limiter = new RateLimiter({ rate: 1, interval: 20 });
+    const times = [];
+    function* taskProvider() {
+      for (let i = 0; i < 4; i++) {
+        yield async () => times.push(Date.now());
+      }
+    }
+
+    await new BatchTaskRunner(taskProvider(), 4, {
+      rateLimiter: limiter,
+    }).start();
+    expect(times).toHaveLength(4);
+    expect(times[3] - times[0]).toBeGreaterThanOrEqual(55);
+  });
+});
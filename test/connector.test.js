@@ -0,0 +1,177 @@
+import { createMockContext } from "../src/mock-context";
+import {
+  registerConnector,
+  unregisterConnector,
+  getRegisteredConnectors,
+  mockConnector,
+  clearConnectorMocks,
+  unwrapConnectorResponse,
+  callConnector,
+} from "../src/connector";
+import {
+  ValidationError,
+  RemoteError,
+  RateLimitError,
+  TimeoutError,
+} from "../src/errors";
+
+const deptsResponse = {
+  status: 200,
+  headers: {},
+  body: JSON.stringify({
+    errcode: 0,
+    result: [{ dept_id: 2, name: "研发部" }],
+  }),
+};
+
+afterEach(() => {
+  unregisterConnector();
+  clearConnectorMocks();
+});
+
+describe("connector", () => {
+  test("unwrap common envelopes", () => {
+    expect(unwrapConnectorResponse(deptsResponse)).toEqual({
+      errcode: 0,
+      result: [{ dept_id: 2, name: "研发部" }],
+    });
+    expect(unwrapConnectorResponse({ serviceReturnValue: '{"a":1}' })).toEqual({
+      a: 1,
+    });
+    expect(unwrapConnectorResponse("plain text")).toBe("plain text");
+    expect(unwrapConnectorResponse([1, 2])).toEqual([1, 2]);
+
+    expect(() =>
+      unwrapConnectorResponse({ statusCode: "500", body: '{"message":"boom"}' })
+    ).toThrow("HTTP 500：boom");
+    expect(() => unwrapConnectorResponse({ status: 429, body: "" })).toThrow(
+      RateLimitError
+    );
+
+    const error = (() => {
+      try {
+        unwrapConnectorResponse(
+          { errcode: 60011, errmsg: "无权限" },
+          "subDepts"
+        );
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(error).toBeInstanceOf(RemoteError);
+    expect(error.code).toBe(60011);
+    expect(error.dataSourceName).toBe("subDepts");
+    expect(() =>
+      unwrapConnectorResponse({ success: false, errorMsg: "失败" })
+    ).toThrow("失败");
+  });
+
+  test("call registered connector through data source", async () => {
+    const context = createMockContext({
+      dataSources: { dingSubDepts: () => deptsResponse },
+    });
+    registerConnector("subDepts", {
+      dataSourceName: "dingSubDepts",
+      input: {
+        type: "object",
+        required: ["Body"],
+        properties: {
+          Body: {
+            type: "object",
+            properties: { dept_id: { type: "integer" } },
+          },
+        },
+      },
+      output: {
+        type: "object",
+        properties: {
+          result: {
+            type: "array",
+            items: { type: "object", required: ["dept_id", "name"] },
+          },
+        },
+      },
+      transform: (data) => data.result,
+    });
+    expect(Object.keys(getRegisteredConnectors())).toEqual(["subDepts"]);
+
+    const params = { Body: { dept_id: 1 } };
+    expect(await callConnector(context, "subDepts", params)).toEqual([
+      { dept_id: 2, name: "研发部" },
+    ]);
+    expect(context.mock.requests).toEqual([
+      { name: "dingSubDepts", params: { inputs: JSON.stringify(params) } },
+    ]);
+
+    await expect(
+      callConnector(context, "subDepts", { Body: { dept_id: "1" } })
+    ).rejects.toThrow("params.Body.dept_id should be integer, got string");
+    await expect(callConnector(context, "subDepts", {})).rejects.toThrow(
+      ValidationError
+    );
+    expect(context.mock.requests).toHaveLength(1);
+  });
+
+  test("invalid response", async () => {
+    const context = createMockContext();
+    registerConnector("subDepts", {
+      output: (data) => Array.isArray(data.result) || "result is missing",
+    });
+    mockConnector("subDepts", { status: 200, body: "{}" });
+
+    const error = await callConnector(context, "subDepts").catch((e) => e);
+    expect(error).toBeInstanceOf(RemoteError);
+    expect(error.code).toBe("INVALID_RESPONSE");
+    expect(error.message).toMatch("result is missing");
+    expect(error.response).toEqual({ status: 200, body: "{}" });
+  });
+
+  test("timeout and abort", async () => {
+    jest.useFakeTimers();
+    try {
+      const context = createMockContext();
+      registerConnector("slow", { timeout: 1000 });
+      mockConnector("slow", () => new Promise(() => {}));
+
+      const pending = callConnector(context, "slow").catch((e) => e);
+      jest.advanceTimersByTime(1000);
+      const error = await pending;
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.timeout).toBe(1000);
+
+      const controller = new AbortController();
+      const aborted = callConnector(
+        context,
+        "slow",
+        {},
+        {
+          timeout: 0,
+          signal: controller.signal,
+        }
+      ).catch((e) => e);
+      controller.abort();
+      expect(await aborted).toBe(controller.signal.reason);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("mock handler errors are converted", async () => {
+    const context = createMockContext();
+    mockConnector("sms", (params) => {
+      if (!params.phone) throw Error("phone is required");
+      return { success: true, data: params.phone };
+    });
+
+    expect(await callConnector(context, "sms", { phone: "1" })).toEqual({
+      success: true,
+      data: "1",
+    });
+    const error = await callConnector(context, "sms").catch((e) => e);
+    expect(error).toBeInstanceOf(RemoteError);
+    expect(error.dataSourceName).toBe("sms");
+
+    clearConnectorMocks("sms");
+    await expect(callConnector(context, "sms")).rejects.toThrow("数据源不存在");
+  });
+});
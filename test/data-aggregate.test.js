@@ -0,0 +1,150 @@
+import { createMockContext } from "../src/mock-context";
+import { aggregate, aggregateQuery } from "../src/data-aggregate";
+import { query } from "../src/FormQuery";
+import { ValidationError } from "../src/errors";
+
+const formDatas = [
+  {
+    employeeField_sales: ["张三"],
+    employeeField_sales_id: ["u1"],
+    dateField_sign: new Date(2024, 0, 5).getTime(),
+    numberField_amount: 100,
+    selectField_customer: "甲",
+    checkboxField_tags: ["新客", "大单"],
+  },
+  {
+    employeeField_sales: ["张三"],
+    employeeField_sales_id: ["u1"],
+    dateField_sign: new Date(2024, 0, 20).getTime(),
+    numberField_amount: 200,
+    selectField_customer: "甲",
+    checkboxField_tags: ["大单"],
+  },
+  {
+    employeeField_sales: [{ name: "李四", value: "u2" }],
+    dateField_sign: new Date(2024, 1, 1).getTime(),
+    numberField_amount: 50,
+    selectField_customer: "乙",
+  },
+  {
+    employeeField_sales: ["张三"],
+    employeeField_sales_id: ["u1"],
+    dateField_sign: new Date(2024, 1, 3).getTime(),
+    selectField_customer: "丙",
+  },
+];
+
+describe("aggregate", () => {
+  test("group by employee and month", () => {
+    const rows = aggregate(formDatas, {
+      groupBy: [
+        "employeeField_sales",
+        { field: "dateField_sign", as: "month", format: "YYYY-MM" },
+      ],
+      metrics: [
+        { op: "count", as: "orders" },
+        { op: "sum", field: "numberField_amount", as: "amount" },
+        { op: "avg", field: "numberField_amount", as: "avg", digits: 1 },
+        { op: "distinct", field: "selectField_customer" },
+      ],
+    });
+    expect(rows).toEqual([
+      {
+        employeeField_sales: "张三",
+        employeeField_sales_id: "u1",
+        month: "2024-01",
+        orders: 2,
+        amount: 300,
+        avg: 150,
+        distinct_selectField_customer: 1,
+      },
+      {
+        employeeField_sales: "李四",
+        employeeField_sales_id: "u2",
+        month: "2024-02",
+        orders: 1,
+        amount: 50,
+        avg: 50,
+        distinct_selectField_customer: 1,
+      },
+      {
+        employeeField_sales: "张三",
+        employeeField_sales_id: "u1",
+        month: "2024-02",
+        orders: 1,
+        amount: 0,
+        avg: null,
+        distinct_selectField_customer: 1,
+      },
+    ]);
+  });
+
+  test("total row and multi-valued fields", () => {
+    expect(
+      aggregate(formDatas, {
+        metrics: [
+          { op: "count" },
+          { op: "count", field: "numberField_amount" },
+          { op: "min", field: "dateField_sign", as: "first" },
+          { op: "max", field: "numberField_amount" },
+          { op: "distinct", field: "employeeField_sales", as: "sales" },
+        ],
+      })
+    ).toEqual([
+      {
+        count: 4,
+        count_numberField_amount: 3,
+        first: formDatas[0].dateField_sign,
+        max_numberField_amount: 200,
+        sales: 2,
+      },
+    ]);
+
+    const byTag = aggregate(formDatas, { groupBy: "checkboxField_tags" });
+    expect(byTag).toEqual([
+      { checkboxField_tags: "新客", count: 1 },
+      { checkboxField_tags: "大单", count: 2 },
+      { checkboxField_tags: null, count: 2 },
+    ]);
+    const byTags = aggregate(formDatas, {
+      groupBy: { field: "checkboxField_tags", explode: false },
+    });
+    expect(byTags[0]).toEqual({
+      checkboxField_tags: ["新客", "大单"],
+      count: 1,
+    });
+  });
+
+  test("validate ops against field types", () => {
+    expect(() =>
+      aggregate(formDatas, {
+        metrics: [{ op: "sum", field: "selectField_customer" }],
+      })
+    ).toThrow(ValidationError);
+    expect(() =>
+      aggregate(formDatas, { metrics: [{ op: "median", field: "a" }] })
+    ).toThrow("Unknown aggregate op: median");
+  });
+
+  test("aggregate query", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-a": formDatas.map((item) => ({
+          selectField_customer: item.selectField_customer,
+          numberField_amount: item.numberField_amount,
+        })),
+      },
+    });
+    const rows = await aggregateQuery(
+      query(context, "FORM-a").whereIn("selectField_customer", ["甲", "乙"]),
+      {
+        groupBy: "selectField_customer",
+        metrics: [{ op: "sum", field: "numberField_amount", as: "amount" }],
+      }
+    );
+    expect(rows).toEqual([
+      { selectField_customer: "甲", amount: 300 },
+      { selectField_customer: "乙", amount: 50 },
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+import { createMockContext } from "../src/mock-context";
+import {
+  batchSaveFormData,
+  batchUpdateFormData,
+  batchDeleteFormData,
+} from "../src/data-batch";
+
+function createContext() {
+  return createMockContext({
+    forms: {
+      "FORM-a": [
+        { instanceId: "FINST-1", numberField_a: 1 },
+        { instanceId: "FINST-2", numberField_a: 2 },
+        { instanceId: "FINST-3", numberField_a: 3 },
+      ],
+    },
+  });
+}
+
+// 让指定数据源的前 times 次请求失败
+function failTimes(context, name, times, predicate) {
+  const load = context.dataSourceMap[name].load;
+  let failures = 0;
+  context.dataSourceMap[name].load = async (params) => {
+    if (failures < times && (!predicate || predicate(params))) {
+      failures += 1;
+      throw Error(`${name} failed`);
+    }
+    return load(params);
+  };
+}
+
+describe("batch write", () => {
+  test("save with per item report", async () => {
+    const context = createContext();
+    failTimes(context, "saveFormData", 1, (params) =>
+      params.formDataJson.includes('"numberField_a":5')
+    );
+
+    const progress = [];
+    const report = await batchSaveFormData(
+      context,
+      "FORM-a",
+      [4, 5, 6].map((value) => ({ numberField_a: value })),
+      { concurrency: 2, onProgress: (item) => progress.push(item) }
+    );
+    expect(report.total).toBe(3);
+    expect(report.succeeded.map((item) => item.index)).toEqual([0, 2]);
+    expect(
+      context.mock.store.get(report.succeeded[1].instanceId).formData
+    ).toEqual({ numberField_a: 6 });
+    expect(report.failed).toHaveLength(1);
+    expect(report.failed[0].index).toBe(1);
+    expect(report.failed[0].item).toEqual({ numberField_a: 5 });
+    expect(report.failed[0].error.message).toBe("saveFormData failed");
+    expect(progress).toHaveLength(2);
+    expect(progress[1]).toEqual({
+      total: 3,
+      succeeded: 2,
+      failed: 1,
+      round: 0,
+    });
+  });
+
+  test("retry failed items", async () => {
+    const context = createContext();
+    failTimes(context, "updateFormData", 2);
+
+    const report = await batchUpdateFormData(
+      context,
+      "form",
+      [
+        { instanceId: "FINST-1", formData: { numberField_a: 10 } },
+        { instanceId: "FINST-2", formData: { numberField_a: 20 } },
+        { formData: { numberField_a: 30 } },
+      ],
+      { retryFailed: 2, retryDelay: 1 }
+    );
+    expect(report.succeeded).toEqual([
+      { index: 0, instanceId: "FINST-1" },
+      { index: 1, instanceId: "FINST-2" },
+    ]);
+    expect(report.failed).toHaveLength(1);
+    expect(report.failed[0].error.message).toBe("instanceId is required");
+    expect(context.mock.store.get("FINST-2").formData.numberField_a).toBe(20);
+  });
+
+  test("delete with rate limit and abort", async () => {
+    const context = createContext();
+    const controller = new AbortController();
+    const report = await batchDeleteFormData(
+      context,
+      ["FINST-1", "FINST-2", "FINST-3"],
+      {
+        concurrency: 1,
+        rateLimit: 100,
+        signal: controller.signal,
+        onProgress: ({ succeeded }) => {
+          if (succeeded === 2) controller.abort();
+        },
+      }
+    );
+    expect(report.succeeded.map((item) => item.instanceId)).toEqual([
+      "FINST-1",
+      "FINST-2",
+    ]);
+    expect(report.failed.map((item) => item.item)).toEqual(["FINST-3"]);
+    expect(context.mock.store.find("FINST-3")).toBeDefined();
+  });
+});
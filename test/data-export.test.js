@@ -0,0 +1,93 @@
+import { toCSV, toSpreadsheetML, exportFormDatas } from "../src/data-export";
+import { ValidationError } from "../src/errors";
+
+const formDatas = [
+  {
+    instanceId: "FINST-1",
+    textField_name: '螺丝, "M3"',
+    numberField_amount: 12.5,
+    employeeField_owner: ["张三", "李四"],
+    cascadeDateField_period: {
+      start: new Date(2024, 0, 1).getTime(),
+      end: new Date(2024, 0, 31).getTime(),
+    },
+    departmentSelectField_dept: [{ text: { zh_CN: "研发部" }, value: "d1" }],
+  },
+  { instanceId: "FINST-2", textField_name: "垫片\n不锈钢" },
+];
+
+const columns = [
+  { field: "instanceId", header: "实例ID" },
+  { field: "textField_name", header: "名称" },
+  { field: "numberField_amount", header: "金额" },
+  { field: "employeeField_owner", header: "负责人" },
+  { field: "cascadeDateField_period", header: "周期" },
+  {
+    field: "departmentSelectField_dept",
+    header: "部门",
+    formatter: (value) => (value ? value.length : 0),
+  },
+];
+
+describe("data export", () => {
+  test("csv with BOM and escaping", () => {
+    const csv = toCSV(formDatas, columns);
+    expect(csv.charCodeAt(0)).toBe(0xfeff);
+    expect(csv.slice(1).split("\r\n")).toEqual([
+      "实例ID,名称,金额,负责人,周期,部门",
+      'FINST-1,"螺丝, ""M3""",12.5,"[张三,李四]",2024-01-01至2024-01-31,1',
+      'FINST-2,"垫片\n不锈钢",,,,0',
+    ]);
+    expect(
+      toCSV(formDatas, ["instanceId"], { bom: false, delimiter: ";" })
+    ).toBe("instanceId\r\nFINST-1\r\nFINST-2");
+  });
+
+  test("csv neutralizes formulas", () => {
+    const csv = toCSV(
+      [
+        { textField_name: '=HYPERLINK("http://x")', numberField_amount: -5 },
+        { textField_name: "@SUM(A1)", numberField_amount: "" },
+        { textField_name: "+1", numberField_amount: 3 },
+        { textField_name: "-1", numberField_amount: 3 },
+      ],
+      ["textField_name", "numberField_amount"],
+      { bom: false }
+    );
+    expect(csv.split("\r\n")).toEqual([
+      "textField_name,numberField_amount",
+      `"'=HYPERLINK(""http://x"")",-5`,
+      "'@SUM(A1),",
+      "'+1,3",
+      "'-1,3",
+    ]);
+  });
+
+  test("spreadsheetML keeps number cells", () => {
+    const xml = toSpreadsheetML(formDatas, columns, { sheetName: "库存" });
+    expect(xml).toContain('<Worksheet ss:Name="库存">');
+    expect(xml).toContain('<Data ss:Type="Number">12.5</Data>');
+    expect(xml).toContain('<Data ss:Type="String">螺丝, &quot;M3&quot;</Data>');
+    expect(xml).toContain('<Data ss:Type="String">垫片&#10;不锈钢</Data>');
+  });
+
+  test("download by file extension", () => {
+    const createObjectURL = jest.fn(() => "blob:mock");
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = jest.fn();
+    const click = jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+
+    exportFormDatas(formDatas, columns, "库存.csv");
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe("text/csv;charset=utf-8");
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(click.mock.instances[0].download).toBe("库存.csv");
+
+    expect(() => exportFormDatas(formDatas, columns, "库存.pdf")).toThrow(
+      ValidationError
+    );
+    click.mockRestore();
+  });
+});
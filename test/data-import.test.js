@@ -0,0 +1,310 @@
+import { Buffer } from "buffer";
+import { createMockContext } from "../src/mock-context";
+import {
+  parseCSV,
+  parseXLSX,
+  readSheetFile,
+  importFormDatas,
+} from "../src/data-import";
+import { toCSV } from "../src/data-export";
+import { ValidationError } from "../src/errors";
+
+// 生成不压缩的zip文件
+function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name, "utf8");
+    const data = Buffer.from(content, "utf8");
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, item) => sum + item.length, 0);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(centralSize, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  const buffer = Buffer.concat([...locals, ...centrals, eocd]);
+  return new Uint8Array(buffer).buffer;
+}
+
+const xlsx = createZip({
+  "xl/sharedStrings.xml":
+    '<?xml version="1.0" encoding="UTF-8"?><sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><si><t>名称</t></si><si><t>日期</t></si><si><r><t>螺</t></r><r><t>丝</t></r></si></sst>',
+  "xl/worksheets/sheet1.xml":
+    '<?xml version="1.0" encoding="UTF-8"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>启用</t></is></c></row>' +
+    '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>45296</v></c><c r="C2" t="b"><v>1</v></c></row>' +
+    '<row r="3"><c r="B3"><v>1.5</v></c></row>' +
+    "</sheetData></worksheet>",
+});
+
+describe("data import", () => {
+  test("parse csv with quotes, CRLF and BOM", () => {
+    expect(
+      parseCSV(
+        '\uFEFF名称,备注\r\n"螺丝, M3","第一行\n第二行"\r\n\r\n垫片,"说""明"""\n'
+      )
+    ).toEqual([
+      ["名称", "备注"],
+      ["螺丝, M3", "第一行\n第二行"],
+      ["垫片", '说"明"'],
+    ]);
+    expect(parseCSV("a;b", { delimiter: ";" })).toEqual([["a", "b"]]);
+  });
+
+  test("parsed rows keep their line numbers", async () => {
+    const rows = parseCSV('\n名称\n"第一行\n第二行"\n\n垫片');
+    expect(rows.map((row) => row.rowNumber)).toEqual([2, 3, 5]);
+
+    const sparse = createZip({
+      "xl/worksheets/sheet1.xml":
+        '<?xml version="1.0" encoding="UTF-8"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+        '<row r="2"><c r="A2" t="inlineStr"><is><t>名称</t></is></c></row>' +
+        '<row r="3"></row>' +
+        '<row r="5"><c r="A5" t="inlineStr"><is><t>螺丝</t></is></c></row>' +
+        '<row><c t="inlineStr"><is><t>垫片</t></is></c></row>' +
+        "</sheetData></worksheet>",
+    });
+    const sheet = await parseXLSX(sparse);
+    expect(sheet).toEqual([["名称"], ["螺丝"], ["垫片"]]);
+    expect(sheet.map((row) => row.rowNumber)).toEqual([2, 5, 6]);
+  });
+
+  test("parse stored xlsx", async () => {
+    expect(await parseXLSX(xlsx)).toEqual([
+      ["名称", "日期", "启用"],
+      ["螺丝", 45296, true],
+      ["", 1.5],
+    ]);
+    await expect(parseXLSX(new ArrayBuffer(30))).rejects.toThrow(
+      ValidationError
+    );
+  });
+
+  test("read file by extension", async () => {
+    const csv = new File(["名称\n螺丝"], "data.csv");
+    expect(await readSheetFile(csv)).toEqual([["名称"], ["螺丝"]]);
+
+    const file = new File([xlsx], "data.xlsx");
+    expect((await readSheetFile(file))[1][0]).toBe("螺丝");
+
+    await expect(readSheetFile(new File([""], "data.txt"))).rejects.toThrow(
+      ValidationError
+    );
+  });
+
+  test("convert values by field type", async () => {
+    const context = createMockContext({ forms: { "FORM-a": [] } });
+    const report = await importFormDatas(
+      context,
+      "FORM-a",
+      [
+        ["名称", "数量", "日期", "标签", "负责人", "部门"],
+        ["螺丝", "1,200", "2024/1/5", "a，b;c", "张三(u1), u2", "研发部(d1)"],
+        ["垫片", "", 45296, "", "", ""],
+      ],
+      {
+        columns: [
+          { header: "名称", field: "textField_name" },
+          { header: "数量", field: "numberField_count" },
+          { header: "日期", field: "dateField_date" },
+          { header: "标签", field: "checkboxField_tags" },
+          { header: "负责人", field: "employeeField_owner" },
+          { header: "部门", field: "departmentSelectField_dept" },
+        ],
+      }
+    );
+
+    expect(report.total).toBe(2);
+    expect(report.failed).toEqual([]);
+    expect(report.succeeded.map((item) => item.row)).toEqual([2, 3]);
+
+    const first = context.mock.store.get(report.succeeded[0].instanceId);
+    expect(first.formData).toEqual({
+      textField_name: "螺丝",
+      numberField_count: 1200,
+      dateField_date: new Date(2024, 0, 5).getTime(),
+      checkboxField_tags: ["a", "b", "c"],
+      employeeField_owner: [
+        expect.objectContaining({ label: "张三", value: "u1" }),
+        expect.objectContaining({ label: "u2", value: "u2" }),
+      ],
+      departmentSelectField_dept: [
+        expect.objectContaining({ text: "研发部", value: "d1" }),
+      ],
+    });
+
+    const second = context.mock.store.get(report.succeeded[1].instanceId);
+    expect(second.formData).toEqual({
+      textField_name: "垫片",
+      dateField_date: new Date(2024, 0, 5).getTime(),
+    });
+  });
+
+  test("row level validation errors", async () => {
+    const context = createMockContext({ forms: { "FORM-a": [] } });
+    const csv = [
+      "编号,金额,日期",
+      "A1,100,2024-01-01",
+      ",abc,2024-13-01",
+      "A3,-5,2024-02-01 10:30",
+    ].join("\n");
+    const report = await importFormDatas(context, "FORM-a", csv, {
+      columns: [
+        { header: "编号", field: "textField_no", required: true },
+        {
+          header: "金额",
+          field: "numberField_amount",
+          validate: (value) => value > 0 || "金额必须大于0",
+        },
+        { header: "日期", field: "dateField_date" },
+        {
+          index: 0,
+          field: "textField_code",
+          converter: (value) => `NO-${value}`,
+        },
+      ],
+    });
+
+    expect(report.total).toBe(3);
+    expect(report.succeeded).toEqual([
+      expect.objectContaining({ row: 2, instanceId: expect.any(String) }),
+    ]);
+    expect(report.succeeded[0].formData.textField_code).toBe("NO-A1");
+    expect(report.failed.map((item) => item.row)).toEqual([3, 4]);
+    expect(report.failed[0].errors.map((item) => item.field)).toEqual([
+      "textField_no",
+      "numberField_amount",
+      "dateField_date",
+    ]);
+    expect(report.failed[1].errors).toEqual([
+      { field: "numberField_amount", message: "金额必须大于0" },
+    ]);
+    expect(context.mock.store.instances).toHaveLength(1);
+  });
+
+  test("validate exceptions are row errors", async () => {
+    const context = createMockContext({ forms: { "FORM-a": [] } });
+    const columns = [
+      {
+        index: 0,
+        field: "textField_name",
+        validate: (value) => {
+          if (value === "b") throw Error("名称不可用");
+          return true;
+        },
+      },
+    ];
+    const report = await importFormDatas(
+      context,
+      "FORM-a",
+      [["名称"], ["a"], ["b"]],
+      { columns, dryRun: true }
+    );
+    expect(report.succeeded.map((item) => item.row)).toEqual([2]);
+    expect(report.failed).toEqual([
+      expect.objectContaining({
+        row: 3,
+        errors: [{ field: "textField_name", message: "名称不可用" }],
+      }),
+    ]);
+
+    const empty = await importFormDatas(context, "FORM-a", [["名称"]], {
+      columns,
+      headerRows: 2,
+      dryRun: true,
+    });
+    expect(empty.total).toBe(0);
+  });
+
+  test("dry run and save failures", async () => {
+    const context = createMockContext({ forms: { "FORM-a": [] } });
+    const rows = [["名称"], ["a"], ["b"]];
+    const columns = [{ header: "名称", field: "textField_name" }];
+
+    const dryRun = await importFormDatas(context, "FORM-a", rows, {
+      columns,
+      dryRun: true,
+    });
+    expect(dryRun.succeeded).toEqual([
+      { row: 2, formData: { textField_name: "a" } },
+      { row: 3, formData: { textField_name: "b" } },
+    ]);
+    expect(context.mock.requests).toHaveLength(0);
+
+    const load = context.dataSourceMap.saveFormData.load;
+    context.dataSourceMap.saveFormData.load = async (params) => {
+      if (params.formDataJson.indexOf('"b"') !== -1) throw Error("failed");
+      return load(params);
+    };
+    const report = await importFormDatas(context, "FORM-a", rows, {
+      columns,
+    });
+    expect(report.succeeded.map((item) => item.row)).toEqual([2]);
+    expect(report.failed).toEqual([
+      expect.objectContaining({ row: 3, errors: [], error: expect.any(Error) }),
+    ]);
+  });
+
+  test("errors report file line numbers", async () => {
+    const context = createMockContext({ forms: { "FORM-a": [] } });
+    const csv = "名称,数量\n\n螺丝,1\n\n\n垫片,abc\n";
+    const report = await importFormDatas(context, "FORM-a", csv, {
+      columns: [
+        { header: "名称", field: "textField_name" },
+        { header: "数量", field: "numberField_count" },
+      ],
+      dryRun: true,
+    });
+    expect(report.total).toBe(2);
+    expect(report.succeeded.map((item) => item.row)).toEqual([3]);
+    expect(report.failed.map((item) => item.row)).toEqual([6]);
+  });
+
+  test("import exported formula guarded text", async () => {
+    const context = createMockContext({ forms: { "FORM-a": [] } });
+    const columns = [{ header: "备注", field: "textField_remark" }];
+    const formDatas = [
+      { textField_remark: "=1+1" },
+      { textField_remark: "-5" },
+      { textField_remark: "'引号" },
+    ];
+    const report = await importFormDatas(
+      context,
+      "FORM-a",
+      toCSV(formDatas, columns),
+      { columns, dryRun: true }
+    );
+    expect(report.succeeded.map((item) => item.formData)).toEqual(formDatas);
+  });
+
+  test("missing header column", async () => {
+    const context = createMockContext({ forms: { "FORM-a": [] } });
+    await expect(
+      importFormDatas(context, "FORM-a", [["名称"]], {
+        columns: [{ header: "编号", field: "textField_no" }],
+      })
+    ).rejects.toThrow("找不到列：编号");
+  });
+});
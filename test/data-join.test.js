@@ -0,0 +1,130 @@
+import { createMockContext } from "../src/mock-context";
+import { joinForms } from "../src/data-join";
+import { query } from "../src/FormQuery";
+
+function createContext() {
+  return createMockContext({
+    forms: {
+      "FORM-order": [
+        {
+          instanceId: "FINST-o1",
+          textField_no: "O1",
+          selectField_customer: "甲公司",
+          employeeField_sales: ["张三"],
+          employeeField_sales_id: ["u1"],
+        },
+        {
+          instanceId: "FINST-o2",
+          textField_no: "O2",
+          selectField_customer: "乙公司",
+          employeeField_sales: ["李四"],
+          employeeField_sales_id: ["u2"],
+        },
+        {
+          instanceId: "FINST-o3",
+          textField_no: "O3",
+          selectField_customer: "丙公司",
+        },
+      ],
+      "FORM-customer": [
+        { selectField_name: "甲公司", textField_city: "杭州" },
+        { selectField_name: "乙公司", textField_city: "上海" },
+        { selectField_name: "丁公司", textField_city: "北京" },
+      ],
+      "FORM-item": [
+        { textField_orderNo: "O1", numberField_qty: 1 },
+        { textField_orderNo: "O1", numberField_qty: 2 },
+        { textField_orderNo: "O2", numberField_qty: 3 },
+        { textField_orderNo: "O11", numberField_qty: 4 },
+      ],
+      "FORM-sales": [
+        {
+          employeeField_user: ["张三"],
+          employeeField_user_id: ["u1"],
+          textField_team: "一组",
+        },
+      ],
+    },
+  });
+}
+
+function searchRequests(context, formUuid) {
+  return context.mock.requests.filter(
+    (item) =>
+      item.name === "searchFormDatas" && item.params.formUuid === formUuid
+  );
+}
+
+describe("joinForms", () => {
+  test("left join with batched IN lookups", async () => {
+    const context = createContext();
+    const results = await joinForms(
+      context,
+      { formUuid: "FORM-order" },
+      { formUuid: "FORM-customer" },
+      { on: { selectField_customer: "selectField_name" }, batchSize: 2 }
+    );
+    expect(results.map((item) => item.textField_no)).toEqual([
+      "O1",
+      "O2",
+      "O3",
+    ]);
+    expect(results[0].joined.textField_city).toBe("杭州");
+    expect(results[1].joined.textField_city).toBe("上海");
+    expect(results[2].joined).toBeNull();
+
+    const requests = searchRequests(context, "FORM-customer");
+    expect(requests).toHaveLength(2);
+    expect(JSON.parse(requests[0].params.searchFieldJson)).toEqual({
+      selectField_name: ["甲公司", "乙公司"],
+    });
+  });
+
+  test("inner join one-to-many on text field", async () => {
+    const context = createContext();
+    const results = await joinForms(
+      context,
+      query(context, "FORM-order").where("textField_no", "O1"),
+      { formUuid: "FORM-item" },
+      {
+        on: ["textField_no", "textField_orderNo"],
+        join: "inner",
+        many: true,
+        as: "items",
+      }
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0].items.map((item) => item.numberField_qty)).toEqual([
+      1, 2,
+    ]);
+    // 文本字段无法 IN 查询，一次查询右表全部数据
+    expect(searchRequests(context, "FORM-item")).toHaveLength(1);
+  });
+
+  test("merge employee joined by id", async () => {
+    const context = createContext();
+    const orders = await context.dataSourceMap.searchFormDatas.load({
+      formUuid: "FORM-order",
+      searchFieldJson: "{}",
+      pageSize: 100,
+    });
+    const results = await joinForms(
+      context,
+      orders.data.map((item) => item.formData),
+      { formUuid: "FORM-sales" },
+      {
+        on: { employeeField_sales: "employeeField_user" },
+        join: "inner",
+        merge: true,
+      }
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0].textField_no).toBe("O1");
+    expect(results[0].textField_team).toBe("一组");
+    expect(
+      JSON.parse(
+        searchRequests(context, "FORM-sales")[0].params.searchFieldJson
+      )
+    ).toEqual({ employeeField_user: ["u1", "u2"] });
+  });
+});
@@ -0,0 +1,332 @@
+import { createMockContext } from "../src/mock-context";
+import { ValidationError } from "../src/errors";
+import {
+  dataLinkage,
+  dataLinkageMulti,
+  dataLinkageSubformMulti,
+} from "../src/data-linkage";
+import { countSearches } from "./platform";
+
+function createContext(fields) {
+  return createMockContext({
+    forms: {
+      "FORM-emp": [
+        {
+          textField_name: "张三",
+          textField_manager: "李四",
+          numberField_level: 6,
+          textField_no: "E001",
+        },
+        {
+          textField_name: "王五",
+          textField_manager: "赵六",
+          numberField_level: 5,
+          textField_no: "E002",
+        },
+      ],
+    },
+    fields,
+  });
+}
+
+describe("data linkage", () => {
+  test("post processor receives the whole record", async () => {
+    const context = createContext({ textField_a: "张三", textField_b: "" });
+    await dataLinkage(
+      context,
+      "form",
+      "FORM-emp",
+      "textField_manager",
+      "textField_b",
+      [{ from: "textField_a", to: "textField_name" }],
+      (ctx, value, formData) => `${value}(${formData.textField_no})`
+    );
+    expect(context.$("textField_b").getValue()).toBe("李四(E001)");
+  });
+
+  test("fill multiple fields with one search", async () => {
+    const context = createContext({
+      textField_a: "张三",
+      textField_manager: "",
+      numberField_level: null,
+      textField_no: "",
+    });
+    const values = await dataLinkageMulti(
+      context,
+      "form",
+      "FORM-emp",
+      [
+        { from: "textField_manager", to: "textField_manager" },
+        { from: "numberField_level", to: "numberField_level" },
+        {
+          from: "textField_no",
+          to: "textField_no",
+          postProcessor: (ctx, value) => `NO.${value}`,
+        },
+      ],
+      [{ from: "textField_a", to: "textField_name" }]
+    );
+
+    expect(values).toEqual({
+      textField_manager: "李四",
+      numberField_level: 6,
+      textField_no: "NO.E001",
+    });
+    expect(context.$("textField_manager").getValue()).toBe("李四");
+    expect(context.$("numberField_level").getValue()).toBe(6);
+    expect(context.$("textField_no").getValue()).toBe("NO.E001");
+    expect(countSearches(context)).toBe(1);
+  });
+
+  test("strict condition clears fields without searching", async () => {
+    const context = createContext({ textField_a: "", textField_b: "旧值" });
+    await dataLinkageMulti(
+      context,
+      "form",
+      "FORM-emp",
+      [{ from: "textField_manager", to: "textField_b" }],
+      [{ from: "textField_a", to: "textField_name" }]
+    );
+    expect(context.$("textField_b").getValue()).toBeUndefined();
+    expect(countSearches(context)).toBe(0);
+  });
+
+  test("fill multiple subform fields with one update", async () => {
+    const context = createContext({
+      tableField_a: [
+        { textField_name: "张三", textField_manager: "", textField_no: "" },
+        { textField_name: "王五", textField_manager: "", textField_no: "" },
+      ],
+    });
+    const formGroupId = context.$("tableField_a").getItems()[1];
+    const changes = context.mock.changes.length;
+
+    await dataLinkageSubformMulti(
+      context,
+      "tableField_a",
+      formGroupId,
+      "form",
+      "FORM-emp",
+      [
+        { from: "textField_manager", to: "textField_manager" },
+        { from: "textField_no", to: "textField_no" },
+      ],
+      [{ from: "textField_name", to: "textField_name", isSubform: true }]
+    );
+
+    const rows = context.$("tableField_a").getValue();
+    expect(rows[0].textField_manager).toBe("");
+    expect(rows[1]).toEqual({
+      textField_name: "王五",
+      textField_manager: "赵六",
+      textField_no: "E002",
+    });
+    expect(countSearches(context)).toBe(1);
+    expect(context.mock.changes.length - changes).toBe(1);
+  });
+
+  test("condition operators and constant values", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-budget": [
+          {
+            textField_name: "研发预算",
+            numberField_amount: 100,
+            dateField_start: 1000,
+            dateField_end: 2000,
+            selectField_status: "启用",
+            departmentSelectField_dept: ["d1"],
+          },
+          {
+            textField_name: "市场预算",
+            numberField_amount: 200,
+            dateField_start: 1000,
+            dateField_end: 2000,
+            selectField_status: "启用",
+            departmentSelectField_dept: ["d2"],
+          },
+          {
+            textField_name: "市场预算（停用）",
+            numberField_amount: 300,
+            dateField_start: 1000,
+            dateField_end: 2000,
+            selectField_status: "停用",
+            departmentSelectField_dept: ["d2"],
+          },
+        ],
+      },
+      fields: {
+        departmentSelectField_a: [
+          { value: "d3", label: "行政部" },
+          { value: "d2", label: "市场部" },
+        ],
+        dateField_a: 1500,
+        numberField_budget: null,
+      },
+    });
+    const fieldMappings = [
+      { from: "numberField_amount", to: "numberField_budget" },
+    ];
+    const link = (conditionMap) =>
+      dataLinkageMulti(
+        context,
+        "form",
+        "FORM-budget",
+        fieldMappings,
+        conditionMap
+      );
+
+    expect(
+      await link([
+        { from: "departmentSelectField_a", to: "departmentSelectField_dept" },
+      ])
+    ).toEqual({ numberField_budget: undefined });
+
+    expect(
+      await link([
+        {
+          from: "departmentSelectField_a",
+          to: "departmentSelectField_dept",
+          op: "in",
+        },
+        { from: "dateField_a", to: "dateField_start", op: "lte" },
+        { from: "dateField_a", to: "dateField_end", op: "gte" },
+        { to: "selectField_status", value: "启用" },
+      ])
+    ).toEqual({ numberField_budget: 200 });
+
+    expect(
+      await link([
+        { to: "textField_name", op: "contains", value: "市场" },
+        { to: "numberField_amount", op: "gt", value: 200 },
+      ])
+    ).toEqual({ numberField_budget: 300 });
+
+    expect(
+      await link([
+        { to: "numberField_amount", op: "range", value: [150, ""] },
+        { to: "numberField_amount", op: "lt", value: 300 },
+        { to: "selectField_status", op: "in", value: ["启用", "停用"] },
+      ])
+    ).toEqual({ numberField_budget: 200 });
+
+    await expect(
+      link([{ to: "numberField_amount", op: "ne", value: 1 }])
+    ).rejects.toThrow(ValidationError);
+  });
+
+  test("in conditions on text, number and date fields", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-budget": [
+          {
+            textField_name: "研发预算",
+            numberField_amount: 100,
+            dateField_start: 1000,
+          },
+          {
+            textField_name: "市场预算",
+            numberField_amount: 200,
+            dateField_start: 2000,
+          },
+          {
+            textField_name: "市场预算（停用）",
+            numberField_amount: 300,
+            dateField_start: 3000,
+          },
+        ],
+      },
+      fields: { numberField_budget: null },
+    });
+    const link = (conditionMap) =>
+      dataLinkageMulti(
+        context,
+        "form",
+        "FORM-budget",
+        [{ from: "numberField_amount", to: "numberField_budget" }],
+        conditionMap
+      );
+
+    expect(
+      await link([
+        { to: "textField_name", op: "in", value: ["市场预算", "行政预算"] },
+      ])
+    ).toEqual({ numberField_budget: 200 });
+    expect(
+      await link([{ to: "textField_name", op: "in", value: "市场预算" }])
+    ).toEqual({ numberField_budget: 200 });
+    expect(
+      await link([{ to: "numberField_amount", op: "in", value: [100, 300] }])
+    ).toEqual({ numberField_budget: 100 });
+    expect(
+      await link([
+        { to: "numberField_amount", op: "in", value: [100, 300] },
+        { to: "dateField_start", op: "in", value: [new Date(3000), 4000] },
+      ])
+    ).toEqual({ numberField_budget: 300 });
+    expect(
+      await link([{ to: "numberField_amount", op: "in", value: [150, 250] }])
+    ).toEqual({ numberField_budget: undefined });
+  });
+
+  test("pick record when several match", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-price": [
+          { textField_goods: "键盘", numberField_price: 100, gmtModified: 3 },
+          { textField_goods: "键盘", numberField_price: 80, gmtModified: 5 },
+          { textField_goods: "键盘", numberField_price: 120, gmtModified: 1 },
+        ],
+      },
+      fields: { textField_goods: "键盘", numberField_price: null },
+    });
+    const link = (pick) =>
+      dataLinkageMulti(
+        context,
+        "form",
+        "FORM-price",
+        [{ from: "numberField_price", to: "numberField_price" }],
+        [{ from: "textField_goods", to: "textField_goods" }],
+        true,
+        { pick }
+      );
+
+    const first = await link("first");
+    expect([100, 80, 120]).toContain(first.numberField_price);
+    expect(await link("latest")).toEqual({ numberField_price: 80 });
+    expect(
+      await link((a, b) => b.numberField_price - a.numberField_price)
+    ).toEqual({ numberField_price: 120 });
+    await expect(link("oldest")).rejects.toThrow("Unknown pick: oldest");
+  });
+
+  test("pick latest with string timestamps", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-price": [
+          {
+            textField_goods: "键盘",
+            numberField_price: 100,
+            gmtModified: new Date(2024, 0, 1).getTime(),
+          },
+          {
+            textField_goods: "键盘",
+            numberField_price: 80,
+            gmtModified: "2024-06-01 00:00:00",
+          },
+        ],
+      },
+      fields: { textField_goods: "键盘", numberField_price: null },
+    });
+    const values = await dataLinkageMulti(
+      context,
+      "form",
+      "FORM-price",
+      [{ from: "numberField_price", to: "numberField_price" }],
+      [{ from: "textField_goods", to: "textField_goods" }],
+      true,
+      { pick: "latest" }
+    );
+    expect(values).toEqual({ numberField_price: 80 });
+  });
+});
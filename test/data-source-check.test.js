@@ -0,0 +1,109 @@
+import { createMockContext } from "../src/mock-context";
+import { checkDataSources } from "../src/data-source-check";
+import { searchFormDatasAll, updateFormData } from "../src/data-source";
+import { registerConnector, unregisterConnector } from "../src/connector";
+import { ValidationError } from "../src/errors";
+
+afterEach(() => unregisterConnector());
+
+describe("check data sources", () => {
+  test("all data sources present", () => {
+    const context = createMockContext();
+    const result = checkDataSources(context, [
+      searchFormDatasAll,
+      { helper: updateFormData, type: "process" },
+      "approveTasks",
+    ]);
+
+    expect(result.ok).toBe(true);
+    expect(result.message).toBe("");
+    expect(result.checked).toEqual([
+      "searchFormDatas",
+      "updateInstance",
+      "getOperationRecords",
+      "executeTask",
+    ]);
+  });
+
+  test("report missing data sources with api path", () => {
+    const context = createMockContext({
+      dataSources: { getInstances: null, executeTask: null },
+    });
+    const result = checkDataSources(
+      context,
+      [
+        { helper: "searchFormDatasAll", type: "process" },
+        { helper: "upsertFormData", type: "process" },
+        "approveTasks",
+        "myService",
+      ],
+      { appType: "APP_TEST" }
+    );
+
+    expect(result.ok).toBe(false);
+    expect(result.missing).toEqual([
+      {
+        name: "getInstances",
+        method: "GET",
+        path: "/dingtalk/web/APP_TEST/v1/process/getInstances.json",
+        requiredBy: ["searchFormDatasAll", "upsertFormData"],
+      },
+      {
+        name: "executeTask",
+        method: "POST",
+        path: "/dingtalk/web/APP_TEST/v1/task/executeTask.json",
+        requiredBy: ["approveTasks"],
+      },
+      { name: "myService", requiredBy: ["myService"] },
+    ]);
+    expect(result.message.split("\n")[0]).toBe(
+      "缺少数据源 getInstances（GET /dingtalk/web/APP_TEST/v1/process/getInstances.json），searchFormDatasAll、upsertFormData 需要此数据源"
+    );
+  });
+
+  test("report misconfigured data sources", () => {
+    const context = createMockContext();
+    context.dataSourceMap.getOperationRecords = {};
+    context.dataSourceMap.saveFormData.options = {
+      uri: "/dingtalk/web/APP_TEST/v1/form/updateFormData.json",
+      method: "POST",
+    };
+    context.dataSourceMap.searchFormDatas.config = {
+      options: {
+        uri: "/dingtalk/web/APP_TEST/v1/form/searchFormDatas.json",
+        method: "POST",
+      },
+    };
+
+    const result = checkDataSources(context, [
+      "getPendingTasks",
+      "importFormDatas",
+      "joinForms",
+    ]);
+    expect(result.missing).toEqual([]);
+    expect(
+      result.misconfigured.map((item) => [item.name, item.reason])
+    ).toEqual([
+      ["getOperationRecords", "数据源没有 load 方法，请确认添加的是远程数据源"],
+      [
+        "saveFormData",
+        "请求地址应以 /v1/form/saveFormData.json 结尾，当前为 /dingtalk/web/APP_TEST/v1/form/updateFormData.json",
+      ],
+      ["searchFormDatas", "请求方法应为 GET，当前为 POST"],
+    ]);
+  });
+
+  test("registered connectors and invalid helpers", () => {
+    const context = createMockContext();
+    registerConnector("subDepts", { dataSourceName: "dingSubDepts" });
+    const result = checkDataSources(context, ["subDepts"]);
+    expect(result.missing).toEqual([
+      { name: "dingSubDepts", requiredBy: ["subDepts"] },
+    ]);
+
+    expect(() => checkDataSources(context, [() => {}])).toThrow(
+      ValidationError
+    );
+    expect(() => checkDataSources(context)).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,374 @@
+import { createMockContext } from "../src/mock-context";
+import {
+  getFormData,
+  iterateFormDatas,
+  iterateFormDataIds,
+  iterateSubformDatas,
+  searchFormDatasAll,
+  searchFormDataIdsAll,
+  searchFormDatas,
+  updateFormData,
+  updateFormDataDiff,
+} from "../src/data-source";
+import { ConflictError } from "../src/errors";
+import { enableRequestCache, disableRequestCache } from "../src/request";
+
+function createContext(count) {
+  const rows = [];
+  const formDatas = [];
+  for (let i = 1; i <= count; i++) {
+    rows.push({ numberField_index: i });
+    formDatas.push({ numberField_index: i });
+  }
+  formDatas[0].instanceId = "FINST-1";
+  formDatas[0].tableField_rows = rows;
+
+  return createMockContext({ forms: { "FORM-a": formDatas } });
+}
+
+function countRequests(context, name) {
+  return context.mock.requests.filter((item) => item.name === name).length;
+}
+
+describe("async iterators", () => {
+  test("iterate all rows page by page", async () => {
+    const context = createContext(25);
+    const indexes = [];
+    for await (const formData of iterateFormDatas(
+      context,
+      "form",
+      "FORM-a",
+      {},
+      {},
+      { pageSize: 10 }
+    )) {
+      indexes.push(formData.numberField_index);
+    }
+    expect(indexes).toHaveLength(25);
+    expect(countRequests(context, "searchFormDatas")).toBe(3);
+  });
+
+  test("stop early", async () => {
+    const context = createContext(100);
+    for await (const formData of iterateFormDatas(
+      context,
+      "form",
+      "FORM-a",
+      {},
+      {},
+      { pageSize: 10 }
+    )) {
+      if (formData.numberField_index === 15) break;
+    }
+    expect(countRequests(context, "searchFormDatas")).toBe(2);
+  });
+
+  test("max pages", async () => {
+    const context = createContext(100);
+    const ids = await searchFormDataIdsAll(
+      context,
+      "form",
+      "FORM-a",
+      {},
+      { dynamicOrder: { numberField_index: "+" } },
+      { pageSize: 20, maxPages: 2 }
+    );
+    expect(ids).toHaveLength(40);
+
+    let count = 0;
+    // eslint-disable-next-line no-unused-vars
+    for await (const id of iterateFormDataIds(context, "form", "FORM-a", {})) {
+      count += 1;
+    }
+    expect(count).toBe(100);
+  });
+
+  test("abort signal", async () => {
+    const context = createContext(30);
+    const controller = new AbortController();
+    const iterate = async () => {
+      for await (const row of iterateSubformDatas(
+        context,
+        "FORM-a",
+        "FINST-1",
+        "tableField_rows",
+        { pageSize: 5, signal: controller.signal }
+      )) {
+        if (row.numberField_index === 7) controller.abort();
+      }
+    };
+
+    await expect(iterate()).rejects.toThrow();
+    expect(countRequests(context, "fetchSubformDatas")).toBe(2);
+  });
+
+  test("dynamicOrder is not double encoded", async () => {
+    const context = createContext(15);
+    const options = { dynamicOrder: { numberField_index: "-" } };
+    const formDatas = await searchFormDatasAll(
+      context,
+      "form",
+      "FORM-a",
+      {},
+      options,
+      { pageSize: 10 }
+    );
+    expect(formDatas[0].numberField_index).toBe(15);
+    expect(formDatas[14].numberField_index).toBe(1);
+    expect(options.dynamicOrder).toEqual({ numberField_index: "-" });
+  });
+});
+
+describe("searchFormDatasAll parallel mode", () => {
+  test("keep page order with bounded concurrency", async () => {
+    const context = createContext(95);
+    const searchFormDatas = context.dataSourceMap.searchFormDatas.load;
+    let inFlight = 0;
+    let maxInFlight = 0;
+    context.dataSourceMap.searchFormDatas.load = async (params) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      // 让后面的页先返回
+      await new Promise((resolve) =>
+        setTimeout(resolve, 50 - params.currentPage * 4)
+      );
+      inFlight -= 1;
+      return searchFormDatas(params);
+    };
+
+    const formDatas = await searchFormDatasAll(
+      context,
+      "form",
+      "FORM-a",
+      {},
+      { dynamicOrder: { numberField_index: "+" } },
+      { pageSize: 10, concurrency: 3 }
+    );
+    expect(formDatas.map((item) => item.numberField_index)).toEqual(
+      Array.from({ length: 95 }, (_, index) => index + 1)
+    );
+    expect(countRequests(context, "searchFormDatas")).toBe(10);
+    expect(maxInFlight).toBe(3);
+  });
+
+  test("reject when a page fails", async () => {
+    const context = createContext(50);
+    const searchFormDatas = context.dataSourceMap.searchFormDatas.load;
+    context.dataSourceMap.searchFormDatas.load = async (params) => {
+      if (params.currentPage === 3) throw Error("page 3 failed");
+      return searchFormDatas(params);
+    };
+
+    await expect(
+      searchFormDatasAll(
+        context,
+        "form",
+        "FORM-a",
+        {},
+        {},
+        { pageSize: 5, concurrency: 2 }
+      )
+    ).rejects.toThrow("page 3 failed");
+    // 第3页失败后不再获取后续页，失败的请求不会经过模拟数据源
+    expect(countRequests(context, "searchFormDatas")).toBe(2);
+  });
+
+  test("fetch page by page without totalCount", async () => {
+    const context = createContext(23);
+    const searchFormDatas = context.dataSourceMap.searchFormDatas.load;
+    context.dataSourceMap.searchFormDatas.load = async (params) => {
+      const response = await searchFormDatas(params);
+      delete response.totalCount;
+      return response;
+    };
+
+    const formDatas = await searchFormDatasAll(
+      context,
+      "form",
+      "FORM-a",
+      {},
+      {},
+      { pageSize: 10, concurrency: 3 }
+    );
+    expect(formDatas).toHaveLength(23);
+    expect(countRequests(context, "searchFormDatas")).toBe(3);
+  });
+});
+
+describe("updateFormData conflict guard", () => {
+  function createInventory() {
+    return createMockContext({
+      forms: {
+        "FORM-a": [
+          {
+            instanceId: "FINST-1",
+            textField_name: "螺丝",
+            numberField_stock: 10,
+            employeeField_owner: ["张三"],
+          },
+        ],
+      },
+    });
+  }
+
+  async function read(context) {
+    const { formDatas } = await searchFormDatas(context, "form", "FORM-a", {});
+    return formDatas[0];
+  }
+
+  test("update when not modified", async () => {
+    const context = createInventory();
+    const { gmtModified } = await read(context);
+    await updateFormData(
+      context,
+      "form",
+      "FINST-1",
+      { numberField_stock: 9 },
+      { expectedModified: gmtModified }
+    );
+    expect(context.mock.store.get("FINST-1").formData.numberField_stock).toBe(
+      9
+    );
+    expect(context.mock.requests.map((item) => item.name)).toEqual([
+      "searchFormDatas",
+      "getFormData",
+      "updateFormData",
+    ]);
+  });
+
+  test("reject with field diff when modified in between", async () => {
+    const context = createInventory();
+    enableRequestCache();
+    try {
+      const { gmtModified } = await read(context);
+      // 读取时的数据会被缓存，检查冲突时不能使用缓存
+      const original = await getFormData(context, "form", "FINST-1");
+      context.mock.store.update("FINST-1", {
+        numberField_stock: 8,
+        employeeField_owner: ["李四"],
+      });
+
+      const error = await updateFormData(
+        context,
+        "form",
+        "FINST-1",
+        { numberField_stock: 9 },
+        { expectedModified: gmtModified, original }
+      ).catch((e) => e);
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.instanceId).toBe("FINST-1");
+      expect(Object.keys(error.diff)).toEqual([
+        "numberField_stock",
+        "employeeField_owner",
+      ]);
+      expect(error.diff.numberField_stock).toMatchObject({ new: 8, old: 10 });
+      expect(error.diff.employeeField_owner.diff).toEqual({
+        added: ["李四"],
+        removed: ["张三"],
+      });
+      expect(context.mock.store.get("FINST-1").formData.numberField_stock).toBe(
+        8
+      );
+    } finally {
+      disableRequestCache();
+    }
+  });
+
+  test("search result row as original", async () => {
+    const context = createInventory();
+    const row = await read(context);
+    expect(row).toEqual(
+      expect.objectContaining({ instanceId: "FINST-1", formUuid: "FORM-a" })
+    );
+    await updateFormData(
+      context,
+      "form",
+      "FINST-1",
+      { numberField_stock: 9 },
+      { original: row }
+    );
+    expect(context.mock.store.get("FINST-1").formData.numberField_stock).toBe(
+      9
+    );
+
+    const error = await updateFormData(
+      context,
+      "form",
+      "FINST-1",
+      { numberField_stock: 8 },
+      { original: row }
+    ).catch((e) => e);
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(Object.keys(error.diff)).toEqual(["numberField_stock"]);
+  });
+
+  test("compare values when only original is given", async () => {
+    const context = createInventory();
+    const original = { numberField_stock: 10, textField_name: "螺丝" };
+    await updateFormData(
+      context,
+      "form",
+      "FINST-1",
+      { numberField_stock: 9 },
+      { original }
+    );
+    await expect(
+      updateFormData(
+        context,
+        "form",
+        "FINST-1",
+        { numberField_stock: 8 },
+        { original }
+      )
+    ).rejects.toThrow("numberField_stock");
+  });
+});
+
+describe("updateFormDataDiff", () => {
+  test("send only changed fields", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-a": [
+          {
+            instanceId: "FINST-1",
+            textField_name: "螺丝",
+            numberField_stock: 10,
+            checkboxField_tags: ["五金", "常用"],
+            tableField_items: [{ numberField_qty: 1 }],
+          },
+        ],
+      },
+    });
+    const original = await getFormData(context, "form", "FINST-1");
+    const edited = {
+      ...original,
+      numberField_stock: 9,
+      checkboxField_tags: ["常用", "五金"],
+      tableField_items: [{ numberField_qty: 2 }],
+    };
+
+    const diff = await updateFormDataDiff(
+      context,
+      "form",
+      "FINST-1",
+      original,
+      edited
+    );
+    expect(Object.keys(diff)).toEqual([
+      "numberField_stock",
+      "tableField_items",
+    ]);
+    const request = context.mock.requests.find(
+      (item) => item.name === "updateFormData"
+    );
+    expect(JSON.parse(request.params.updateFormDataJson)).toEqual({
+      numberField_stock: 9,
+      tableField_items: [{ numberField_qty: 2 }],
+    });
+
+    expect(
+      await updateFormDataDiff(context, "form", "FINST-1", edited, edited)
+    ).toEqual({});
+    expect(countRequests(context, "updateFormData")).toBe(1);
+  });
+});
@@ -0,0 +1,182 @@
+import { createMockContext } from "../src/mock-context";
+import { upsertFormData } from "../src/data-upsert";
+import { DuplicateError, ValidationError } from "../src/errors";
+
+function createContext() {
+  return createMockContext({
+    forms: {
+      "FORM-a": [
+        { instanceId: "FINST-1", textField_no: "A001", numberField_n: 1 },
+        { instanceId: "FINST-2", textField_no: "A0011", numberField_n: 2 },
+        { instanceId: "FINST-3", textField_no: "B001", numberField_n: 3 },
+        { instanceId: "FINST-4", textField_no: "B001", numberField_n: 4 },
+      ],
+    },
+    processes: {
+      "FORM-p": [
+        {
+          instanceId: "PROC-1",
+          textField_no: "P001",
+          numberField_year: 2024,
+        },
+      ],
+    },
+  });
+}
+
+describe("upsertFormData", () => {
+  test("update by exact text key", async () => {
+    const context = createContext();
+    const result = await upsertFormData(context, "FORM-a", "textField_no", {
+      textField_no: "A001",
+      numberField_n: 10,
+    });
+    expect(result).toEqual({
+      action: "updated",
+      instanceId: "FINST-1",
+      instanceIds: ["FINST-1"],
+      duplicates: [],
+    });
+    expect(context.mock.store.get("FINST-1").formData.numberField_n).toBe(10);
+    expect(context.mock.store.get("FINST-2").formData.numberField_n).toBe(2);
+  });
+
+  test("update with raw platform responses", async () => {
+    // 不经过 createMockContext，宜搭接口对文本条件做模糊匹配
+    const update = jest.fn(async () => undefined);
+    const context = {
+      dataSourceMap: {
+        searchFormDatas: {
+          load: jest.fn(async () => ({
+            currentPage: 1,
+            totalCount: 2,
+            data: [
+              {
+                formInstId: "FINST-2",
+                gmtModified: "2024-06-01 00:00:00",
+                formData: { textField_no: "A0011" },
+              },
+              {
+                formInstId: "FINST-1",
+                gmtModified: "2024-01-01 00:00:00",
+                formData: { textField_no: "A001" },
+              },
+            ],
+          })),
+        },
+        updateFormData: { load: update },
+      },
+    };
+
+    const result = await upsertFormData(context, "FORM-a", "textField_no", {
+      textField_no: "A001",
+      numberField_n: 10,
+    });
+    expect(result.instanceIds).toEqual(["FINST-1"]);
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update.mock.calls[0][0]).toEqual(
+      expect.objectContaining({
+        formInstId: "FINST-1",
+        updateFormDataJson: JSON.stringify({
+          textField_no: "A001",
+          numberField_n: 10,
+        }),
+      })
+    );
+  });
+
+  test("create when not found and serialize same key", async () => {
+    const context = createContext();
+    const formData = { textField_no: "C001", numberField_n: 5 };
+    const results = await Promise.all([
+      upsertFormData(context, "FORM-a", ["textField_no"], formData),
+      upsertFormData(context, "FORM-a", ["textField_no"], formData),
+    ]);
+    expect(results.map((item) => item.action)).toEqual(["created", "updated"]);
+    expect(results[1].instanceId).toBe(results[0].instanceId);
+  });
+
+  test("detect duplicates", async () => {
+    const context = createContext();
+    const formData = { textField_no: "B001", numberField_n: 9 };
+
+    const error = await upsertFormData(
+      context,
+      "FORM-a",
+      "textField_no",
+      formData
+    ).catch((e) => e);
+    expect(error).toBeInstanceOf(DuplicateError);
+    expect(error.instanceIds.sort()).toEqual(["FINST-3", "FINST-4"]);
+    expect(context.mock.store.get("FINST-3").formData.numberField_n).toBe(3);
+
+    const result = await upsertFormData(
+      context,
+      "FORM-a",
+      "textField_no",
+      formData,
+      { onDuplicate: "all" }
+    );
+    expect(result.instanceIds.sort()).toEqual(["FINST-3", "FINST-4"]);
+    expect(result.duplicates).toHaveLength(2);
+    expect(context.mock.store.get("FINST-4").formData.numberField_n).toBe(9);
+  });
+
+  test("first duplicate is the latest modified with string timestamps", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-a": [
+          {
+            instanceId: "FINST-old",
+            textField_no: "D001",
+            gmtModified: "2024-01-01 00:00:00",
+          },
+          {
+            instanceId: "FINST-new",
+            textField_no: "D001",
+            gmtModified: "2024-06-01 00:00:00",
+          },
+        ],
+      },
+    });
+    const result = await upsertFormData(
+      context,
+      "FORM-a",
+      "textField_no",
+      { textField_no: "D001", numberField_n: 1 },
+      { onDuplicate: "first" }
+    );
+    expect(result.instanceId).toBe("FINST-new");
+    expect(result.duplicates).toEqual(["FINST-new", "FINST-old"]);
+  });
+
+  test("process with composite key", async () => {
+    const context = createContext();
+    const options = { type: "process", processCode: "TPROC--a" };
+
+    const updated = await upsertFormData(
+      context,
+      "FORM-p",
+      ["textField_no", "numberField_year"],
+      { textField_no: "P001", numberField_year: 2024, numberField_n: 1 },
+      options
+    );
+    expect(updated.instanceId).toBe("PROC-1");
+
+    const created = await upsertFormData(
+      context,
+      "FORM-p",
+      ["textField_no", "numberField_year"],
+      { textField_no: "P001", numberField_year: 2025 },
+      options
+    );
+    expect(created.action).toBe("created");
+    expect(context.mock.store.get(created.instanceId).processCode).toBe(
+      "TPROC--a"
+    );
+
+    await expect(
+      upsertFormData(context, "FORM-p", "textField_no", {})
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+});
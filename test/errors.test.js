@@ -0,0 +1,73 @@
+import { createMockContext } from "../src/mock-context";
+import { getFormData, searchFormDatas } from "../src/data-source";
+import { query } from "../src/FormQuery";
+import {
+  AwhError,
+  ValidationError,
+  DataSourceMissingError,
+  RemoteError,
+  RateLimitError,
+  toRemoteError,
+} from "../src/errors";
+
+describe("errors", () => {
+  test("missing context and parameters", () => {
+    expect(() => getFormData(undefined, "form", "FINST-1")).toThrow(
+      ValidationError
+    );
+    expect(() => getFormData(createMockContext(), "form")).toThrow(
+      "formInstId is required"
+    );
+    expect(() =>
+      query(createMockContext(), "FORM-a").orderBy("a", "up")
+    ).toThrow(ValidationError);
+  });
+
+  test("missing data source", async () => {
+    const context = createMockContext({
+      dataSources: { searchFormDatas: null },
+    });
+
+    const error = await searchFormDatas(context, "form", "FORM-a", {}).catch(
+      (e) => e
+    );
+    expect(error).toBeInstanceOf(DataSourceMissingError);
+    expect(error).toBeInstanceOf(AwhError);
+    expect(error.name).toBe("DataSourceMissingError");
+    expect(error.dataSourceName).toBe("searchFormDatas");
+  });
+
+  test("wrap failed responses", async () => {
+    const context = createMockContext({ forms: { "FORM-a": [{}] } });
+    const response = {
+      success: false,
+      errorCode: "PERMISSION_DENIED",
+      errorMsg: "没有权限",
+    };
+    context.dataSourceMap.searchFormDatas.load = async () => response;
+
+    const error = await searchFormDatas(context, "form", "FORM-a", {}).catch(
+      (e) => e
+    );
+    expect(error).toBeInstanceOf(RemoteError);
+    expect(error).not.toBeInstanceOf(RateLimitError);
+    expect(error.message).toBe("没有权限");
+    expect(error.code).toBe("PERMISSION_DENIED");
+    expect(error.dataSourceName).toBe("searchFormDatas");
+    expect(error.response).toBe(response);
+  });
+
+  test("detect rate limit", () => {
+    expect(toRemoteError("getFormData", { errorCode: "429" })).toBeInstanceOf(
+      RateLimitError
+    );
+    expect(
+      toRemoteError("getFormData", Error("请求过于频繁，请稍后再试"))
+    ).toBeInstanceOf(RateLimitError);
+
+    const error = toRemoteError("getFormData", "network error");
+    expect(error).toBeInstanceOf(RemoteError);
+    expect(error.cause).toBe("network error");
+    expect(toRemoteError("getFormData", error)).toBe(error);
+  });
+});
@@ -0,0 +1,249 @@
+import { createMockContext } from "../src/mock-context";
+import {
+  searchFormDatas,
+  searchFormDatasAll,
+  getFormData,
+  saveFormData,
+  updateFormData,
+  deleteFormData,
+  fetchSubformDatasAll,
+  executeTask,
+} from "../src/data-source";
+import { dataLinkage, dataLinkageSubform } from "../src/data-linkage";
+import { Subform, associateForm2Subform } from "../src/subform";
+
+function createEmployees(count) {
+  const forms = { "FORM-emp": [] };
+  for (let i = 1; i <= count; i++) {
+    forms["FORM-emp"].push({
+      textField_name: `员工${i}`,
+      numberField_age: 20 + (i % 10),
+      selectField_level: i % 2 ? "P5" : "P6",
+    });
+  }
+  return forms;
+}
+
+describe("mock data sources", () => {
+  test("pagination", async () => {
+    const context = createMockContext({ forms: createEmployees(25) });
+    const resp = await searchFormDatas(context, "form", "FORM-emp", {}, 3, 10);
+    expect(resp.totalCount).toBe(25);
+    expect(resp.currentPage).toBe(3);
+    expect(resp.formDatas).toHaveLength(5);
+
+    const all = await searchFormDatasAll(context, "form", "FORM-emp", {});
+    expect(all).toHaveLength(25);
+  });
+
+  test("searchFieldJson filtering", async () => {
+    const context = createMockContext({ forms: createEmployees(25) });
+
+    // 文本模糊查询
+    let result = await searchFormDatasAll(context, "form", "FORM-emp", {
+      textField_name: "员工1",
+    });
+    expect(result).toHaveLength(11);
+    // 严格查询
+    result = await searchFormDatasAll(
+      context,
+      "form",
+      "FORM-emp",
+      { textField_name: "员工1" },
+      { strictQuery: true }
+    );
+    expect(result).toHaveLength(1);
+    // 数字范围
+    result = await searchFormDatasAll(context, "form", "FORM-emp", {
+      numberField_age: [28, ""],
+      selectField_level: "P5",
+    });
+    expect(result.map((item) => item.textField_name)).toEqual([
+      "员工9",
+      "员工19",
+    ]);
+  });
+
+  test("write operations", async () => {
+    const context = createMockContext();
+    const instanceId = await saveFormData(context, "FORM-a", {
+      textField_a: "a",
+    });
+    await updateFormData(context, "form", instanceId, { textField_a: "b" });
+    expect((await getFormData(context, "form", instanceId)).textField_a).toBe(
+      "b"
+    );
+
+    await deleteFormData(context, instanceId);
+    await expect(getFormData(context, "form", instanceId)).rejects.toThrow();
+    expect(context.mock.requests.map((item) => item.name)).toEqual([
+      "saveFormData",
+      "updateFormData",
+      "getFormData",
+      "deleteFormData",
+      "getFormData",
+    ]);
+  });
+
+  test("subform datas", async () => {
+    const rows = [];
+    for (let i = 0; i < 60; i++) rows.push({ numberField_x: i });
+    const context = createMockContext({
+      forms: { "FORM-a": [{ instanceId: "FINST-1", tableField_a: rows }] },
+    });
+
+    const datas = await fetchSubformDatasAll(
+      context,
+      "FORM-a",
+      "FINST-1",
+      "tableField_a"
+    );
+    expect(datas).toHaveLength(60);
+  });
+
+  test("onChange and updateItemValue do not call setValue", () => {
+    const context = createMockContext({
+      fields: {
+        textField_a: "",
+        tableField_b: [{ textField_c: "1" }, { textField_c: "2" }],
+      },
+    });
+    const input = context.$("textField_a");
+    const subform = context.$("tableField_b");
+    const items = subform.getItems();
+    const setValue = jest.fn();
+    input.setValue = setValue;
+    subform.setValue = setValue;
+
+    input.getProps().onChange({ value: "张三" });
+    subform.updateItemValue(items[1], { textField_c: "3" });
+    expect(setValue).not.toHaveBeenCalled();
+    expect(input.getValue()).toBe("张三");
+    expect(subform.getValue()).toEqual([
+      { textField_c: "1" },
+      { textField_c: "3" },
+    ]);
+    expect(subform.getItems()).toEqual(items);
+    expect(context.mock.changes.map((item) => item.fieldId)).toEqual([
+      "textField_a",
+      "tableField_b",
+    ]);
+  });
+
+  test("execute task", async () => {
+    const context = createMockContext({
+      processes: {
+        "FORM-p": [
+          {
+            instanceId: "proc-1",
+            operationRecords: [
+              { taskId: "t1", type: "TODO", actionExt: "doing" },
+            ],
+          },
+        ],
+      },
+    });
+
+    await executeTask(context, "proc-1", "t1", "AGREE", "同意");
+    const instance = context.mock.store.get("proc-1");
+    expect(instance.instanceStatus).toBe("COMPLETED");
+    expect(instance.approvedResult).toBe("agree");
+    await expect(
+      executeTask(context, "proc-1", "t1", "AGREE", "同意")
+    ).rejects.toThrow();
+  });
+});
+
+describe("mock fields", () => {
+  test("dataLinkage", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-aaa": [{ textField_aaa1: "张三", textField_aaa2: "李四" }],
+      },
+      fields: { textField_bbb1: "张三", textField_bbb2: "" },
+    });
+
+    await dataLinkage(
+      context,
+      "form",
+      "FORM-aaa",
+      "textField_aaa2",
+      "textField_bbb2",
+      [{ from: "textField_bbb1", to: "textField_aaa1" }]
+    );
+    expect(context.$("textField_bbb2").getValue()).toBe("李四");
+  });
+
+  test("dataLinkageSubform", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-aaa": [{ textField_aaa1: "张三", textField_aaa2: "李四" }],
+      },
+      fields: {
+        tableField_bbb: [
+          { textField_bbb1: "王五", textField_bbb2: "" },
+          { textField_bbb1: "张三", textField_bbb2: "" },
+        ],
+      },
+    });
+
+    const formGroupId = context.$("tableField_bbb").getItems()[1];
+    await dataLinkageSubform(
+      context,
+      "tableField_bbb",
+      formGroupId,
+      "form",
+      "FORM-aaa",
+      "textField_aaa2",
+      "textField_bbb2",
+      [{ from: "textField_bbb1", to: "textField_aaa1", isSubform: true }]
+    );
+    const rows = context.$("tableField_bbb").getValue();
+    expect(rows[0].textField_bbb2).toBe("");
+    expect(rows[1].textField_bbb2).toBe("李四");
+  });
+
+  test("Subform.summary", () => {
+    const context = createMockContext({
+      fields: {
+        tableField_a: [
+          { textField_a: "a", numberField_a: 1 },
+          { textField_a: "a", numberField_a: 2 },
+          { textField_a: "b", numberField_a: "x" },
+        ],
+      },
+    });
+
+    const subform = new Subform(context, "tableField_a");
+    expect(subform.summary("textField_a")).toEqual(["a", "b"]);
+    expect(subform.summary("numberField_a", "number")).toEqual([1, 2, 0]);
+    expect(() => new Subform(context, "tableField_none")).toThrow();
+  });
+
+  test("associateForm2Subform", async () => {
+    const context = createMockContext({
+      forms: {
+        "FORM-a": [
+          { instanceId: "FINST-1", textField_a: "one" },
+          { instanceId: "FINST-2", textField_a: "two" },
+        ],
+      },
+      fields: {
+        associationFormField_a: [{ instanceId: "FINST-2" }],
+        tableField_local: [{ textField_inst: "FINST-1", textField_b: "one" }],
+      },
+    });
+
+    await associateForm2Subform(
+      context,
+      "form",
+      "associationFormField_a",
+      "tableField_local",
+      "textField_inst",
+      [{ from: "textField_a", to: "textField_b", type: "string" }]
+    );
+    expect(context.$("tableField_local").getValue()).toEqual([
+      { textField_inst: "FINST-2", textField_b: "two" },
+    ]);
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * 测试共用的平台请求辅助方法
+ */
+
+/**
+ * 统计 mock 上下文发出的表单数据查询次数
+ * @param {Object} context mock上下文
+ * @returns {number}
+ */
+function countSearches(context) {
+  return context.mock.requests.filter((item) => item.name === "searchFormDatas")
+    .length;
+}
+
+export { countSearches };
@@ -0,0 +1,378 @@
+import { createMockContext } from "../src/mock-context";
+import {
+  getPendingTasks,
+  executeTasks,
+  approveTasks,
+  rejectTasks,
+  executeTasksByQuery,
+  transferTask,
+  terminateInstances,
+  buildApprovalTimeline,
+  getApprovalTimeline,
+} from "../src/process";
+import { query } from "../src/FormQuery";
+import { ValidationError } from "../src/errors";
+
+function createContext() {
+  const todo = (taskId, operator, extra) => ({
+    taskId,
+    type: "TODO",
+    actionExt: "doing",
+    showName: "部门审批",
+    activityId: "node_1",
+    operator,
+    operatorDisplayName: operator,
+    ...extra,
+  });
+
+  return createMockContext({
+    processes: {
+      "FORM-p": [
+        {
+          instanceId: "proc-1",
+          operationRecords: [
+            { taskId: "t0", type: "HISTORY", actionExt: "submit" },
+            todo("t1", "u1", { operatorAgentIds: ["u9"] }),
+            todo("t2", "u2"),
+            { taskId: "t3", type: "TODO", actionExt: "next", operator: "u3" },
+          ],
+        },
+        { instanceId: "proc-2", operationRecords: [todo("t4", "u1")] },
+        { instanceId: "proc-3", operationRecords: [todo("t5", "u2")] },
+      ],
+    },
+  });
+}
+
+describe("process", () => {
+  test("get pending tasks", async () => {
+    const context = createContext();
+    const tasks = await getPendingTasks(context, "proc-1");
+    expect(tasks.map((task) => task.taskId)).toEqual(["t1", "t2"]);
+    expect(tasks[0]).toEqual(
+      expect.objectContaining({
+        instanceId: "proc-1",
+        activityId: "node_1",
+        nodeName: "部门审批",
+        operatorId: "u1",
+        agentIds: ["u9"],
+      })
+    );
+
+    const mine = await getPendingTasks(context, "proc-1", { userId: "u9" });
+    expect(mine.map((task) => task.taskId)).toEqual(["t1"]);
+  });
+
+  test("execute tasks in bulk", async () => {
+    const context = createContext();
+    const report = await approveTasks(
+      context,
+      ["proc-2", { instanceId: "proc-1", taskId: "t2" }, "proc-3"],
+      "同意",
+      { userId: "u1", noExecuteExpressions: true }
+    );
+
+    expect(report.succeeded).toEqual([
+      { index: 0, instanceId: "proc-2" },
+      { index: 1, instanceId: "proc-1" },
+    ]);
+    expect(report.failed).toEqual([
+      expect.objectContaining({ index: 2, item: "proc-3" }),
+    ]);
+    expect(report.failed[0].error.message).toMatch("没有待处理的任务");
+
+    const request = context.mock.requests.find(
+      (item) => item.name === "executeTask"
+    );
+    expect(request.params).toEqual(
+      expect.objectContaining({
+        outResult: "AGREE",
+        remark: "同意",
+        noExecuteExpressions: "y",
+      })
+    );
+    expect(context.mock.store.get("proc-2").instanceStatus).toBe("COMPLETED");
+  });
+
+  test("approve with raw platform responses", async () => {
+    // 不经过 createMockContext，数据源直接返回宜搭接口的原始响应
+    const execute = jest.fn(async () => undefined);
+    const context = {
+      dataSourceMap: {
+        getOperationRecords: {
+          load: jest.fn(async () => [
+            { taskId: "t0", type: "HISTORY", actionExt: "submit" },
+            {
+              taskId: "t1",
+              type: "TODO",
+              actionExt: "doing",
+              operator: "u1",
+            },
+          ]),
+        },
+        executeTask: { load: execute },
+      },
+    };
+
+    const report = await approveTasks(context, ["proc-1"], "同意");
+    expect(report.failed).toEqual([]);
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(execute.mock.calls[0][0]).toEqual(
+      expect.objectContaining({
+        procInstId: "proc-1",
+        taskId: "t1",
+        outResult: "AGREE",
+        remark: "同意",
+      })
+    );
+  });
+
+  test("reject requires remark and a single pending task", async () => {
+    const context = createContext();
+    await expect(rejectTasks(context, ["proc-1"], "")).rejects.toThrow(
+      ValidationError
+    );
+    await expect(
+      executeTasks(context, ["proc-1"], "REVERT", "退回")
+    ).rejects.toThrow(ValidationError);
+
+    const report = await rejectTasks(context, ["proc-1"], "不同意");
+    expect(report.failed[0].error).toBeInstanceOf(ValidationError);
+
+    await rejectTasks(context, ["proc-1"], "不同意", { userId: "u2" });
+    const instance = context.mock.store.get("proc-1");
+    expect(instance.instanceStatus).toBe("COMPLETED");
+    expect(instance.approvedResult).toBe("disagree");
+  });
+
+  test("transfer task", async () => {
+    const context = createContext();
+    const result = await transferTask(context, "proc-1", "u5", {
+      userId: "u2",
+      remark: "请帮忙处理",
+    });
+    expect(result).toEqual({
+      instanceId: "proc-1",
+      taskId: "t2",
+      fromUserId: "u2",
+      toUserId: "u5",
+    });
+    expect(context.mock.requests.pop().params).toEqual({
+      processInstanceId: "proc-1",
+      taskId: "t2",
+      nowActionerId: "u5",
+      remark: "请帮忙处理",
+      byManager: "n",
+    });
+
+    const tasks = await getPendingTasks(context, "proc-1", { userId: "u5" });
+    expect(tasks.map((task) => task.taskId)).toEqual(["t2"]);
+  });
+
+  test("terminate instances", async () => {
+    const context = createContext();
+    const report = await terminateInstances(context, ["proc-1", "proc-x"]);
+    expect(report.succeeded).toEqual([{ index: 0, instanceId: "proc-1" }]);
+    expect(report.failed.map((item) => item.item)).toEqual(["proc-x"]);
+    expect(context.mock.store.get("proc-1").instanceStatus).toBe("TERMINATED");
+    expect(await getPendingTasks(context, "proc-1")).toEqual([]);
+  });
+});
+
+describe("approval timeline", () => {
+  const hour = 3600 * 1000;
+  const start = Date.UTC(2024, 0, 5, 1);
+  const records = [
+    {
+      taskId: "t0",
+      type: "HISTORY",
+      actionExt: "submit",
+      action: "提交",
+      showName: "发起",
+      operator: "u0",
+      operatorDisplayName: "张三",
+      operateTimeGMT: "2024-01-05T01:00:00.000+0000",
+    },
+    {
+      taskId: "t1",
+      type: "HISTORY",
+      actionExt: "agree",
+      action: "同意",
+      remark: "可以",
+      showName: "部门审批",
+      activityId: "node_1",
+      operator: "u1",
+      operatorName: "李四",
+      operateTimeGMT: start + 30 * hour,
+    },
+    {
+      taskId: "t2",
+      type: "TODO",
+      actionExt: "doing",
+      showName: "财务审批",
+      activityId: "node_2",
+      operator: "u2",
+      activeTimeGMT: String(start + 31 * hour),
+    },
+    { taskId: "t3", type: "TODO", actionExt: "next", showName: "归档" },
+  ];
+
+  test("normalize records and compute metrics", () => {
+    const timeline = buildApprovalTimeline(records, {
+      sla: { 部门审批: 24 * hour, node_2: 48 * hour },
+      now: start + 40 * hour,
+    });
+
+    expect(
+      timeline.nodes.map((node) => [
+        node.action,
+        node.status,
+        node.result,
+        node.duration,
+        node.overdue,
+      ])
+    ).toEqual([
+      ["submit", "done", null, 0, false],
+      ["agree", "done", "agree", 30 * hour, true],
+      ["pending", "pending", null, 9 * hour, false],
+      ["upcoming", "upcoming", null, null, false],
+    ]);
+    expect(timeline.nodes[1]).toEqual(
+      expect.objectContaining({
+        nodeName: "部门审批",
+        actionText: "同意",
+        remark: "可以",
+        startTime: start,
+        endTime: start + 30 * hour,
+        sla: 24 * hour,
+        actor: expect.objectContaining({ label: "李四", value: "u1" }),
+      })
+    );
+    expect(timeline.nodes[3].actor).toBeNull();
+    expect(timeline.startTime).toBe(start);
+    expect(timeline.endTime).toBeNull();
+    expect(timeline.duration).toBe(40 * hour);
+    expect(timeline.pendingNodes.map((node) => node.taskId)).toEqual(["t2"]);
+    expect(timeline.overdueNodes.map((node) => node.taskId)).toEqual(["t1"]);
+  });
+
+  test("finished process and sla function", () => {
+    const timeline = buildApprovalTimeline(records.slice(0, 2), {
+      sla: (node) => (node.activityId === "node_1" ? 31 * hour : 0),
+    });
+    expect(timeline.endTime).toBe(start + 30 * hour);
+    expect(timeline.duration).toBe(30 * hour);
+    expect(timeline.overdueNodes).toEqual([]);
+    expect(() => buildApprovalTimeline(null)).toThrow(ValidationError);
+  });
+
+  test("load timeline after executing a task", async () => {
+    const context = createContext();
+    await approveTasks(context, [{ instanceId: "proc-2", taskId: "t4" }], "好");
+    const timeline = await getApprovalTimeline(context, "proc-2", {
+      sla: 1000,
+    });
+    expect(timeline.nodes).toHaveLength(1);
+    expect(timeline.nodes[0]).toEqual(
+      expect.objectContaining({
+        action: "agree",
+        result: "agree",
+        remark: "好",
+        status: "done",
+      })
+    );
+    expect(timeline.endTime).toEqual(expect.any(Number));
+  });
+});
+
+describe("execute tasks by query", () => {
+  test("dry run only reports planned tasks", async () => {
+    const context = createContext();
+    const report = await executeTasksByQuery(
+      context,
+      { formUuid: "FORM-p" },
+      "AGREE",
+      "同意",
+      { userId: "u1", dryRun: true }
+    );
+
+    expect(report.total).toBe(3);
+    expect(report.dryRun).toBe(true);
+    expect(report.summary).toEqual({
+      executed: 0,
+      planned: 2,
+      skipped: 1,
+      failed: 0,
+    });
+    expect(
+      report.results.map((item) => [
+        item.instanceId,
+        item.status,
+        item.task && item.task.taskId,
+      ])
+    ).toEqual([
+      ["proc-1", "planned", "t1"],
+      ["proc-2", "planned", "t4"],
+      ["proc-3", "skipped", null],
+    ]);
+    expect(
+      context.mock.requests.filter((item) => item.name === "executeTask")
+    ).toHaveLength(0);
+  });
+
+  test("execute pending tasks of matching instances", async () => {
+    const context = createContext();
+    const source = query(context, "FORM-p", "process").status("RUNNING");
+    const report = await executeTasksByQuery(context, source, "AGREE", "同意", {
+      noExecuteExpressions: false,
+    });
+
+    expect(report.summary).toEqual({
+      executed: 2,
+      planned: 0,
+      skipped: 0,
+      failed: 1,
+    });
+    expect(report.results[0].error).toBeInstanceOf(ValidationError);
+    expect(
+      context.mock.requests
+        .filter((item) => item.name === "executeTask")
+        .map((item) => [item.params.taskId, item.params.noExecuteExpressions])
+    ).toEqual([
+      ["t4", "n"],
+      ["t5", "n"],
+    ]);
+
+    // 已审批的流程不再是运行中
+    const again = await executeTasksByQuery(
+      context,
+      { formUuid: "FORM-p" },
+      "AGREE",
+      "同意",
+      { userId: "u1", dryRun: true }
+    );
+    expect(again.results.map((item) => item.instanceId)).toEqual(["proc-1"]);
+  });
+
+  test("validates result and remark", async () => {
+    const context = createContext();
+    const source = { formUuid: "FORM-p" };
+    await expect(
+      executeTasksByQuery(context, source, "AGREE", "", { dryRun: true })
+    ).rejects.toThrow("审批意见必填");
+    await expect(
+      executeTasksByQuery(context, source, "OK", "同意")
+    ).rejects.toThrow(ValidationError);
+    await expect(
+      executeTasksByQuery(context, query(context, "FORM-p"), "AGREE", "同意")
+    ).rejects.toThrow(ValidationError);
+    await expect(
+      executeTasksByQuery(
+        context,
+        query(createContext(), "FORM-p", "process"),
+        "AGREE",
+        "同意"
+      )
+    ).rejects.toThrow("source query must use the same context");
+  });
+});
@@ -0,0 +1,464 @@
+import { createMockContext } from "../src/mock-context";
+import {
+  enableRequestCache,
+  disableRequestCache,
+  invalidateRequestCache,
+  enableRequestDedupe,
+  disableRequestDedupe,
+  enableRequestRetry,
+  disableRequestRetry,
+  enableRateLimit,
+  disableRateLimit,
+  loadDataSource,
+} from "../src/request";
+import { RateLimitError } from "../src/errors";
+import { RequestCache } from "../src/RequestCache";
+import { RateLimiter } from "../src/RateLimiter";
+import { BatchTaskRunner } from "../src/BatchTaskRunner";
+import {
+  getFormData,
+  searchFormDatas,
+  searchFormDatasAll,
+  saveFormData,
+  updateFormData,
+} from "../src/data-source";
+
+function createContext() {
+  return createMockContext({
+    forms: {
+      "FORM-a": [
+        { instanceId: "FINST-1", textField_a: "one" },
+        { instanceId: "FINST-2", textField_a: "two" },
+      ],
+      "FORM-b": [{ instanceId: "FINST-3", textField_b: "three" }],
+    },
+  });
+}
+
+function countRequests(context, name) {
+  return context.mock.requests.filter((item) => item.name === name).length;
+}
+
+afterEach(() => {
+  disableRequestCache();
+  enableRequestDedupe();
+  disableRequestRetry();
+  disableRateLimit();
+});
+
+describe("RequestCache", () => {
+  test("key ignores property order", () => {
+    expect(RequestCache.key("a", { x: 1, y: [1, { b: 2, a: 1 }] })).toBe(
+      RequestCache.key("a", { y: [1, { a: 1, b: 2 }], x: 1 })
+    );
+  });
+
+  test("ttl and lru", async () => {
+    const cache = new RequestCache({ ttl: 50, maxSize: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+    // b 最久未使用，被淘汰
+    expect(cache.has("b")).toBe(false);
+    expect(cache.get("a")).toBe(1);
+    expect(cache.get("c")).toBe(3);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(cache.get("a")).toBeUndefined();
+  });
+});
+
+describe("request cache", () => {
+  test("disabled by default", async () => {
+    const context = createContext();
+    await getFormData(context, "form", "FINST-1");
+    await getFormData(context, "form", "FINST-1");
+    expect(countRequests(context, "getFormData")).toBe(2);
+  });
+
+  test("cache identical reads", async () => {
+    enableRequestCache();
+    const context = createContext();
+    const first = await getFormData(context, "form", "FINST-1");
+    first.textField_a = "changed by caller";
+    const second = await getFormData(context, "form", "FINST-1");
+    expect(second.textField_a).toBe("one");
+    await getFormData(context, "form", "FINST-2");
+    expect(countRequests(context, "getFormData")).toBe(2);
+  });
+
+  test("invalidate form after write", async () => {
+    enableRequestCache();
+    const context = createContext();
+    await searchFormDatasAll(context, "form", "FORM-a", {});
+    await searchFormDatasAll(context, "form", "FORM-b", {});
+    await getFormData(context, "form", "FINST-1");
+
+    // 只知道实例ID，通过缓存数据找到所属表单
+    await updateFormData(context, "form", "FINST-2", { textField_a: "2" });
+    const formDatas = await searchFormDatasAll(context, "form", "FORM-a", {});
+    expect(formDatas[1].textField_a).toBe("2");
+    await getFormData(context, "form", "FINST-1");
+    await searchFormDatasAll(context, "form", "FORM-b", {});
+    expect(countRequests(context, "searchFormDatas")).toBe(3);
+    expect(countRequests(context, "getFormData")).toBe(2);
+
+    await saveFormData(context, "FORM-b", { textField_b: "four" });
+    expect(
+      await searchFormDatasAll(context, "form", "FORM-b", {})
+    ).toHaveLength(2);
+  });
+
+  test("invalidate by platform responses", async () => {
+    enableRequestCache();
+    // 不经过 createMockContext，数据源直接返回宜搭接口的原始响应
+    const rows = [
+      {
+        formUuid: "FORM-a",
+        formInstId: "FINST-1",
+        formData: { textField_a: "one" },
+      },
+    ];
+    const search = jest.fn(async () => ({
+      currentPage: 1,
+      totalCount: rows.length,
+      data: JSON.parse(JSON.stringify(rows)),
+    }));
+    const update = jest.fn(async (params) => {
+      Object.assign(rows[0].formData, JSON.parse(params.updateFormDataJson));
+    });
+    const context = {
+      dataSourceMap: {
+        searchFormDatas: { load: search },
+        updateFormData: { load: update },
+      },
+    };
+
+    await searchFormDatasAll(context, "form", "FORM-a", {});
+    await searchFormDatasAll(context, "form", "FORM-a", {});
+    expect(search).toHaveBeenCalledTimes(1);
+
+    await updateFormData(context, "form", "FINST-1", { textField_a: "1" });
+    const formDatas = await searchFormDatasAll(context, "form", "FORM-a", {});
+    expect(formDatas[0].textField_a).toBe("1");
+    expect(search).toHaveBeenCalledTimes(2);
+  });
+
+  test("clear all when written instance is unknown", async () => {
+    enableRequestCache();
+    const context = createContext();
+    const search = () =>
+      searchFormDatasAll(context, "form", "FORM-a", { textField_a: "one" });
+    expect(await search()).toHaveLength(1);
+
+    // FINST-2 没有出现在任何缓存数据中，无法确定所属表单
+    await updateFormData(context, "form", "FINST-2", { textField_a: "one" });
+    expect(await search()).toHaveLength(2);
+    expect(countRequests(context, "searchFormDatas")).toBe(2);
+  });
+
+  test("do not cache reads that finish after a write", async () => {
+    enableRequestCache();
+    const context = createContext();
+    await getFormData(context, "form", "FINST-1");
+
+    const load = context.dataSourceMap.searchFormDatas.load;
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    context.dataSourceMap.searchFormDatas.load = async (params) => {
+      const response = await load(params);
+      await gate;
+      return response;
+    };
+
+    const pending = searchFormDatasAll(context, "form", "FORM-a", {});
+    await updateFormData(context, "form", "FINST-1", { textField_a: "1" });
+    release();
+    expect((await pending)[0].textField_a).toBe("one");
+
+    context.dataSourceMap.searchFormDatas.load = load;
+    const formDatas = await searchFormDatasAll(context, "form", "FORM-a", {});
+    expect(formDatas[0].textField_a).toBe("1");
+    expect(countRequests(context, "searchFormDatas")).toBe(2);
+  });
+
+  test("manual invalidation", async () => {
+    enableRequestCache({ dataSources: ["getFormData"] });
+    const context = createContext();
+    await getFormData(context, "form", "FINST-3");
+    await searchFormDatasAll(context, "form", "FORM-b", {});
+    await searchFormDatasAll(context, "form", "FORM-b", {});
+    expect(countRequests(context, "searchFormDatas")).toBe(2);
+
+    invalidateRequestCache("FORM-b");
+    await getFormData(context, "form", "FINST-3");
+    expect(countRequests(context, "getFormData")).toBe(2);
+  });
+});
+
+describe("request dedupe", () => {
+  test("share one pending request", async () => {
+    const context = createContext();
+    const [a, b, c] = await Promise.all([
+      searchFormDatasAll(context, "form", "FORM-a", { textField_a: "one" }),
+      searchFormDatasAll(context, "form", "FORM-a", { textField_a: "one" }),
+      searchFormDatasAll(context, "form", "FORM-a", { textField_a: "two" }),
+    ]);
+    expect(countRequests(context, "searchFormDatas")).toBe(2);
+    expect(a).toEqual(b);
+    expect(a[0]).not.toBe(b[0]);
+    expect(c[0].textField_a).toBe("two");
+
+    await Promise.all([
+      getFormData(context, "form", "FINST-1"),
+      getFormData(context, "form", "FINST-1"),
+    ]);
+    expect(countRequests(context, "getFormData")).toBe(1);
+  });
+
+  test("followers get a copy and share failures", async () => {
+    const context = createContext();
+    const [a, b] = await Promise.all([
+      getFormData(context, "form", "FINST-1"),
+      getFormData(context, "form", "FINST-1"),
+    ]);
+    a.textField_a = "changed";
+    expect(b.textField_a).toBe("one");
+
+    const results = await Promise.allSettled([
+      getFormData(context, "form", "FINST-404"),
+      getFormData(context, "form", "FINST-404"),
+    ]);
+    expect(results.map((item) => item.status)).toEqual([
+      "rejected",
+      "rejected",
+    ]);
+    expect(countRequests(context, "getFormData")).toBe(2);
+  });
+
+  test("separate contexts and writes are not merged", async () => {
+    const contextA = createContext();
+    const contextB = createContext();
+    await Promise.all([
+      getFormData(contextA, "form", "FINST-1"),
+      getFormData(contextB, "form", "FINST-1"),
+      saveFormData(contextA, "FORM-a", {}),
+      saveFormData(contextA, "FORM-a", {}),
+    ]);
+    expect(countRequests(contextA, "getFormData")).toBe(1);
+    expect(countRequests(contextB, "getFormData")).toBe(1);
+    expect(countRequests(contextA, "saveFormData")).toBe(2);
+  });
+
+  test("disable dedupe", async () => {
+    disableRequestDedupe();
+    const context = createContext();
+    await Promise.all([
+      getFormData(context, "form", "FINST-1"),
+      getFormData(context, "form", "FINST-1"),
+    ]);
+    expect(countRequests(context, "getFormData")).toBe(2);
+  });
+});
+
+describe("request retry", () => {
+  function failTimes(context, name, times, error) {
+    const load = context.dataSourceMap[name].load;
+    let failures = 0;
+    context.dataSourceMap[name].load = async (params) => {
+      if (failures < times) {
+        failures += 1;
+        throw error;
+      }
+      return load(params);
+    };
+  }
+
+  test("retry throttled reads", async () => {
+    const context = createContext();
+    failTimes(context, "getFormData", 2, { errorCode: "429" });
+    const onRetry = jest.fn();
+    enableRequestRetry({ delay: 5, onRetry });
+
+    const formData = await getFormData(context, "form", "FINST-1");
+    expect(formData.textField_a).toBe("one");
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls[0][0]).toBeInstanceOf(RateLimitError);
+  });
+
+  test("do not retry business errors or non-idempotent writes", async () => {
+    const context = createContext();
+    enableRequestRetry({ delay: 5 });
+
+    failTimes(context, "getFormData", 1, {
+      success: false,
+      errorCode: "PERMISSION_DENIED",
+      errorMsg: "没有权限",
+    });
+    await expect(getFormData(context, "form", "FINST-1")).rejects.toThrow(
+      "没有权限"
+    );
+
+    failTimes(context, "saveFormData", 1, { errorCode: "429" });
+    await expect(
+      saveFormData(context, "FORM-a", { textField_a: "new" })
+    ).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  test("retry network errors but not thrown exceptions", async () => {
+    const context = createContext();
+    enableRequestRetry({ delay: 5 });
+
+    failTimes(context, "getFormData", 1, new TypeError("Failed to fetch"));
+    const formData = await getFormData(context, "form", "FINST-1");
+    expect(formData.textField_a).toBe("one");
+
+    const error = new Error("socket hang up");
+    error.code = "ECONNRESET";
+    failTimes(context, "getFormData", 1, error);
+    await expect(getFormData(context, "form", "FINST-2")).resolves.toEqual(
+      expect.objectContaining({ textField_a: "two" })
+    );
+
+    failTimes(
+      context,
+      "getFormData",
+      1,
+      new TypeError("Cannot read properties of undefined")
+    );
+    await expect(getFormData(context, "form", "FINST-1")).rejects.toThrow(
+      "Cannot read properties of undefined"
+    );
+  });
+
+  test("per request policy", async () => {
+    const context = createContext();
+    failTimes(context, "saveFormData", 1, { errorCode: "429" });
+    const resp = await loadDataSource(
+      context,
+      "saveFormData",
+      { formUuid: "FORM-a", appType: "APP", formDataJson: "{}" },
+      { retry: { delay: 5 } }
+    );
+    expect(context.mock.store.get(resp).formData).toEqual({});
+
+    enableRequestRetry({ delay: 5 });
+    failTimes(context, "getFormData", 1, { errorCode: "429" });
+    await expect(
+      loadDataSource(
+        context,
+        "getFormData",
+        { formInstId: "FINST-1" },
+        { retry: false }
+      )
+    ).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  test("retry option of data source methods", async () => {
+    const context = createContext();
+    failTimes(context, "searchFormDatas", 1, { errorCode: "429" });
+    const resp = await searchFormDatas(context, "form", "FORM-a", {}, 1, 10, {
+      retry: { delay: 5 },
+    });
+    expect(resp.totalCount).toBe(2);
+    const search = context.mock.requests.find(
+      (item) => item.name === "searchFormDatas"
+    );
+    expect(search.params).not.toHaveProperty("retry");
+
+    failTimes(context, "updateFormData", 1, { errorCode: "429" });
+    await updateFormData(
+      context,
+      "form",
+      "FINST-1",
+      { textField_a: "new" },
+      { retry: { delay: 5 } }
+    );
+    expect(context.mock.store.get("FINST-1").formData.textField_a).toBe("new");
+
+    enableRequestRetry({ delay: 5 });
+    failTimes(context, "getFormData", 1, { errorCode: "429" });
+    await expect(
+      getFormData(context, "form", "FINST-1", { retry: false })
+    ).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  test("requests with their own policy are not merged", async () => {
+    const context = createContext();
+    failTimes(context, "getFormData", 1, { errorCode: "429" });
+    const params = { formInstId: "FINST-1" };
+
+    const results = await Promise.allSettled([
+      loadDataSource(context, "getFormData", params),
+      loadDataSource(context, "getFormData", params, { retry: { delay: 5 } }),
+    ]);
+    expect(results.map((item) => item.status)).toEqual([
+      "rejected",
+      "fulfilled",
+    ]);
+    expect(results[1].value.formData.textField_a).toBe("one");
+  });
+});
+
+describe("request rate limit", () => {
+  test("queue requests under the limit", async () => {
+    const context = createContext();
+    disableRequestDedupe();
+    const limiter = enableRateLimit({ rate: 2, interval: 100 });
+
+    const start = Date.now();
+    await Promise.all(
+      [1, 2, 3, 4].map(() => getFormData(context, "form", "FINST-1"))
+    );
+    expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+    expect(countRequests(context, "getFormData")).toBe(4);
+    expect(limiter.pending).toBe(0);
+  });
+
+  test("per data source limit", async () => {
+    const context = createContext();
+    const limiter = enableRateLimit({
+      rate: 1,
+      interval: 300,
+      dataSources: ["updateFormData"],
+    });
+
+    await updateFormData(context, "form", "FINST-1", { textField_a: "1" });
+    const pending = updateFormData(context, "form", "FINST-2", {
+      textField_a: "2",
+    });
+    // 其他数据源不受影响
+    await getFormData(context, "form", "FINST-1");
+    expect(limiter.pending).toBe(1);
+
+    disableRateLimit(["updateFormData"]);
+    await pending;
+    expect(countRequests(context, "updateFormData")).toBe(2);
+  });
+
+  test("share a limiter with BatchTaskRunner", async () => {
+    const context = createContext();
+    disableRequestDedupe();
+    const limiter = new RateLimiter({ rate: 2, interval: 50 });
+    const acquire = jest.spyOn(limiter, "acquire");
+    enableRateLimit({ limiter });
+
+    const tasks = [1, 2, 3, 4].map(
+      () => () => getFormData(context, "form", "FINST-1")
+    );
+    await new BatchTaskRunner(tasks.values(), 2, {
+      rateLimiter: limiter,
+    }).start();
+    // 每个请求只消耗一个令牌
+    expect(acquire).toHaveBeenCalledTimes(4);
+    expect(countRequests(context, "getFormData")).toBe(4);
+
+    disableRateLimit();
+    acquire.mockClear();
+    await new BatchTaskRunner(tasks.values(), 2, {
+      rateLimiter: limiter,
+    }).start();
+    expect(acquire).toHaveBeenCalledTimes(4);
+  });
+});
@@ -57,6 +57,54 @@ describe("retry function", () => {
       }
     );
   });
+  test("retry policy with exponential backoff", async () => {
+    const delays = [];
+    const flaky = jest.fn((value) =>
+      flaky.mock.calls.length < 4 ? Promise.reject(Error("busy")) : value
+    );
+    const result = await retry(
+      flaky,
+      {
+        retries: 5,
+        delay: 10,
+        factor: 2,
+        maxDelay: 50,
+        onRetry: (e, attempt, delay) => delays.push(delay),
+      },
+      "ok"
+    );
+    expect(result).toBe("ok");
+    expect(flaky.mock.calls).toHaveLength(4);
+    expect(flaky).toHaveBeenCalledWith("ok");
+    expect(delays).toEqual([10, 20, 40]);
+  });
+  test("retry policy rethrows fatal errors", async () => {
+    const fatal = Error("fatal");
+    const alwaysReject = jest.fn(() => Promise.reject(fatal));
+    const shouldRetry = jest.fn((e, attempt) => attempt < 2);
+    await expect(retry(alwaysReject, { delay: 1, shouldRetry })).rejects.toBe(
+      fatal
+    );
+    expect(alwaysReject.mock.calls).toHaveLength(2);
+    expect(shouldRetry).toHaveBeenLastCalledWith(fatal, 2);
+  });
+  test("retry policy with jitter and max elapsed time", async () => {
+    const delays = [];
+    const alwaysReject = jest.fn(() => Promise.reject(Error("busy")));
+    const start = Date.now();
+    await expect(
+      retry(alwaysReject, {
+        retries: 10,
+        delay: 100,
+        jitter: true,
+        maxElapsedTime: 250,
+        onRetry: (e, attempt, delay) => delays.push(delay),
+      })
+    ).rejects.toThrow("busy");
+    expect(Date.now() - start).toBeLessThan(400);
+    expect(delays.length).toBeGreaterThanOrEqual(2);
+    delays.forEach((delay) => expect(delay).toBeLessThanOrEqual(100));
+  });
 });
 
 describe("isEmpty function", () => {